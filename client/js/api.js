@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { DEFAULT_PRIZE_RULES, describePrizePlaces } from '../../shared/prize-rules.js';
 
 class ApiClient {
     constructor(baseURL = 'http://localhost:3000') {
@@ -9,6 +10,59 @@ class ApiClient {
                 'Content-Type': 'application/json'
             }
         });
+
+        // Attach the SIWE session token to every request
+        this.client.interceptors.request.use((config) => {
+            const token = ApiClient.getAuthToken();
+            if (token) {
+                config.headers.Authorization = `Bearer ${token}`;
+            }
+            return config;
+        });
+    }
+
+    // Session token shared by every ApiClient instance
+    static getAuthToken() {
+        const session = ApiClient.getAuthSession();
+        return session ? session.token : null;
+    }
+
+    static getAuthSession() {
+        const session = JSON.parse(localStorage.getItem('authSession') || 'null');
+        if (!session || session.expiresAt <= Date.now()) {
+            return null;
+        }
+        return session;
+    }
+
+    static setAuthSession(session) {
+        if (session) {
+            localStorage.setItem('authSession', JSON.stringify(session));
+        } else {
+            localStorage.removeItem('authSession');
+        }
+    }
+
+    // Sign-In With Ethereum: nonce for the message
+    async getAuthNonce() {
+        try {
+            const response = await this.client.get('/api/auth/nonce');
+            return response.data.nonce;
+        } catch (error) {
+            console.error('Failed to fetch sign-in nonce:', error);
+            throw error;
+        }
+    }
+
+    // Sign-In With Ethereum: exchange the signed message for a session token
+    async verifySignIn(message, signature) {
+        try {
+            const response = await this.client.post('/api/auth/verify', { message, signature });
+            return response.data;
+        } catch (error) {
+            console.error('Sign-in verification failed:', error);
+            throw error;
+        }
     }
 
     // Health check
@@ -22,14 +76,52 @@ class ApiClient {
         }
     }
 
-    // Get high scores
-    async getHighScores() {
+    // Chain the server expects signatures on: { name, chainId, rpcUrl, explorerUrl }
+    async getNetwork() {
+        try {
+            const response = await this.client.get('/api/network');
+            return response.data.network;
+        } catch (error) {
+            console.error('Failed to fetch network:', error);
+            throw error;
+        }
+    }
+
+    // Get a leaderboard page: { window, mode, limit, offset | cursor }
+    async getHighScores(params = {}) {
         try {
-            const response = await this.client.get('/api/scores');
-            return response.data.scores || [];
+            const response = await this.client.get('/api/scores', { params });
+            return response.data;
         } catch (error) {
             console.error('Failed to fetch high scores:', error);
-            return [];
+            return { scores: [], total: 0, nextCursor: null };
+        }
+    }
+
+    // Get a player's rank and the scores around it (null when unranked)
+    async getPlayerRank(address, params = {}) {
+        try {
+            const response = await this.client.get(`/api/scores/rank/${address}`, { params });
+            return response.data;
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                console.error('Failed to fetch player rank:', error);
+            }
+            return null;
+        }
+    }
+
+    // Get a player's profile: run history, aggregates, winnings and rank
+    async getPlayerProfile(address, params = {}) {
+        try {
+            const response = await this.client.get(`/api/players/${address}`, { params });
+            return response.data.profile;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            console.error('Failed to fetch player profile:', error);
+            throw error;
         }
     }
 
@@ -40,7 +132,9 @@ class ApiClient {
                 player: scoreData.player,
                 score: scoreData.score,
                 gameId: scoreData.gameId || 'turbowheel_v1',
-                timestamp: scoreData.timestamp || Date.now()
+                timestamp: scoreData.timestamp || Date.now(),
+                proof: scoreData.proof,
+                signedResult: scoreData.signedResult
             });
             return response.data;
         } catch (error) {
@@ -49,6 +143,17 @@ class ApiClient {
         }
     }
 
+    // Get all seasons and the one running now
+    async getSeasons() {
+        try {
+            const response = await this.client.get('/api/seasons');
+            return response.data;
+        } catch (error) {
+            console.error('Failed to fetch seasons:', error);
+            return { current: null, seasons: [], serverTime: Date.now() };
+        }
+    }
+
     // Get prize pool info
     async getPrizePool() {
         try {
@@ -58,26 +163,12 @@ class ApiClient {
             console.error('Failed to fetch prize pool:', error);
             return {
                 total: '0.0',
-                distribution: {
-                    first: '50%',
-                    second: '30%',
-                    third: '20%'
-                }
+                rules: DEFAULT_PRIZE_RULES,
+                ...describePrizePlaces('0.0', DEFAULT_PRIZE_RULES)
             };
         }
     }
 
-    // Distribute prizes
-    async distributePrizes() {
-        try {
-            const response = await this.client.post('/api/distribute-prizes');
-            return response.data;
-        } catch (error) {
-            console.error('Failed to distribute prizes:', error);
-            throw error;
-        }
-    }
-
     // Get game statistics
     async getStats() {
         try {
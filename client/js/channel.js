@@ -0,0 +1,64 @@
+import { ethers } from 'ethers';
+import {
+    ACTION_ABI_TYPES,
+    CHANNEL_STATE_TYPES,
+    INITIAL_ACTIONS_HASH,
+    actionValues,
+    buildChannelDomain
+} from '../../shared/channel-state.js';
+
+/**
+ * Player side of a game session's state channel
+ * Signs each state update with the session key the wallet authorized, so
+ * scoring never waits on a wallet prompt. The server answers every update
+ * with its countersignature, or with the state to carry on from when it
+ * rejects one.
+ */
+export class ChannelSigner {
+    /**
+     * @param {Object} session - Session from `game-joined` (channelId, chainId)
+     * @param {Object} sessionKey - ethers Wallet of the session key
+     */
+    constructor(session, sessionKey) {
+        this.channelId = session.channelId;
+        this.domain = buildChannelDomain(session.chainId);
+        this.sessionKey = sessionKey;
+        this.nonce = 0;
+        this.actionsHash = INITIAL_ACTIONS_HASH;
+        this.signedState = null; // Latest state the server countersigned
+    }
+
+    /**
+     * Sign the next state
+     * Synchronous, so nonces follow the order the game produced the updates in.
+     * @param {string} type - score_update | game_end
+     * @param {number} score - Score of the new state
+     * @returns {Object} { nonce, signature }
+     */
+    sign(type, score) {
+        const nonce = this.nonce + 1;
+        const actionsHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ACTION_ABI_TYPES,
+            actionValues(this.actionsHash, nonce, { type, score })
+        ));
+        const digest = ethers.TypedDataEncoder.hash(this.domain, CHANNEL_STATE_TYPES, {
+            channelId: this.channelId,
+            nonce: nonce,
+            score: score,
+            actionsHash: actionsHash
+        });
+
+        this.nonce = nonce;
+        this.actionsHash = actionsHash;
+        return { nonce, signature: this.sessionKey.signingKey.sign(digest).serialized };
+    }
+
+    /**
+     * Carry on from the server's state, after a rejected update or a resume
+     * @param {Object} state - { nonce, actionsHash }
+     */
+    sync({ nonce, actionsHash }) {
+        this.nonce = nonce;
+        this.actionsHash = actionsHash;
+    }
+}
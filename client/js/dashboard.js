@@ -1,16 +1,53 @@
 import { YellowSDK } from './web3.js';
 import { ApiClient } from './api.js';
+import { ProfileView } from './profile.js';
+import { DEFAULT_PRIZE_RULES, describePrizePlaces } from '../../shared/prize-rules.js';
+
+const LEADERBOARD_TABS = [
+    { window: 'daily', label: 'Today' },
+    { window: 'weekly', label: 'Week' },
+    { window: 'season', label: 'Season' },
+    { window: 'all', label: 'All Time' }
+];
+const LEADERBOARD_SIZE = 10;
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+// Shown before the first season has loaded
+const PLACEHOLDER_POOL = '1.0';
 
 export class Dashboard {
     constructor() {
         this.yellowSDK = null;
         this.apiClient = new ApiClient();
         this.highScores = [];
+        this.leaderboardWindow = 'all';
+        this.playerRank = null;
         this.prizePool = null;
+        this.season = null;
+        this.clockOffset = 0;
+        this.countdownTimer = null;
+        this.seasonReloadPending = false;
+        this.profileView = new ProfileView(this.apiClient);
     }
 
     async init() {
         // Initialize will be called from main.js after Web3Manager is ready
+        this.profileView.init();
+        
+        const highScoresElement = document.getElementById('highScores');
+        if (highScoresElement) {
+            // Tabs and addresses are re-rendered with the scores, so listen on the container
+            highScoresElement.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-window]');
+                if (tab && tab.dataset.window !== this.leaderboardWindow) {
+                    this.loadHighScores(tab.dataset.window);
+                }
+                
+                const player = e.target.closest('[data-player]');
+                if (player) {
+                    this.showProfile(player.dataset.player);
+                }
+            });
+        }
         console.log('Dashboard initialized');
     }
 
@@ -18,65 +55,113 @@ export class Dashboard {
         this.yellowSDK = new YellowSDK(web3Manager);
     }
 
-    async loadHighScores() {
-        console.log('Loading high scores...');
+    async loadHighScores(window = this.leaderboardWindow) {
+        console.log('Loading high scores...', window);
+        this.leaderboardWindow = window;
         
         try {
-            // Get your current best score from localStorage
-            const yourAddress = this.getPlayerAddress();
-            const yourBestScore = parseInt(localStorage.getItem('bestScore') || '0');
-            
-            // Create example scores with your real score
-            const exampleScores = [
-                { score: Math.max(yourBestScore, 500), player: yourAddress, timestamp: Date.now() - 3600000 }, // Your real score
-                { score: 1250, player: '0x8ba1f109551bD432803012645Hac136c', timestamp: Date.now() - 86400000 },
-                { score: 980, player: '0x1234567890123456789012345678901234567890', timestamp: Date.now() - 172800000 },
-                { score: 750, player: '0x9876543210987654321098765432109876543210', timestamp: Date.now() - 259200000 },
-                { score: 650, player: '0x5555555555555555555555555555555555555555', timestamp: Date.now() - 345600000 }
-            ];
-            
-            // Sort by score (highest first)
-            exampleScores.sort((a, b) => b.score - a.score);
+            // Best run per player, so one player cannot fill the board
+            const page = await this.apiClient.getHighScores({
+                window: window,
+                mode: 'best',
+                limit: LEADERBOARD_SIZE
+            });
+            const address = this.getConnectedAddress();
+            const playerRank = address
+                ? await this.apiClient.getPlayerRank(address, { window: window, around: 0 })
+                : null;
             
-            this.highScores = exampleScores;
-            console.log('High scores loaded with your score:', yourBestScore, this.highScores);
+            // Another tab was selected while this one was loading
+            if (window !== this.leaderboardWindow) {
+                return;
+            }
             
+            this.highScores = page.scores || [];
+            this.playerRank = playerRank;
             this.updateHighScoresUI();
         } catch (error) {
             console.error('Error loading high scores:', error);
             this.highScores = [];
+            this.playerRank = null;
             this.updateHighScoresUI();
         }
     }
 
     async loadPrizePool() {
         try {
-            // Simulate 1 ETH prize pool with specific distributions
-            this.prizePool = {
-                total: 1.0, // 1 ETH
-                distribution: {
-                    first: '0.5 ETH (50%)',
-                    second: '0.3 ETH (30%)',
-                    third: '0.2 ETH (20%)'
-                }
-            };
+            // The running season owns the prize pool
+            const { current, serverTime } = await this.apiClient.getSeasons();
+            
+            // Count down on the server's clock
+            this.clockOffset = serverTime - Date.now();
+            this.season = current;
+            this.prizePool = current ? this.buildPrizePool(current.prizePool, current.prizeRules) : null;
             this.updatePrizePoolUI();
         } catch (error) {
             console.error('Error loading prize pool:', error);
-            // Fallback data
-            this.prizePool = {
-                total: 1.0,
-                distribution: {
-                    first: '0.5 ETH (50%)',
-                    second: '0.3 ETH (30%)',
-                    third: '0.2 ETH (20%)'
-                }
-            };
+            this.season = null;
+            this.prizePool = null;
             this.updatePrizePoolUI();
         }
+        
+        if (!this.countdownTimer) {
+            this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+        }
+    }
+
+    buildPrizePool(total, rules = DEFAULT_PRIZE_RULES) {
+        const { houseFee, places } = describePrizePlaces(total, rules);
+        return {
+            total: total,
+            houseFee: parseFloat(houseFee) > 0 ? `${+parseFloat(houseFee).toFixed(4)} ETH (${rules.houseFeePercent}%)` : null,
+            minPlayers: rules.minPlayers,
+            places: places.map(place => ({
+                label: `${PLACE_MEDALS[place.position - 1] || '🏅'} #${place.position}`,
+                share: `${+parseFloat(place.amount).toFixed(4)} ETH (${place.percentage})`
+            }))
+        };
     }
 
-    async submitScore(score) {
+    renderPrizePlaces(prizePool) {
+        const places = prizePool.places
+            .map(place => `<div>${place.label}: ${place.share}</div>`)
+            .join('');
+        const houseFee = prizePool.houseFee ? `<div class="opacity-80">House fee: ${prizePool.houseFee}</div>` : '';
+        return `${places}${houseFee}<div class="opacity-80">Paid out with ${prizePool.minPlayers}+ players</div>`;
+    }
+
+    // Seed runs must use to count for the season, undefined when any seed counts
+    getSeasonSeed() {
+        return this.season && this.season.currentSeed !== null ? this.season.currentSeed : undefined;
+    }
+
+    updateCountdown() {
+        const countdownElement = document.getElementById('seasonCountdown');
+        if (!countdownElement || !this.season) return;
+        
+        const remaining = this.season.endsAt - (Date.now() + this.clockOffset);
+        if (remaining <= 0) {
+            countdownElement.textContent = 'Season closing...';
+            // Give the server a moment to pay out and start the next season
+            if (!this.seasonReloadPending) {
+                this.seasonReloadPending = true;
+                setTimeout(() => {
+                    this.seasonReloadPending = false;
+                    this.loadPrizePool();
+                }, 5000);
+            }
+            return;
+        }
+        
+        const seconds = Math.floor(remaining / 1000);
+        const days = Math.floor(seconds / 86400);
+        const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+            .map(n => String(n).padStart(2, '0'))
+            .join(':');
+        countdownElement.textContent = `Ends in ${days > 0 ? `${days}d ` : ''}${clock}`;
+    }
+
+    async submitScore(score, proof = null, signedResult = null) {
         try {
             if (this.yellowSDK) {
                 await this.yellowSDK.submitScore(score);
@@ -90,7 +175,9 @@ export class Dashboard {
                         player: this.getPlayerAddress(),
                         score: score,
                         gameId: 'turbowheel_v1',
-                        timestamp: Date.now()
+                        timestamp: Date.now(),
+                        proof: proof,
+                        signedResult: signedResult
                     });
                     // Reload data after successful API submission
                     await this.loadHighScores();
@@ -152,6 +239,14 @@ export class Dashboard {
         console.log('Updated high scores:', this.highScores);
     }
 
+    getConnectedAddress() {
+        const walletElement = document.getElementById('walletAddress');
+        if (walletElement && walletElement.textContent.startsWith('0x')) {
+            return walletElement.textContent;
+        }
+        return null;
+    }
+
     getPlayerAddress() {
         // Try to get from Web3Manager, fallback to 'Anonymous'
         const walletElement = document.getElementById('walletAddress');
@@ -184,15 +279,21 @@ export class Dashboard {
             return;
         }
         
+        const tabsHTML = `<div class="flex space-x-1 mb-3">${LEADERBOARD_TABS.map(tab => {
+            const active = tab.window === this.leaderboardWindow;
+            return `<button data-window="${tab.window}" class="flex-1 text-xs px-2 py-1 rounded transition ${active ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}">${tab.label}</button>`;
+        }).join('')}</div>`;
+        
         if (this.highScores.length === 0) {
-            highScoresElement.innerHTML = `
+            highScoresElement.innerHTML = tabsHTML + `
                 <div class="text-white/60 text-center py-4">No scores yet - Be the first!</div>
             `;
             return;
         }
 
-        const scoresHTML = this.highScores.slice(0, 5).map((scoreData, index) => {
-            const rank = index + 1;
+        const currentPlayer = this.getPlayerAddress().toLowerCase();
+        const scoresHTML = this.highScores.map((scoreData, index) => {
+            const rank = scoreData.rank || index + 1;
             const rankEmoji = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : '🏅';
             const player = scoreData.player.length > 10 
                 ? `${scoreData.player.slice(0, 6)}...${scoreData.player.slice(-4)}`
@@ -200,26 +301,34 @@ export class Dashboard {
             const timeAgo = this.getTimeAgo(scoreData.timestamp);
             
             // Highlight current player's score
-            const currentPlayer = this.getPlayerAddress();
-            const isCurrentPlayer = scoreData.player === currentPlayer;
+            const isCurrentPlayer = scoreData.player.toLowerCase() === currentPlayer;
             const bgColor = isCurrentPlayer ? 'bg-gradient-to-r from-blue-600 to-purple-600' : 'bg-gray-800';
             
             return `<div class="flex justify-between items-center p-2 ${bgColor} rounded mb-2 ${isCurrentPlayer ? 'ring-2 ring-blue-400' : ''}">
                 <div class="flex items-center space-x-2">
                     <span class="text-xl">${rankEmoji}</span>
                     <div>
-                        <div class="font-bold text-white">${scoreData.score} pts</div>
-                        <div class="text-xs ${isCurrentPlayer ? 'text-blue-100' : 'text-gray-400'}">${player} ${isCurrentPlayer ? '(You!)' : ''}</div>
+                        <div class="font-bold text-white">${scoreData.score} pts${scoreData.verified ? ' <span class="text-xs text-green-400" title="Submitted on-chain under its own session channel">⛓ verified</span>' : ''}</div>
+                        <div data-player="${scoreData.player}" class="text-xs cursor-pointer hover:underline ${isCurrentPlayer ? 'text-blue-100' : 'text-gray-400'}">${player} ${isCurrentPlayer ? '(You!)' : ''}</div>
                     </div>
                 </div>
                 <div class="text-xs ${isCurrentPlayer ? 'text-blue-100' : 'text-gray-500'}">${timeAgo}</div>
             </div>`;
         }).join('');
 
-        highScoresElement.innerHTML = scoresHTML;
+        // The player's own rank when they are below the visible board
+        const rankHTML = this.playerRank && this.playerRank.rank > this.highScores.length
+            ? `<div data-player="${this.playerRank.address}" class="text-xs text-blue-200 text-center mt-2 cursor-pointer hover:underline">Your rank: #${this.playerRank.rank} of ${this.playerRank.total} (${this.playerRank.score.score} pts)</div>`
+            : '';
+
+        highScoresElement.innerHTML = tabsHTML + scoresHTML + rankHTML;
         console.log('High scores UI updated');
     }
 
+    showProfile(address) {
+        this.profileView.show(address);
+    }
+
     getTimeAgo(timestamp) {
         const now = Date.now();
         const diff = now - timestamp;
@@ -239,27 +348,25 @@ export class Dashboard {
         if (this.prizePool) {
             prizePoolElement.innerHTML = `
                 <div class="bg-gradient-to-r from-yellow-400 to-yellow-600 p-4 rounded-lg">
-                    <h3 class="text-lg font-bold text-white mb-2">🏆 Prize Pool</h3>
+                    <h3 class="text-lg font-bold text-white mb-2">🏆 ${this.season.name} Prize Pool</h3>
                     <div class="text-white">
                         <div class="text-2xl font-bold">${this.prizePool.total} ETH</div>
+                        <div id="seasonCountdown" class="text-sm font-semibold"></div>
                         <div class="text-sm mt-2 space-y-1">
-                            <div>🥇 1st Place: ${this.prizePool.distribution.first}</div>
-                            <div>🥈 2nd Place: ${this.prizePool.distribution.second}</div>
-                            <div>🥉 3rd Place: ${this.prizePool.distribution.third}</div>
+                            ${this.renderPrizePlaces(this.prizePool)}
                         </div>
                     </div>
                 </div>
             `;
+            this.updateCountdown();
         } else {
             prizePoolElement.innerHTML = `
                 <div class="bg-gradient-to-r from-yellow-400 to-yellow-600 p-4 rounded-lg">
                     <h3 class="text-lg font-bold text-white mb-2">🏆 Prize Pool</h3>
                     <div class="text-white">
-                        <div class="text-2xl font-bold">1.0 ETH</div>
+                        <div class="text-2xl font-bold">${PLACEHOLDER_POOL} ETH</div>
                         <div class="text-sm mt-2 space-y-1">
-                            <div>🥇 1st Place: 0.5 ETH (50%)</div>
-                            <div>🥈 2nd Place: 0.3 ETH (30%)</div>
-                            <div>🥉 3rd Place: 0.2 ETH (20%)</div>
+                            ${this.renderPrizePlaces(this.buildPrizePool(PLACEHOLDER_POOL))}
                         </div>
                     </div>
                 </div>
@@ -274,7 +381,7 @@ export class Dashboard {
         }
 
         try {
-            const prizes = await this.yellowSDK.distributePrizes();
+            const prizes = await this.yellowSDK.distributePrizes(this.season ? this.season.prizeRules : undefined);
             alert(`Prizes distributed successfully! Check the console for details.`);
             console.log('Prizes distributed:', prizes);
         } catch (error) {
@@ -1,3 +1,19 @@
+import { GameCore, TICK_RATE, CAR_STEERING } from '../../shared/game-core.js';
+import { SeededRandom } from '../../shared/random.js';
+import { GhostCar } from '../../shared/recording.js';
+
+const TICK_MS = 1000 / TICK_RATE;
+// Longest frame we try to catch up on (e.g. after a background tab)
+const MAX_FRAME_MS = 250;
+const GHOST_ALPHA = 0.35;
+const OPPONENT_ALPHA = 0.5;
+// Opponent positions arrive a few times per tick window, ease towards them
+const OPPONENT_SMOOTHING = 0.3;
+
+/**
+ * Canvas renderer and UI adapter around the headless GameCore
+ * Owns the animation loop, mouse input, DOM score display and localStorage
+ */
 export class Game {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
@@ -39,36 +55,34 @@ export class Game {
         this.images.coin.onerror = () => console.log('Coin image failed to load');
         this.images.obstacle.onerror = () => console.log('Obstacle image failed to load');
         
+        // Simulation
+        this.core = new GameCore({ width: this.width, height: this.height });
+        this.core.onScoreUpdate = (score) => {
+            this.updateUI();
+            if (this.onScoreUpdate && !this.replaying) this.onScoreUpdate(score);
+        };
+        this.core.onGameOver = () => this.gameOver();
+        
         // Game state
         this.isRunning = false;
-        this.score = 0;
+        this.isPaused = false;
+        this.replaying = false; // Set by ReplayPlayer: no recording, callbacks or best score
         this.bestScore = parseInt(localStorage.getItem('bestScore') || '0');
-        this.speedLevel = 1;
-        this.gameSpeed = 2;
-        
-        // Anti-cheat system
-        this.gameSession = {
-            startTime: null,
-            actions: [],
-            coinsCollected: 0,
-            obstaclesAvoided: 0,
-            sessionId: null,
-            playerHash: null
-        };
         
-        // Car properties
-        this.car = {
-            x: this.width / 2 - 25,
-            y: this.height - 80,
-            width: 50,
-            height: 80,
-            speed: 5
-        };
+        // Fixed-timestep loop state
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.animationFrameId = null;
+        
+        // Recording of the last finished run
+        this.lastRecording = null;
         
-        // Game objects
-        this.coins = [];
-        this.obstacles = [];
-        this.particles = [];
+        // Ghost of the personal best, shown on runs with the same seed
+        this.bestRecording = JSON.parse(localStorage.getItem('bestRecording') || 'null');
+        this.ghost = null;
+        
+        // Live cars of other racers in a race room (id -> opponent)
+        this.opponents = new Map();
         
         // Mouse tracking
         this.mouseX = this.car.x;
@@ -77,122 +91,210 @@ export class Game {
             this.mouseX = e.clientX - rect.left - this.car.width / 2;
         });
         
+        // Pause toggle
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'p' || e.key === 'P') && this.isRunning && !this.replaying) {
+                this.togglePause();
+            }
+        });
+        
         // Callbacks
         this.onScoreUpdate = null;
         this.onGameOver = null;
+        this.onTick = null;
         
         this.updateUI();
     }
 
-    start() {
+    // Simulation state, read by the renderer and ReplayPlayer
+    get tick() { return this.core.tick; }
+    get score() { return this.core.score; }
+    get speedLevel() { return this.core.speedLevel; }
+    get car() { return this.core.car; }
+    get coins() { return this.core.coins; }
+    get obstacles() { return this.core.obstacles; }
+    get particles() { return this.core.particles; }
+
+    /**
+     * Start a new run
+     * @param {number} [seed] - RNG seed, a random one is generated if omitted
+     */
+    start(seed = SeededRandom.generateSeed()) {
+        // Never let a previous run's loop keep stepping the new one
+        this.stop();
+        this.reset(seed);
         this.isRunning = true;
-        this.score = 0;
-        this.speedLevel = 1;
-        this.gameSpeed = 2;
-        this.coins = [];
-        this.obstacles = [];
-        this.particles = [];
-        this.car.x = this.width / 2 - 25;
-        
-        // Initialize anti-cheat session
-        this.gameSession = {
-            startTime: Date.now(),
-            actions: [],
-            coinsCollected: 0,
-            obstaclesAvoided: 0,
-            sessionId: this.generateSessionId(),
-            playerHash: this.generatePlayerHash()
-        };
+        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
+
+    /**
+     * Put the world back to its initial state for a seed, without starting the loop
+     * @param {number} seed - RNG seed
+     */
+    reset(seed) {
+        this.isRunning = false;
+        this.isPaused = false;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        
+        const walletAddress = document.getElementById('walletAddress')?.textContent || 'anonymous';
+        this.core.reset(seed, { record: !this.replaying, player: walletAddress });
+        
+        this.ghost = !this.replaying && this.bestRecording && this.bestRecording.seed === this.core.rng.seed
+            ? new GhostCar(this.bestRecording, { startX: this.car.x, steering: CAR_STEERING })
+            : null;
         
         this.updateUI();
-        this.gameLoop();
     }
 
-    restart() {
-        this.start();
+    restart(seed) {
+        this.start(seed);
     }
 
-    gameLoop() {
-        if (!this.isRunning) return;
-        
-        this.update();
-        this.draw();
-        requestAnimationFrame(() => this.gameLoop());
+    /**
+     * Stop the animation loop (the world state is kept)
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
     }
 
-    update() {
-        // Update car position (smooth following mouse)
-        const targetX = Math.max(0, Math.min(this.width - this.car.width, this.mouseX));
-        this.car.x += (targetX - this.car.x) * 0.1;
-        
-        // Spawn coins and obstacles
-        if (Math.random() < 0.02) {
-            this.spawnCoin();
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.lastFrameTime = null;
+        this.core.recorder?.recordEvent(this.tick, this.isPaused ? 'pause' : 'resume');
+        if (this.isPaused) {
+            this.draw();
+            this.drawPauseOverlay();
         }
-        if (Math.random() < 0.01) {
-            this.spawnObstacle();
+    }
+
+    /**
+     * Update a race opponent's car from the server feed
+     * @param {string} id - Opponent's socket id
+     * @param {Object} state - { x, score, label, crashed }
+     */
+    setOpponent(id, state) {
+        const opponent = this.opponents.get(id);
+        if (opponent) {
+            Object.assign(opponent, state);
+        } else {
+            this.opponents.set(id, { ...state, drawX: state.x, prevX: state.x });
+        }
+    }
+
+    clearOpponents() {
+        this.opponents.clear();
+    }
+
+    /**
+     * Read the player's input for the next tick
+     * Target X is rounded so a recording reproduces the run exactly
+     * @returns {Object} Input for one tick
+     */
+    sampleInput() {
+        return {
+            targetX: Math.round(Math.max(0, Math.min(this.width - this.car.width, this.mouseX)))
+        };
+    }
+
+    /**
+     * Input recording of the last finished run
+     * @returns {Object|null} Recording
+     */
+    getRecording() {
+        return this.lastRecording;
+    }
+
+    /**
+     * Input recording of the personal best run
+     * @returns {Object|null} Recording
+     */
+    getBestRecording() {
+        return this.bestRecording;
+    }
+
+    /**
+     * Compact snapshot of the current tick for spectators
+     * @returns {Object} { t, x, s, l, c, o, over } (see server/spectators.js)
+     */
+    captureFrame() {
+        const point = (object) => [Math.round(object.x), Math.round(object.y)];
+        return {
+            t: this.tick,
+            x: Math.round(this.car.x),
+            s: this.score,
+            l: this.speedLevel,
+            c: this.coins.map(point),
+            o: this.obstacles.map(point),
+            over: this.core.isOver
+        };
+    }
+
+    /**
+     * Advance the simulation in fixed ticks and render once per frame
+     * @param {number} frameTime - requestAnimationFrame timestamp
+     */
+    gameLoop(frameTime) {
+        if (!this.isRunning) {
+            this.animationFrameId = null;
+            return;
         }
         
-        // Update coins
-        for (let i = this.coins.length - 1; i >= 0; i--) {
-            const coin = this.coins[i];
-            coin.y += this.gameSpeed;
-            
-            // Check collision with car
-            if (this.checkCollision(this.car, coin)) {
-                this.coins.splice(i, 1);
-                this.score += 10;
-                this.gameSession.coinsCollected++;
-                this.logAction('coin_collected', { coinX: coin.x, coinY: coin.y });
-                this.createParticles(coin.x + coin.width/2, coin.y + coin.height/2, '#FFD700');
-                this.updateUI();
-                if (this.onScoreUpdate) this.onScoreUpdate(this.score);
-                
-                // Increase speed every 50 points (every 5 coins)
-                if (this.score > 0 && this.score % 50 === 0) {
-                    this.speedLevel++;
-                    this.gameSpeed += 0.3;
-                }
-            }
-            
-            // Remove coins that are off screen
-            if (coin.y > this.height) {
-                this.coins.splice(i, 1);
-            }
+        if (this.isPaused) {
+            this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+            return;
         }
         
-        // Update obstacles
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            obstacle.y += this.gameSpeed;
-            
-            // Check collision with car
-            if (this.checkCollision(this.car, obstacle)) {
-                this.gameOver();
-                return;
-            }
-            
-            // Remove obstacles that are off screen
-            if (obstacle.y > this.height) {
-                this.obstacles.splice(i, 1);
-            }
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = frameTime;
         }
+        this.accumulator += Math.min(frameTime - this.lastFrameTime, MAX_FRAME_MS);
+        this.lastFrameTime = frameTime;
         
-        // Update particles
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.life--;
-            particle.alpha = particle.life / particle.maxLife;
-            
-            if (particle.life <= 0) {
-                this.particles.splice(i, 1);
-            }
+        while (this.accumulator >= TICK_MS && this.isRunning) {
+            this.update(this.sampleInput());
+            this.accumulator -= TICK_MS;
+        }
+        
+        // Blend between the last two ticks for smooth motion at any refresh rate
+        this.draw(this.accumulator / TICK_MS);
+        
+        if (this.isRunning) {
+            this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+        } else {
+            this.animationFrameId = null;
         }
     }
 
-    draw() {
+    /**
+     * Advance the world by one fixed tick
+     * @param {Object} input - Input for this tick ({ targetX })
+     */
+    update(input) {
+        this.core.update(input);
+        
+        if (this.ghost) {
+            this.ghost.advance(this.tick);
+            this.updateGhostDelta();
+        }
+        
+        for (const opponent of this.opponents.values()) {
+            opponent.prevX = opponent.drawX;
+            opponent.drawX += (opponent.x - opponent.drawX) * OPPONENT_SMOOTHING;
+        }
+        
+        if (this.onTick && !this.replaying) this.onTick(this.tick);
+    }
+
+    /**
+     * Render the current state
+     * @param {number} alpha - Fraction of a tick elapsed since the last update (0..1)
+     */
+    draw(alpha = 1) {
         // Clear canvas
         this.ctx.fillStyle = '#1a1a2e';
         this.ctx.fillRect(0, 0, this.width, this.height);
@@ -200,17 +302,47 @@ export class Game {
         // Draw road
         this.drawRoad();
         
+        // Draw ghost under the player's car
+        if (this.ghost && !this.ghost.isFinished()) {
+            this.drawGhost(this.interpolate({ ...this.car, x: this.ghost.x, prevX: this.ghost.prevX }, alpha));
+        }
+        
+        // Race opponents, also under the player's car
+        if (!this.replaying) {
+            for (const opponent of this.opponents.values()) {
+                if (!opponent.crashed) {
+                    this.drawOpponent(this.interpolate({ ...this.car, x: opponent.drawX, prevX: opponent.prevX }, alpha), opponent.label);
+                }
+            }
+        }
+        
         // Draw car
-        this.drawCar();
+        this.drawCar(this.interpolate(this.car, alpha));
         
         // Draw coins
-        this.coins.forEach(coin => this.drawCoin(coin));
+        this.coins.forEach(coin => this.drawCoin(this.interpolate(coin, alpha)));
         
         // Draw obstacles
-        this.obstacles.forEach(obstacle => this.drawObstacle(obstacle));
+        this.obstacles.forEach(obstacle => this.drawObstacle(this.interpolate(obstacle, alpha)));
         
         // Draw particles
-        this.particles.forEach(particle => this.drawParticle(particle));
+        this.particles.forEach(particle => this.drawParticle(this.interpolate(particle, alpha)));
+    }
+
+    /**
+     * Position of an object between its previous and current tick
+     * @param {Object} object - Car, coin, obstacle or particle
+     * @param {number} alpha - Interpolation factor (0..1)
+     * @returns {Object} Copy of the object at the interpolated position
+     */
+    interpolate(object, alpha) {
+        const prevX = object.prevX ?? object.x;
+        const prevY = object.prevY ?? object.y;
+        return {
+            ...object,
+            x: prevX + (object.x - prevX) * alpha,
+            y: prevY + (object.y - prevY) * alpha
+        };
     }
 
     drawRoad() {
@@ -233,31 +365,50 @@ export class Game {
         this.ctx.setLineDash([]);
     }
 
-    drawCar() {
+    drawCar(car = this.car) {
         // Draw car image if loaded, otherwise fallback to rectangle
         if (this.images.car.complete && this.images.car.naturalWidth > 0) {
-            this.ctx.drawImage(this.images.car, this.car.x, this.car.y, this.car.width, this.car.height);
+            this.ctx.drawImage(this.images.car, car.x, car.y, car.width, car.height);
             console.log('Drawing car image');
         } else {
             // Fallback car design
             this.ctx.fillStyle = '#ff6b6b';
-            this.ctx.fillRect(this.car.x, this.car.y, this.car.width, this.car.height);
+            this.ctx.fillRect(car.x, car.y, car.width, car.height);
             
             // Car details
             this.ctx.fillStyle = '#fff';
-            this.ctx.fillRect(this.car.x + 5, this.car.y + 10, 15, 20);
-            this.ctx.fillRect(this.car.x + 30, this.car.y + 10, 15, 20);
+            this.ctx.fillRect(car.x + 5, car.y + 10, 15, 20);
+            this.ctx.fillRect(car.x + 30, car.y + 10, 15, 20);
             
             // Wheels
             this.ctx.fillStyle = '#333';
-            this.ctx.fillRect(this.car.x - 5, this.car.y + 15, 10, 15);
-            this.ctx.fillRect(this.car.x + this.car.width - 5, this.car.y + 15, 10, 15);
-            this.ctx.fillRect(this.car.x - 5, this.car.y + 50, 10, 15);
-            this.ctx.fillRect(this.car.x + this.car.width - 5, this.car.y + 50, 10, 15);
+            this.ctx.fillRect(car.x - 5, car.y + 15, 10, 15);
+            this.ctx.fillRect(car.x + car.width - 5, car.y + 15, 10, 15);
+            this.ctx.fillRect(car.x - 5, car.y + 50, 10, 15);
+            this.ctx.fillRect(car.x + car.width - 5, car.y + 50, 10, 15);
             console.log('Drawing fallback car');
         }
     }
 
+    drawGhost(car) {
+        this.ctx.save();
+        this.ctx.globalAlpha = GHOST_ALPHA;
+        this.drawCar(car);
+        this.ctx.restore();
+    }
+
+    drawOpponent(car, label) {
+        this.ctx.save();
+        this.ctx.globalAlpha = OPPONENT_ALPHA;
+        this.drawCar(car);
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(label, car.x + car.width / 2, car.y - 6);
+        this.ctx.restore();
+    }
+
     drawCoin(coin) {
         // Draw coin image if loaded, otherwise fallback to circle
         if (this.images.coin.complete && this.images.coin.naturalWidth > 0) {
@@ -302,65 +453,45 @@ export class Game {
         this.ctx.restore();
     }
 
-    spawnCoin() {
-        const coin = {
-            x: Math.random() * (this.width - 30),
-            y: -30,
-            width: 30,
-            height: 30
-        };
-        this.coins.push(coin);
-    }
-
-    spawnObstacle() {
-        const obstacle = {
-            x: Math.random() * (this.width - 40),
-            y: -40,
-            width: 40,
-            height: 40
-        };
-        this.obstacles.push(obstacle);
-    }
-
-    checkCollision(rect1, rect2) {
-        return rect1.x < rect2.x + rect2.width &&
-               rect1.x + rect1.width > rect2.x &&
-               rect1.y < rect2.y + rect2.height &&
-               rect1.y + rect1.height > rect2.y;
-    }
-
-    createParticles(x, y, color) {
-        for (let i = 0; i < 10; i++) {
-            this.particles.push({
-                x: x,
-                y: y,
-                vx: (Math.random() - 0.5) * 4,
-                vy: (Math.random() - 0.5) * 4,
-                size: Math.random() * 3 + 1,
-                color: color,
-                life: 30,
-                maxLife: 30,
-                alpha: 1
-            });
-        }
+    drawPauseOverlay() {
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = 'bold 32px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('PAUSED', this.width / 2, this.height / 2);
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText('Press P to resume', this.width / 2, this.height / 2 + 30);
+        this.ctx.textAlign = 'left';
     }
 
     gameOver() {
         this.isRunning = false;
         
+        // Replays end silently: no best score, no submission
+        if (this.replaying) return;
+        
+        this.lastRecording = this.core.getRecording();
+        
         console.log('Game over with score:', this.score);
         
         // Update best score
         if (this.score > this.bestScore) {
             this.bestScore = this.score;
             localStorage.setItem('bestScore', this.bestScore.toString());
+            
+            // Keep the run itself so it can be raced as a ghost
+            if (this.lastRecording) {
+                this.bestRecording = this.lastRecording;
+                localStorage.setItem('bestRecording', JSON.stringify(this.bestRecording));
+            }
         }
         
         this.updateUI();
 
         // Always call game over with valid score
         if (this.onGameOver) {
-            this.onGameOver(this.score, true, this.generateScoreProof());
+            this.onGameOver(this.score, true, this.core.generateScoreProof());
         }
     }
 
@@ -368,78 +499,22 @@ export class Game {
         document.getElementById('currentScore').textContent = this.score;
         document.getElementById('bestScore').textContent = this.bestScore;
         document.getElementById('speedLevel').textContent = this.speedLevel;
+        this.updateGhostDelta();
     }
 
-    // Anti-cheat functions
-    generateSessionId() {
-        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    generatePlayerHash() {
-        const walletAddress = document.getElementById('walletAddress')?.textContent || 'anonymous';
-        return this.simpleHash(walletAddress + Date.now());
-    }
-
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
+    updateGhostDelta() {
+        const hudElement = document.getElementById('ghostHud');
+        const deltaElement = document.getElementById('ghostDelta');
+        if (!hudElement || !deltaElement) return;
+        
+        hudElement.classList.toggle('hidden', !this.ghost);
+        if (!this.ghost) return;
+        
+        const delta = this.score - this.ghost.score;
+        const text = delta > 0 ? `+${delta} ahead` : delta < 0 ? `${-delta} behind` : 'Even';
+        if (deltaElement.textContent !== text) {
+            deltaElement.textContent = text;
+            deltaElement.className = delta > 0 ? 'font-semibold text-green-300' : delta < 0 ? 'font-semibold text-red-300' : 'font-semibold';
         }
-        return hash.toString(16);
-    }
-
-    logAction(action, data = {}) {
-        if (!this.gameSession) return;
-        
-        this.gameSession.actions.push({
-            timestamp: Date.now(),
-            action: action,
-            data: data,
-            gameState: {
-                score: this.score,
-                speedLevel: this.speedLevel,
-                carX: this.car.x
-            }
-        });
-    }
-
-    validateScore() {
-        // Very lenient validation for demo - allow most scores
-        console.log('Validating score:', this.score);
-        
-        // Only reject extremely suspicious scores
-        if (this.score > 10000) {
-            console.warn('Extremely high score detected:', this.score);
-            return false;
-        }
-        
-        // Allow all other scores
-        console.log('Score validation passed:', this.score);
-        return true;
-    }
-
-    generateScoreProof() {
-        if (!this.gameSession) return null;
-        
-        const proof = {
-            sessionId: this.gameSession.sessionId,
-            playerHash: this.gameSession.playerHash,
-            startTime: this.gameSession.startTime,
-            endTime: Date.now(),
-            score: this.score,
-            actions: this.gameSession.actions,
-            coinsCollected: this.gameSession.coinsCollected,
-            obstaclesAvoided: this.gameSession.obstaclesAvoided,
-            proofHash: this.simpleHash(JSON.stringify({
-                sessionId: this.gameSession.sessionId,
-                score: this.score,
-                actions: this.gameSession.actions.length,
-                coinsCollected: this.gameSession.coinsCollected
-            }))
-        };
-        
-        return proof;
     }
 }
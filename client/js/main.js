@@ -2,10 +2,16 @@ import { Game } from './game.js';
 import { Web3Manager } from './web3.js';
 import { Dashboard } from './dashboard.js';
 import { WebSocketManager } from './websocket.js';
+import { ReplayPlayer } from './replay.js';
+import { RaceClient } from './race.js';
+import { SpectatorClient } from './spectator.js';
 
 class App {
     constructor() {
         this.game = null;
+        this.replayPlayer = null;
+        this.raceClient = null;
+        this.spectatorClient = null;
         this.web3Manager = new Web3Manager();
         this.dashboard = new Dashboard();
         this.webSocketManager = new WebSocketManager();
@@ -13,12 +19,20 @@ class App {
     }
 
     async init() {
-        // Initialize Web3 connection
-        await this.web3Manager.init();
+        // Keep the socket identity in step with the SIWE session
+        this.web3Manager.onAuthChange = (session) => {
+            this.webSocketManager.authenticate(session ? session.token : null);
+            this.updateStartButton();
+            // Show the signed-in player's own rank
+            this.dashboard.loadHighScores();
+        };
         
         // Initialize WebSocket connection
         this.webSocketManager.connect();
         
+        // Initialize Web3 connection
+        await this.web3Manager.init();
+        
         // Initialize dashboard with Web3Manager
         this.dashboard.setWeb3Manager(this.web3Manager);
         await this.dashboard.init();
@@ -35,6 +49,40 @@ class App {
         };
         this.game.onGameOver = (score, isValid, proof) => this.handleGameOver(score, isValid, proof);
         
+        // Race rooms: everyone starts the shared seed together
+        this.raceClient = new RaceClient(this.webSocketManager, this.game);
+        this.raceClient.onRaceStart = (seed) => this.startGame(seed);
+        this.raceClient.init();
+        
+        // Stream our run while someone is watching it
+        this.game.onTick = (tick) => {
+            this.raceClient.onTick(tick);
+            if (this.webSocketManager.spectatorCount > 0) {
+                this.webSocketManager.sendSpectatorFrame(this.game.captureFrame());
+            }
+        };
+        this.webSocketManager.onSpectatorCount = (count) => {
+            document.getElementById('spectatorCount').textContent = count;
+            document.getElementById('spectatorHud').classList.toggle('hidden', count === 0);
+        };
+        
+        // Live runs of other players, drawn on our canvas
+        this.spectatorClient = new SpectatorClient(this.game);
+        this.spectatorClient.onWatch = () => this.closeReplay();
+        this.spectatorClient.onClose = () => this.game.draw();
+        this.spectatorClient.connect();
+        
+        // The server re-simulates every run and may refuse the claimed score
+        this.webSocketManager.onScoreRejected = (data) => {
+            document.getElementById('scoreStatus').textContent = `Score rejected by server (${data.reason})`;
+        };
+        
+        // A season closed or started: new pool, countdown and seed
+        this.webSocketManager.onSeasonChange = () => {
+            this.dashboard.loadPrizePool();
+            this.dashboard.loadHighScores();
+        };
+        
         // Setup event listeners
         this.setupEventListeners();
         
@@ -44,6 +92,13 @@ class App {
         
         // Update UI based on wallet connection
         this.updateStartButton();
+        this.updateRaceGhostButton();
+        
+        // ?watch=<channelId> or ?watch=auto, e.g. for a big screen at events
+        const watch = new URLSearchParams(window.location.search).get('watch');
+        if (watch) {
+            this.spectatorClient.watch(watch);
+        }
     }
 
     setupEventListeners() {
@@ -63,26 +118,82 @@ class App {
             this.restartGame();
         });
 
+        document.getElementById('raceGhost').addEventListener('click', () => {
+            const bestRecording = this.game.getBestRecording();
+            if (bestRecording) {
+                this.startGame(bestRecording.seed);
+            }
+        });
+
         // Modal controls
         document.getElementById('playAgain').addEventListener('click', () => {
             this.closeGameOverModal();
             this.startGame();
         });
 
+        document.getElementById('watchReplay').addEventListener('click', () => {
+            this.closeGameOverModal();
+            this.watchReplay(this.game.getRecording());
+        });
+
         document.getElementById('closeModal').addEventListener('click', () => {
             this.closeGameOverModal();
         });
     }
 
-    startGame() {
+    watchReplay(recording) {
+        if (!recording) return;
+
+        this.closeReplay();
+        this.spectatorClient.close();
+        this.replayPlayer = new ReplayPlayer(this.game, recording);
+        this.replayPlayer.onClose = () => {
+            this.replayPlayer = null;
+            this.game.draw();
+        };
+        this.replayPlayer.start();
+    }
+
+    closeReplay() {
+        if (this.replayPlayer) {
+            this.replayPlayer.close();
+        }
+    }
+
+    async startGame(seed = this.getRunSeed()) {
         if (this.game && this.web3Manager.isWalletConnected()) {
+            // The server only starts sessions for signed-in wallets
+            if (!this.web3Manager.isAuthenticated()) {
+                try {
+                    await this.web3Manager.signIn();
+                } catch (error) {
+                    console.error('Sign-in failed:', error);
+                    alert('Please sign the message in your wallet to play');
+                    return;
+                }
+            }
+            
+            // One wallet signature lets a session key sign every state update of the run
+            let sessionKey;
+            try {
+                sessionKey = await this.web3Manager.getSessionKey();
+            } catch (error) {
+                console.error('Session key authorization failed:', error);
+                alert('Please sign the session key in your wallet to play');
+                return;
+            }
+            
+            this.closeReplay();
+            this.spectatorClient.close();
+            
             // Join game session via WebSocket
             this.webSocketManager.joinGame({
                 walletAddress: this.web3Manager.getAccount(),
-                gameId: 'turbowheel_v1'
-            });
+                gameId: 'turbowheel_v1',
+                sessionKey: sessionKey.authorization
+            }, sessionKey.wallet);
             
-            this.game.start();
+            this.game.start(seed);
             document.getElementById('startGame').classList.add('hidden');
             document.getElementById('restartGame').classList.remove('hidden');
         } else if (!this.web3Manager.isWalletConnected()) {
@@ -92,29 +203,61 @@ class App {
 
     restartGame() {
         if (this.game) {
-            this.game.restart();
+            this.closeReplay();
+            this.spectatorClient.close();
+            this.game.restart(this.getRunSeed());
         }
     }
 
+    getRunSeed() {
+        // A seed in the URL wins, otherwise the season's seed when it has one
+        const seed = this.getSeedFromUrl();
+        return seed !== undefined ? seed : this.dashboard.getSeasonSeed();
+    }
+
+    getSeedFromUrl() {
+        // ?seed=1234 replays a reported run or a seeded competition
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed !== null && /^\d+$/.test(seed) ? parseInt(seed, 10) : undefined;
+    }
+
     async handleGameOver(score, isValid, proof) {
         console.log('Game over - Score:', score, 'Valid:', isValid);
         
+        // Let the race room know we crashed before waiting on the wallet
+        this.raceClient.finishRun();
+        
         // Always allow score submission for demo
         if (!isValid) {
             console.log('Score was invalid, but allowing for demo purposes');
         }
         
+        // Sign the result with the wallet so the server can bind it to this address
+        let signedResult = null;
+        try {
+            signedResult = await this.web3Manager.signScoreSubmission(proof, score);
+        } catch (error) {
+            console.error('Score signature declined or failed:', error);
+        }
+        
         // Send game over event via WebSocket with proof
         this.webSocketManager.endGame({
             score: score,
             player: this.web3Manager.getAccount(),
             gameId: 'turbowheel_v1',
             proof: proof,
+            signedResult: signedResult,
             isValid: true // Force valid for demo
         });
         
+        // Offer to race the personal best on its seed
+        this.updateRaceGhostButton();
+        
         // Show game over modal
         document.getElementById('finalScore').textContent = score;
+        document.getElementById('scoreStatus').textContent = signedResult
+            ? 'Your score has been recorded on-chain!'
+            : 'Score not submitted: the result was not signed';
         document.getElementById('gameOverModal').classList.remove('hidden');
         
         // Update best score
@@ -122,7 +265,7 @@ class App {
         
         // Always submit score to dashboard
         try {
-            await this.dashboard.submitScore(score);
+            await this.dashboard.submitScore(score, proof, signedResult);
             console.log('Score submitted to dashboard successfully:', score);
         } catch (error) {
             console.error('Failed to submit score:', error);
@@ -133,12 +276,17 @@ class App {
         document.getElementById('gameOverModal').classList.add('hidden');
     }
 
+    updateRaceGhostButton() {
+        const hasBestRun = Boolean(this.game && this.game.getBestRecording());
+        document.getElementById('raceGhost').classList.toggle('hidden', !hasBestRun);
+    }
+
     updateStartButton() {
         const startButton = document.getElementById('startGame');
         const isConnected = this.web3Manager.isWalletConnected();
         
         if (isConnected) {
-            startButton.textContent = 'Start Game';
+            startButton.textContent = this.web3Manager.isAuthenticated() ? 'Start Game' : 'Sign In & Start';
             startButton.disabled = false;
             startButton.classList.remove('opacity-50', 'cursor-not-allowed');
         } else {
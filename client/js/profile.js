@@ -0,0 +1,119 @@
+const HISTORY_RUNS = 20;
+
+/**
+ * Player profile modal
+ * Shows a player's aggregates, winnings, rank and a chart of recent runs.
+ */
+export class ProfileView {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        this.address = null;
+        this.handleKey = (e) => {
+            if (e.key === 'Escape') this.hide();
+        };
+    }
+
+    init() {
+        this.modal = document.getElementById('profileModal');
+        this.content = document.getElementById('profileContent');
+
+        document.getElementById('closeProfile').addEventListener('click', () => this.hide());
+        this.modal.addEventListener('click', (e) => {
+            // Click on the backdrop
+            if (e.target === this.modal) this.hide();
+        });
+    }
+
+    async show(address) {
+        this.address = address;
+        this.content.innerHTML = '<div class="text-gray-400 text-center py-6">Loading...</div>';
+        this.modal.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKey);
+
+        try {
+            const profile = await this.apiClient.getPlayerProfile(address, { limit: HISTORY_RUNS });
+            // Another profile was opened while this one was loading
+            if (address !== this.address) return;
+
+            this.content.innerHTML = profile
+                ? this.renderProfile(profile)
+                : '<div class="text-gray-400 text-center py-6">This player has no recorded runs yet</div>';
+        } catch (error) {
+            if (address !== this.address) return;
+            this.content.innerHTML = '<div class="text-red-400 text-center py-6">Could not load this profile</div>';
+        }
+    }
+
+    hide() {
+        this.address = null;
+        this.modal.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKey);
+    }
+
+    renderProfile(profile) {
+        const stats = [
+            ['Games', profile.gamesPlayed],
+            ['Best', profile.bestScore],
+            ['Average', profile.averageScore],
+            ['Coins', profile.totalCoins],
+            ['Rank', profile.rank ? `#${profile.rank.rank} / ${profile.rank.total}` : '-'],
+            ['Winnings', `${profile.winnings.total} ETH`]
+        ];
+
+        return `
+            <div class="font-mono text-xs text-gray-400 break-all mb-4">${profile.address}</div>
+            <div class="grid grid-cols-3 gap-2 mb-4">
+                ${stats.map(([label, value]) => `
+                    <div class="bg-gray-800 rounded p-2 text-center">
+                        <div class="text-lg font-bold">${value}</div>
+                        <div class="text-xs text-gray-400">${label}</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${this.renderHistory(profile.runs)}
+            ${this.renderPrizes(profile.winnings.prizes)}
+            <div class="text-xs text-gray-500 mt-4">
+                ${profile.firstPlayed ? `Playing since ${this.formatDate(profile.firstPlayed)}` : ''}
+            </div>
+        `;
+    }
+
+    // Bar chart of recent runs, oldest on the left
+    renderHistory(runs) {
+        if (runs.length === 0) {
+            return '';
+        }
+
+        const best = Math.max(...runs.map(run => run.score), 1);
+        const bars = runs.slice().reverse().map(run => {
+            const height = Math.max(4, Math.round((run.score / best) * 100));
+            return `<div class="flex-1 bg-blue-500 rounded-t" style="height: ${height}%"
+                title="${run.score} pts · ${run.coins} coins · ${this.formatDate(run.timestamp)}"></div>`;
+        }).join('');
+
+        return `
+            <h3 class="font-semibold mb-2">Last ${runs.length} runs</h3>
+            <div class="flex items-end space-x-1 h-24 bg-gray-800 rounded p-2 mb-4">${bars}</div>
+        `;
+    }
+
+    renderPrizes(prizes) {
+        if (prizes.length === 0) {
+            return '';
+        }
+
+        return `
+            <h3 class="font-semibold mb-2">Prizes</h3>
+            ${prizes.map(prize => `
+                <div class="flex justify-between bg-gray-800 rounded p-2 mb-1">
+                    <span>#${prize.position} · ${prize.score} pts</span>
+                    <span>${prize.amount} ETH · ${this.formatDate(prize.distributedAt)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString();
+    }
+}
@@ -0,0 +1,221 @@
+// Send our car 20 times per second
+const POSITION_INTERVAL_TICKS = 3;
+
+/**
+ * Race room panel and live opponent feed
+ * Joins rooms through the matchmaking queue or a private code, handles
+ * ready-up and the countdown, streams our car to the room and draws the
+ * other racers as ghosts on the Game canvas.
+ */
+export class RaceClient {
+    constructor(webSocketManager, game) {
+        this.webSocketManager = webSocketManager;
+        this.game = game;
+        this.room = null;
+        this.racing = false;
+        this.queuePosition = null;
+        this.countdownTimer = null;
+        this.standings = null; // Result of the last race in this room
+
+        // Callbacks
+        this.onRaceStart = null;
+    }
+
+    init() {
+        document.getElementById('raceQuick').addEventListener('click', () => {
+            if (this.queuePosition) {
+                this.webSocketManager.leaveRaceQueue();
+            } else {
+                this.webSocketManager.queueRace();
+            }
+        });
+        document.getElementById('raceCreate').addEventListener('click', () => this.webSocketManager.createRace());
+        document.getElementById('raceJoin').addEventListener('click', () => {
+            const code = document.getElementById('raceCode').value.trim();
+            if (code) this.webSocketManager.joinRace(code);
+        });
+        document.getElementById('raceReady').addEventListener('click', () => {
+            const me = this.getMe();
+            this.webSocketManager.setRaceReady(!(me && me.ready));
+        });
+        document.getElementById('raceLeave').addEventListener('click', () => this.webSocketManager.leaveRace());
+
+        const ws = this.webSocketManager;
+        ws.onRaceRoom = (room) => this.onRoom(room);
+        ws.onRaceQueued = ({ position }) => {
+            this.queuePosition = position;
+            this.render();
+        };
+        ws.onRaceCountdown = (data) => this.startCountdown(data.seconds);
+        ws.onRaceStart = (data) => this.startRace(data.seed);
+        ws.onRaceOpponent = (data) => {
+            if (!this.racing) return;
+            this.game.setOpponent(data.id, {
+                x: data.x,
+                score: data.score,
+                crashed: data.crashed,
+                label: this.shortAddress(data.address)
+            });
+        };
+        ws.onRaceStandings = (data) => this.showStandings(data.standings);
+        ws.onRaceError = (data) => this.setStatus(data.message);
+
+        this.render();
+    }
+
+    /**
+     * Called every simulation tick: stream our car while racing
+     * @param {number} tick - Tick just simulated
+     */
+    onTick(tick) {
+        if (this.racing && tick % POSITION_INTERVAL_TICKS === 0) {
+            this.sendPosition(false);
+        }
+    }
+
+    /**
+     * Our run ended: tell the room we crashed, the verified result follows via game-over
+     */
+    finishRun() {
+        if (!this.racing) return;
+        this.sendPosition(true);
+        this.racing = false;
+        this.setStatus('Crashed! Waiting for the others...');
+    }
+
+    sendPosition(crashed) {
+        this.webSocketManager.sendRacePosition({
+            tick: this.game.tick,
+            x: Math.round(this.game.car.x),
+            score: this.game.score,
+            crashed: crashed
+        });
+    }
+
+    onRoom(room) {
+        if (!room || !this.room || room.code !== this.room.code) {
+            this.standings = null;
+        }
+        this.room = room;
+        if (room) {
+            this.queuePosition = null;
+        } else {
+            this.racing = false;
+            this.game.clearOpponents();
+        }
+        // The countdown was cancelled (someone left or un-readied)
+        if (!room || room.status === 'waiting') {
+            this.stopCountdown();
+        }
+        this.render();
+    }
+
+    startCountdown(seconds) {
+        this.stopCountdown();
+        const endsAt = Date.now() + seconds * 1000;
+        const tick = () => {
+            const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+            this.setStatus(remaining > 0 ? `Starting in ${remaining}...` : 'Go!');
+        };
+        tick();
+        this.countdownTimer = setInterval(tick, 200);
+    }
+
+    stopCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+    }
+
+    startRace(seed) {
+        this.stopCountdown();
+        this.racing = true;
+        this.standings = null;
+        this.game.clearOpponents();
+        this.setStatus('Racing!');
+        this.render();
+        if (this.onRaceStart) this.onRaceStart(seed);
+    }
+
+    showStandings(standings) {
+        this.racing = false;
+        this.standings = standings;
+        this.game.clearOpponents();
+        this.setStatus('Race over - ready up for a rematch');
+        this.render();
+    }
+
+    renderStandings() {
+        const standingsElement = document.getElementById('raceStandings');
+        if (!this.standings) {
+            standingsElement.innerHTML = '';
+            return;
+        }
+
+        const myId = this.webSocketManager.socket?.id;
+        standingsElement.innerHTML = `
+            <div class="text-white font-semibold mb-1">Standings</div>
+            ${this.standings.map(result => `
+                <div class="flex justify-between p-1 rounded ${result.id === myId ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300'}">
+                    <span>${result.position}. ${this.shortAddress(result.address)}</span>
+                    <span>${result.status === 'finished' ? `${result.score} pts` : result.status.toUpperCase()}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    getMe() {
+        const myId = this.webSocketManager.socket?.id;
+        return this.room ? this.room.players.find(player => player.id === myId) : null;
+    }
+
+    setStatus(text) {
+        document.getElementById('raceStatus').textContent = text;
+    }
+
+    render() {
+        const inRoom = !!this.room;
+        document.getElementById('raceLobby').classList.toggle('hidden', inRoom);
+        document.getElementById('raceRoom').classList.toggle('hidden', !inRoom);
+        document.getElementById('raceQuick').textContent = this.queuePosition ? 'Leave Queue' : 'Quick Race';
+        this.renderStandings();
+
+        if (!inRoom) {
+            if (this.queuePosition) {
+                this.setStatus(`Looking for opponents... (#${this.queuePosition} in queue)`);
+            }
+            return;
+        }
+
+        const room = this.room;
+        const myId = this.webSocketManager.socket?.id;
+        document.getElementById('raceRoomInfo').innerHTML = room.isPrivate
+            ? `Private room <span class="font-mono font-bold">${room.code}</span> - share the code`
+            : `Room <span class="font-mono font-bold">${room.code}</span>`;
+
+        document.getElementById('racePlayers').innerHTML = room.players.map(player => `
+            <div class="flex justify-between p-1 rounded bg-gray-800 ${player.id === myId ? 'text-blue-300' : 'text-gray-300'}">
+                <span>${this.shortAddress(player.address)}${player.id === myId ? ' (you)' : ''}</span>
+                <span>${player.status || (player.ready ? '✅ ready' : '⏳')}</span>
+            </div>
+        `).join('');
+
+        const me = this.getMe();
+        const readyButton = document.getElementById('raceReady');
+        readyButton.textContent = me && me.ready ? 'Not Ready' : 'Ready';
+        readyButton.disabled = room.status === 'racing';
+
+        // Keep the race-over message next to the standings
+        if (this.standings) {
+            return;
+        }
+        if (room.status === 'waiting' && room.players.length < room.minPlayers) {
+            this.setStatus(`Waiting for players (${room.players.length}/${room.maxPlayers})...`);
+        } else if (room.status === 'waiting') {
+            this.setStatus('Waiting for everyone to be ready...');
+        }
+    }
+
+    shortAddress(address) {
+        return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'anonymous';
+    }
+}
@@ -0,0 +1,235 @@
+import { InputCursor } from '../../shared/recording.js';
+
+const SPEEDS = [0.5, 1, 2, 4];
+const SEEK_STEP_SECONDS = 5;
+const CONTROLS_HEIGHT = 36;
+
+/**
+ * Plays a recording back through Game, tick for tick
+ * Canvas controls: play/pause, seek bar, speed, close
+ * Keyboard: Space play/pause, ←/→ seek, +/- speed, Esc close
+ */
+export class ReplayPlayer {
+    constructor(game, recording) {
+        this.game = game;
+        this.recording = recording;
+        this.tickMs = 1000 / recording.tickRate;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.animationFrameId = null;
+        this.cursor = null;
+
+        // Callbacks
+        this.onClose = null;
+
+        this.handleClick = (e) => this.onCanvasClick(e);
+        this.handleKey = (e) => this.onKeyDown(e);
+    }
+
+    start() {
+        this.game.stop();
+        this.game.replaying = true;
+        this.game.canvas.addEventListener('click', this.handleClick);
+        document.addEventListener('keydown', this.handleKey);
+
+        this.seek(0);
+        this.play();
+        this.animationFrameId = requestAnimationFrame((time) => this.loop(time));
+    }
+
+    close() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.game.canvas.removeEventListener('click', this.handleClick);
+        document.removeEventListener('keydown', this.handleKey);
+        this.game.replaying = false;
+
+        if (this.onClose) this.onClose();
+    }
+
+    play() {
+        if (this.isFinished()) {
+            this.seek(0);
+        }
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Jump to a tick by re-simulating the run from the seed
+     * @param {number} tick - Target tick
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.recording.ticks, Math.round(tick)));
+
+        this.game.reset(this.recording.seed);
+        this.cursor = new InputCursor(this.recording, { targetX: this.game.car.x });
+        this.accumulator = 0;
+
+        while (this.game.tick < target) {
+            this.step();
+        }
+        this.render(1);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    cycleSpeed(direction = 1) {
+        const index = SPEEDS.indexOf(this.speed) + direction;
+        this.setSpeed(SPEEDS[Math.max(0, Math.min(SPEEDS.length - 1, index))]);
+    }
+
+    isFinished() {
+        return this.game.tick >= this.recording.ticks;
+    }
+
+    step() {
+        this.game.update(this.cursor.inputAt(this.game.tick + 1));
+    }
+
+    loop(frameTime) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = frameTime;
+        }
+        const elapsed = Math.min(frameTime - this.lastFrameTime, 250);
+        this.lastFrameTime = frameTime;
+
+        if (this.isPlaying) {
+            this.accumulator += elapsed * this.speed;
+            while (this.accumulator >= this.tickMs && !this.isFinished()) {
+                this.step();
+                this.accumulator -= this.tickMs;
+            }
+            if (this.isFinished()) {
+                this.isPlaying = false;
+                this.accumulator = 0;
+            }
+        }
+
+        this.render(this.isPlaying ? this.accumulator / this.tickMs : 1);
+        this.animationFrameId = requestAnimationFrame((time) => this.loop(time));
+    }
+
+    render(alpha) {
+        this.game.draw(alpha);
+        this.drawControls();
+    }
+
+    drawControls() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game;
+        const top = height - CONTROLS_HEIGHT;
+        const bar = this.getProgressBarBounds();
+        const progress = this.recording.ticks > 0 ? this.game.tick / this.recording.ticks : 0;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, top, width, CONTROLS_HEIGHT);
+
+        // Play / pause button
+        ctx.fillStyle = '#fff';
+        if (this.isPlaying) {
+            ctx.fillRect(14, top + 10, 5, 16);
+            ctx.fillRect(24, top + 10, 5, 16);
+        } else {
+            ctx.beginPath();
+            ctx.moveTo(14, top + 10);
+            ctx.lineTo(30, top + 18);
+            ctx.lineTo(14, top + 26);
+            ctx.fill();
+        }
+
+        // Seek bar
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+
+        // Time, speed and close
+        ctx.fillStyle = '#fff';
+        ctx.font = '13px Arial';
+        ctx.fillText(`${this.formatTicks(this.game.tick)} / ${this.formatTicks(this.recording.ticks)}`, width - 200, top + 23);
+        ctx.fillText(`${this.speed}x`, width - 80, top + 23);
+        ctx.fillText('✕', width - 28, top + 23);
+
+        // Replay badge
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText(`REPLAY · seed ${this.recording.seed} · score ${this.game.score}`, 10, 22);
+        ctx.restore();
+    }
+
+    getProgressBarBounds() {
+        const top = this.game.height - CONTROLS_HEIGHT;
+        return { x: 45, y: top + 15, width: this.game.width - 260, height: 6 };
+    }
+
+    formatTicks(ticks) {
+        const seconds = Math.floor(ticks / this.recording.tickRate);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    onCanvasClick(e) {
+        const rect = this.game.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.game.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.game.height / rect.height);
+        const { width, height } = this.game;
+
+        if (y < height - CONTROLS_HEIGHT) {
+            this.togglePlay();
+            return;
+        }
+
+        const bar = this.getProgressBarBounds();
+        if (x < bar.x) {
+            this.togglePlay();
+        } else if (x <= bar.x + bar.width) {
+            this.seek(((x - bar.x) / bar.width) * this.recording.ticks);
+        } else if (x >= width - 90 && x < width - 40) {
+            this.cycleSpeed(SPEEDS.indexOf(this.speed) === SPEEDS.length - 1 ? -SPEEDS.length : 1);
+        } else if (x >= width - 40) {
+            this.close();
+        }
+    }
+
+    onKeyDown(e) {
+        const seekTicks = SEEK_STEP_SECONDS * this.recording.tickRate;
+
+        switch (e.key) {
+            case ' ':
+                e.preventDefault();
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                this.seek(this.game.tick - seekTicks);
+                break;
+            case 'ArrowRight':
+                this.seek(this.game.tick + seekTicks);
+                break;
+            case '+':
+            case '=':
+                this.cycleSpeed(1);
+                break;
+            case '-':
+                this.cycleSpeed(-1);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+}
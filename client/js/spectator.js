@@ -0,0 +1,277 @@
+import io from 'socket.io-client';
+import { COIN_SIZE, OBSTACLE_SIZE } from '../../shared/game-core.js';
+
+// Before following the next live run in auto mode
+const FOLLOW_DELAY_MS = 5000;
+
+/**
+ * Watches live runs from the server's /spectate namespace
+ * Lists the sessions being played ("Live now") and draws a watched one
+ * through Game from the frames its player streams.
+ * Keyboard while watching: F fullscreen, Esc stop watching
+ * ?watch=<channelId> opens a run directly, ?watch=auto keeps following whoever plays
+ */
+export class SpectatorClient {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.sessions = [];
+        this.watching = null; // { channelId, player, frame, ended, finalScore }
+        this.autoFollow = false;
+        this.followTimeout = null;
+        this.animationFrameId = null;
+
+        // Callbacks
+        this.onWatch = null;
+        this.onClose = null;
+
+        this.handleKey = (e) => this.onKeyDown(e);
+    }
+
+    connect(serverUrl = 'http://localhost:3000') {
+        this.socket = io(`${serverUrl}/spectate`, {
+            transports: ['websocket', 'polling']
+        });
+
+        // Rooms do not survive a reconnect, ask for the run again
+        this.socket.on('connect', () => {
+            if (this.watching && !this.watching.ended) {
+                this.socket.emit('watch', { channelId: this.watching.channelId });
+            }
+        });
+
+        this.socket.on('live-sessions', (sessions) => {
+            this.sessions = sessions;
+            this.renderSessions();
+            if (this.autoFollow && (!this.watching || this.watching.ended) && !this.followTimeout) {
+                this.followNext();
+            }
+        });
+
+        this.socket.on('watch-started', (data) => this.begin(data));
+
+        this.socket.on('frame', (frame) => {
+            if (this.watching && !this.watching.ended) {
+                this.watching.frame = frame;
+            }
+        });
+
+        this.socket.on('session-ended', (data) => this.endSession(data));
+
+        this.socket.on('watch-error', (data) => {
+            console.warn('Watch error:', data.message);
+            if (this.autoFollow) {
+                this.scheduleFollow();
+            }
+        });
+
+        document.getElementById('liveSessions').addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-channel]');
+            if (entry) {
+                this.watch(entry.dataset.channel);
+            }
+        });
+    }
+
+    /**
+     * Start watching a live run
+     * @param {string} channelId - Session channel, or 'auto' to follow whoever is playing
+     */
+    watch(channelId) {
+        // Never take the canvas away from a run in progress
+        if (this.game.isRunning) {
+            return;
+        }
+
+        if (channelId === 'auto') {
+            this.autoFollow = true;
+            this.followNext();
+            return;
+        }
+        this.socket.emit('watch', { channelId });
+    }
+
+    // Auto mode: the live run with the highest score
+    followNext() {
+        clearTimeout(this.followTimeout);
+        this.followTimeout = null;
+
+        const next = [...this.sessions].sort((a, b) => b.score - a.score)[0];
+        if (next) {
+            this.socket.emit('watch', { channelId: next.channelId });
+        }
+    }
+
+    scheduleFollow() {
+        clearTimeout(this.followTimeout);
+        this.followTimeout = setTimeout(() => this.followNext(), FOLLOW_DELAY_MS);
+    }
+
+    begin(data) {
+        if (!this.watching) {
+            if (this.onWatch) this.onWatch();
+            this.game.stop();
+            this.game.replaying = true;
+            this.game.ghost = null;
+            document.addEventListener('keydown', this.handleKey);
+            this.animationFrameId = requestAnimationFrame(() => this.loop());
+        }
+
+        this.watching = {
+            channelId: data.channelId,
+            player: data.player,
+            frame: data.frame,
+            ended: false,
+            finalScore: null
+        };
+    }
+
+    endSession(data) {
+        if (!this.watching || this.watching.channelId !== data.channelId) {
+            return;
+        }
+        this.watching.ended = true;
+        this.watching.finalScore = data.finalScore;
+
+        if (this.autoFollow) {
+            this.scheduleFollow();
+        }
+    }
+
+    isWatching() {
+        return this.watching !== null;
+    }
+
+    close() {
+        if (!this.watching) {
+            return;
+        }
+
+        cancelAnimationFrame(this.animationFrameId);
+        clearTimeout(this.followTimeout);
+        this.followTimeout = null;
+        document.removeEventListener('keydown', this.handleKey);
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        this.socket.emit('unwatch');
+        this.watching = null;
+        this.autoFollow = false;
+        this.game.replaying = false;
+
+        if (this.onClose) this.onClose();
+    }
+
+    loop() {
+        if (this.watching.frame) {
+            this.applyFrame(this.watching.frame);
+        }
+        this.game.draw();
+        this.drawOverlay();
+        this.animationFrameId = requestAnimationFrame(() => this.loop());
+    }
+
+    /**
+     * Put a streamed frame into the world Game draws
+     * @param {Object} frame - { t, x, s, l, c, o } (see server/spectators.js)
+     */
+    applyFrame(frame) {
+        const core = this.game.core;
+        core.tick = frame.t;
+        core.score = frame.s;
+        core.speedLevel = frame.l;
+        core.car.x = frame.x;
+        core.car.prevX = frame.x;
+        core.coins = frame.c.map(([x, y]) => ({ x, y, width: COIN_SIZE, height: COIN_SIZE }));
+        core.obstacles = frame.o.map(([x, y]) => ({ x, y, width: OBSTACLE_SIZE, height: OBSTACLE_SIZE }));
+        core.particles = [];
+    }
+
+    drawOverlay() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game;
+        const { channelId, player, frame, ended, finalScore } = this.watching;
+        const session = this.sessions.find(s => s.channelId === channelId);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, 32);
+
+        ctx.font = 'bold 14px Arial';
+        ctx.fillStyle = ended ? '#aaa' : '#ff4d4d';
+        ctx.fillText(ended ? '■ ENDED' : '● LIVE', 10, 21);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(`${this.shortAddress(player)} · score ${frame ? frame.s : 0}`, 90, 21);
+        if (session) {
+            ctx.fillText(`👁 ${session.spectators}`, width - 60, 21);
+        }
+
+        ctx.font = '12px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText('F fullscreen · Esc close', 10, height - 10);
+
+        if (!frame && !ended) {
+            this.drawMessage('Waiting for the player...');
+        } else if (ended) {
+            const result = finalScore !== null ? `Final score ${finalScore}` : 'Run over';
+            this.drawMessage(this.autoFollow ? `${result} · next run soon` : result);
+        }
+        ctx.restore();
+    }
+
+    drawMessage(text) {
+        const ctx = this.game.ctx;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, this.game.height / 2 - 30, this.game.width, 60);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 22px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, this.game.width / 2, this.game.height / 2 + 8);
+        ctx.textAlign = 'left';
+    }
+
+    renderSessions() {
+        const listElement = document.getElementById('liveSessions');
+        if (this.sessions.length === 0) {
+            listElement.innerHTML = '<div>No one is playing right now</div>';
+            return;
+        }
+
+        listElement.innerHTML = this.sessions.map(session => `
+            <div data-channel="${session.channelId}" class="flex justify-between p-1 rounded cursor-pointer hover:bg-white/10">
+                <span>🔴 ${this.shortAddress(session.player)}</span>
+                <span>${session.score} pts · 👁 ${session.spectators}</span>
+            </div>
+        `).join('');
+    }
+
+    onKeyDown(e) {
+        switch (e.key) {
+            case 'f':
+            case 'F':
+                this.toggleFullscreen();
+                break;
+            case 'Escape':
+                // The browser leaves fullscreen on its own, close only when windowed
+                if (!document.fullscreenElement) {
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        } else {
+            this.game.canvas.requestFullscreen().catch((error) => {
+                console.warn('Fullscreen refused:', error.message);
+            });
+        }
+    }
+
+    shortAddress(address) {
+        return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'anonymous';
+    }
+}
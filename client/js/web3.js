@@ -1,4 +1,13 @@
 import { ethers } from 'ethers';
+import { SiweMessage } from 'siwe';
+import { ApiClient } from './api.js';
+import { SCORE_TYPES, buildScoreDomain, serializeRecording } from '../../shared/typed-data.js';
+import { DEFAULT_PRIZE_RULES, computePrizeDistribution, describePrizePlaces } from '../../shared/prize-rules.js';
+import { SESSION_KEY_TYPES, buildChannelDomain } from '../../shared/channel-state.js';
+
+// How long the wallet authorizes a session key for, and the least it must have left to start a game
+const SESSION_KEY_TTL_SECONDS = 12 * 60 * 60;
+const SESSION_KEY_MIN_REMAINING_SECONDS = 10 * 60;
 
 export class Web3Manager {
     constructor() {
@@ -7,6 +16,13 @@ export class Web3Manager {
         this.account = null;
         this.isConnected = false;
         this.chainId = null;
+        this.network = null; // Chain the server signs for, from /api/network
+        this.apiClient = new ApiClient();
+        this.authSession = null;
+        this.sessionKey = null; // { player, wallet, authorization }, kept in memory only
+        
+        // Callbacks
+        this.onAuthChange = null;
     }
 
     async init() {
@@ -20,6 +36,8 @@ export class Web3Manager {
                     this.disconnect();
                 } else {
                     this.account = accounts[0];
+                    // A session belongs to one wallet
+                    this.restoreAuthSession();
                     this.updateUI();
                 }
             });
@@ -38,6 +56,7 @@ export class Web3Manager {
                     this.signer = await this.provider.getSigner();
                     this.isConnected = true;
                     this.chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+                    this.restoreAuthSession();
                     this.updateUI();
                 }
             } catch (error) {
@@ -66,13 +85,21 @@ export class Web3Manager {
                 this.isConnected = true;
                 this.chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
                 
-                // Switch to Sepolia testnet if not already
-                if (this.chainId !== 11155111) {
-                    await this.switchToSepolia();
+                // Scores, session keys and sign-ins are only accepted on the server's chain
+                const network = await this.getNetwork();
+                if (this.chainId !== network.chainId) {
+                    await this.switchChain(network);
+                    this.chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
                 }
                 
                 this.updateUI();
                 console.log('Wallet connected:', this.account);
+                
+                // Prove control of the address to the server
+                this.restoreAuthSession();
+                if (!this.authSession) {
+                    await this.signIn();
+                }
             }
         } catch (error) {
             console.error('Error connecting wallet:', error);
@@ -82,32 +109,105 @@ export class Web3Manager {
         }
     }
 
-    async switchToSepolia() {
+    /**
+     * Sign-In With Ethereum: sign an EIP-4361 message and get a server session
+     * @returns {Object} Session ({ token, address, expiresAt })
+     */
+    async signIn() {
+        if (!this.isConnected || !this.signer) {
+            throw new Error('Wallet not connected');
+        }
+
+        const nonce = await this.apiClient.getAuthNonce();
+        const message = new SiweMessage({
+            domain: window.location.host,
+            address: ethers.getAddress(this.account),
+            statement: 'Sign in to TurboWheel',
+            uri: window.location.origin,
+            version: '1',
+            chainId: this.chainId,
+            nonce: nonce
+        }).prepareMessage();
+
+        const signature = await this.signer.signMessage(message);
+        const result = await this.apiClient.verifySignIn(message, signature);
+
+        this.authSession = {
+            token: result.token,
+            address: result.address,
+            expiresAt: result.expiresAt
+        };
+        ApiClient.setAuthSession(this.authSession);
+        console.log('Signed in as', result.address);
+
+        if (this.onAuthChange) this.onAuthChange(this.authSession);
+        return this.authSession;
+    }
+
+    /**
+     * Reuse a stored session if it is still valid for the current account
+     */
+    restoreAuthSession() {
+        const session = ApiClient.getAuthSession();
+        const matches = session && this.account && session.address.toLowerCase() === this.account.toLowerCase();
+
+        this.authSession = matches ? session : null;
+        if (!matches) {
+            ApiClient.setAuthSession(null);
+        }
+        if (this.onAuthChange) this.onAuthChange(this.authSession);
+    }
+
+    isAuthenticated() {
+        return Boolean(this.authSession && this.authSession.expiresAt > Date.now());
+    }
+
+    getAuthToken() {
+        return this.isAuthenticated() ? this.authSession.token : null;
+    }
+
+    /**
+     * The chain the server expects, asked once
+     * @returns {Object} { name, chainId, rpcUrl, explorerUrl }
+     */
+    async getNetwork() {
+        if (!this.network) {
+            this.network = await this.apiClient.getNetwork();
+        }
+        return this.network;
+    }
+
+    /**
+     * Switch the wallet to a chain, adding it first if the wallet does not know it
+     * @param {Object} network - From getNetwork()
+     */
+    async switchChain(network) {
+        const chainId = ethers.toQuantity(network.chainId);
         try {
             await window.ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: '0xaa36a7' }], // Sepolia chain ID
+                params: [{ chainId }],
             });
         } catch (switchError) {
             // If the chain doesn't exist, add it
-            if (switchError.code === 4902) {
+            if (switchError.code === 4902 && network.rpcUrl) {
                 try {
                     await window.ethereum.request({
                         method: 'wallet_addEthereumChain',
                         params: [{
-                            chainId: '0xaa36a7',
-                            chainName: 'Sepolia',
-                            rpcUrls: ['https://sepolia.infura.io/v3/'],
+                            chainId: chainId,
+                            chainName: network.name,
+                            rpcUrls: [network.rpcUrl],
                             nativeCurrency: {
-                                name: 'SepoliaETH',
+                                name: 'ETH',
                                 symbol: 'ETH',
                                 decimals: 18
                             },
-                            blockExplorerUrls: ['https://sepolia.etherscan.io']
+                            ...(network.explorerUrl ? { blockExplorerUrls: [network.explorerUrl] } : {})
                         }]
                     });
                 } catch (addError) {
-                    console.error('Error adding Sepolia network:', addError);
+                    console.error(`Error adding the ${network.name} network:`, addError);
                 }
             }
         }
@@ -118,6 +218,10 @@ export class Web3Manager {
         this.signer = null;
         this.isConnected = false;
         this.chainId = null;
+        this.authSession = null;
+        this.sessionKey = null;
+        ApiClient.setAuthSession(null);
+        if (this.onAuthChange) this.onAuthChange(null);
         this.updateUI();
     }
 
@@ -137,6 +241,68 @@ export class Web3Manager {
         }
     }
 
+    /**
+     * Sign the final result of a run as EIP-712 typed data
+     * @param {Object} proof - Score proof from the game (sessionId, seed, recording)
+     * @param {number} score - Final score
+     * @returns {Object} Signed result: typed-data fields plus chainId and signature
+     */
+    async signScoreSubmission(proof, score) {
+        if (!this.isConnected || !this.signer) {
+            throw new Error('Wallet not connected');
+        }
+
+        const value = {
+            player: ethers.getAddress(this.account),
+            score: score,
+            sessionId: proof.sessionId,
+            seed: proof.seed,
+            proofHash: ethers.keccak256(ethers.toUtf8Bytes(serializeRecording(proof.recording)))
+        };
+        const signature = await this.signer.signTypedData(buildScoreDomain(this.chainId), SCORE_TYPES, value);
+
+        return {
+            ...value,
+            chainId: this.chainId,
+            signature: signature
+        };
+    }
+
+    /**
+     * Session key that signs the state updates of game sessions
+     * The wallet authorizes a fresh key once (EIP-712, see shared/channel-state.js)
+     * and it is reused until it is about to expire or the account changes.
+     * @returns {Object} { wallet, authorization: { player, sessionKey, expiresAt, chainId, signature } }
+     */
+    async getSessionKey() {
+        if (!this.isConnected || !this.signer) {
+            throw new Error('Wallet not connected');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const key = this.sessionKey;
+        if (key && key.player.toLowerCase() === this.account.toLowerCase() &&
+            key.authorization.chainId === this.chainId &&
+            key.authorization.expiresAt - now > SESSION_KEY_MIN_REMAINING_SECONDS) {
+            return key;
+        }
+
+        const wallet = ethers.Wallet.createRandom();
+        const value = {
+            player: ethers.getAddress(this.account),
+            sessionKey: wallet.address,
+            expiresAt: now + SESSION_KEY_TTL_SECONDS
+        };
+        const signature = await this.signer.signTypedData(buildChannelDomain(this.chainId), SESSION_KEY_TYPES, value);
+
+        this.sessionKey = {
+            player: this.account,
+            wallet: wallet,
+            authorization: { ...value, chainId: this.chainId, signature }
+        };
+        return this.sessionKey;
+    }
+
     getAccount() {
         return this.account;
     }
@@ -228,51 +394,43 @@ export class YellowSDK {
             .slice(0, 10);
     }
 
-    async getPrizePool() {
+    async getPrizePool(rules = DEFAULT_PRIZE_RULES) {
         if (!this.isInitialized) {
             await this.init();
         }
 
         // Calculate prize pool based on state channel
         const totalScores = this.channel.state.scores.length;
-        const basePrize = '0.01'; // 0.01 ETH base prize
-        const prizePool = ethers.parseEther((parseFloat(basePrize) * totalScores).toString());
-        
+        const basePrize = ethers.parseEther('0.01'); // 0.01 ETH base prize
+        const total = ethers.formatEther(basePrize * BigInt(totalScores));
+
         return {
-            total: ethers.formatEther(prizePool),
-            distribution: {
-                first: '50%',
-                second: '30%',
-                third: '20%'
-            }
+            total: total,
+            ...describePrizePlaces(total, rules)
         };
     }
 
-    async distributePrizes() {
+    /**
+     * Split the channel's prize pool over its best scores
+     * @param {Object} rules - Prize rules (shared/prize-rules.js), the season's when known
+     * @returns {Object} Distribution from computePrizeDistribution()
+     */
+    async distributePrizes(rules = DEFAULT_PRIZE_RULES) {
         if (!this.isInitialized) {
             await this.init();
         }
 
         const highScores = await this.getHighScores();
-        const prizePool = await this.getPrizePool();
-        
-        if (highScores.length < 3) {
+        const prizePool = await this.getPrizePool(rules);
+        const distribution = computePrizeDistribution(highScores, prizePool.total, rules);
+
+        if (!distribution) {
             throw new Error('Not enough players for prize distribution');
         }
 
-        const prizes = {
-            first: ethers.parseEther((parseFloat(prizePool.total) * 0.5).toString()),
-            second: ethers.parseEther((parseFloat(prizePool.total) * 0.3).toString()),
-            third: ethers.parseEther((parseFloat(prizePool.total) * 0.2).toString())
-        };
-
         // In a real implementation, this would trigger the ERC-7824 state channel settlement
-        console.log('Prize distribution:', {
-            first: { player: highScores[0].player, amount: ethers.formatEther(prizes.first) },
-            second: { player: highScores[1].player, amount: ethers.formatEther(prizes.second) },
-            third: { player: highScores[2].player, amount: ethers.formatEther(prizes.third) }
-        });
+        console.log('Prize distribution:', distribution.prizes.map(p => ({ position: p.position, player: p.player, amount: p.amount })));
 
-        return prizes;
+        return distribution;
     }
 }
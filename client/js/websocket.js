@@ -1,15 +1,32 @@
 import io from 'socket.io-client';
+import { ChannelSigner } from './channel.js';
 
 export class WebSocketManager {
     constructor() {
         this.socket = null;
         this.isConnected = false;
         this.gameSession = null;
+        this.channel = null; // ChannelSigner of the session being played
+        this.pendingSessionKey = null;
+        this.spectatorCount = 0;
+        
+        // Callbacks
+        this.onScoreRejected = null;
+        this.onSeasonChange = null;
+        this.onRaceRoom = null;
+        this.onRaceQueued = null;
+        this.onRaceCountdown = null;
+        this.onRaceStart = null;
+        this.onRaceOpponent = null;
+        this.onRaceStandings = null;
+        this.onRaceError = null;
+        this.onSpectatorCount = null;
     }
 
-    connect(serverUrl = 'http://localhost:3000') {
+    connect(serverUrl = 'http://localhost:3000', authToken = null) {
         this.socket = io(serverUrl, {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            auth: { token: authToken }
         });
 
         this.socket.on('connect', () => {
@@ -25,6 +42,41 @@ export class WebSocketManager {
         this.socket.on('game-joined', (data) => {
             console.log('Game joined:', data);
             this.gameSession = data.session;
+            this.channel = new ChannelSigner(data.session, this.pendingSessionKey);
+            // Sent in the handshake so a reconnect picks the session back up
+            this.socket.auth = { ...this.socket.auth, resumeToken: data.session.resumeToken };
+        });
+
+        this.socket.on('game-resumed', (data) => {
+            console.log('Game session resumed at nonce', data.nonce);
+            this.gameSession = data.session;
+            if (this.channel && this.channel.channelId === data.session.channelId) {
+                this.channel.sync(data);
+            }
+        });
+
+        // The server's countersignature of our last state update
+        this.socket.on('channel-state', (signedState) => {
+            if (this.channel && this.channel.channelId === signedState.channelId) {
+                this.channel.signedState = signedState;
+            }
+        });
+
+        this.socket.on('state-rejected', (data) => {
+            console.warn('Channel state rejected:', data.code, data.message);
+            if (this.channel && data.nonce !== null) {
+                this.channel.sync(data);
+            }
+        });
+
+        this.socket.on('resume-failed', (data) => {
+            console.warn('Could not resume game session:', data.message);
+            this.clearGameSession();
+        });
+
+        this.socket.on('session-expired', (data) => {
+            console.warn('Game session expired:', data.reason);
+            this.clearGameSession();
         });
 
         this.socket.on('player-joined', (data) => {
@@ -37,21 +89,99 @@ export class WebSocketManager {
 
         this.socket.on('game-ended', (data) => {
             console.log('Game ended:', data);
+            if (this.gameSession && data.finalState && data.finalState.channelId === this.gameSession.channelId) {
+                this.clearGameSession();
+            }
         });
 
         this.socket.on('player-left', (data) => {
             console.log('Player left:', data);
         });
 
+        this.socket.on('score-rejected', (data) => {
+            console.warn('Score rejected:', data.reason, data.message);
+            if (this.onScoreRejected) this.onScoreRejected(data);
+        });
+
+        this.socket.on('season-started', (season) => {
+            console.log('Season started:', season.name);
+            if (this.onSeasonChange) this.onSeasonChange(season);
+        });
+
+        this.socket.on('season-closed', (season) => {
+            console.log('Season closed:', season.name);
+            if (this.onSeasonChange) this.onSeasonChange(season);
+        });
+
+        // Race rooms
+        this.socket.on('race-room', (room) => {
+            if (this.onRaceRoom) this.onRaceRoom(room);
+        });
+
+        this.socket.on('race-queued', (data) => {
+            if (this.onRaceQueued) this.onRaceQueued(data);
+        });
+
+        this.socket.on('race-countdown', (data) => {
+            if (this.onRaceCountdown) this.onRaceCountdown(data);
+        });
+
+        this.socket.on('race-start', (data) => {
+            console.log('Race started:', data.code, 'seed', data.seed);
+            if (this.onRaceStart) this.onRaceStart(data);
+        });
+
+        this.socket.on('race-opponent', (data) => {
+            if (this.onRaceOpponent) this.onRaceOpponent(data);
+        });
+
+        this.socket.on('race-standings', (data) => {
+            console.log('Race standings:', data.standings);
+            if (this.onRaceStandings) this.onRaceStandings(data);
+        });
+
+        this.socket.on('race-error', (data) => {
+            console.warn('Race error:', data.message);
+            if (this.onRaceError) this.onRaceError(data);
+        });
+
+        // How many people watch our run, frames are only streamed while someone does
+        this.socket.on('spectator-count', (data) => {
+            this.spectatorCount = data.count;
+            if (this.onSpectatorCount) this.onSpectatorCount(data.count);
+        });
+
         this.socket.on('error', (error) => {
             console.error('WebSocket error:', error);
         });
 
+        this.socket.on('connect_error', (error) => {
+            console.error('WebSocket connection refused:', error.message);
+        });
+
         return this.socket;
     }
 
-    joinGame(playerData) {
-        if (this.socket && this.isConnected) {
+    /**
+     * Reconnect with a SIWE session token so the server ties this socket to the wallet
+     * @param {string|null} authToken - JWT from sign-in, or null to continue as guest
+     */
+    authenticate(authToken) {
+        if (!this.socket) return;
+        if (this.socket.auth && this.socket.auth.token === authToken) return;
+
+        this.socket.auth = { token: authToken };
+        this.socket.disconnect().connect();
+    }
+
+    /**
+     * @param {Object} playerData - { walletAddress, gameId, sessionKey: authorization signed by the wallet }
+     * @param {Object} sessionKey - ethers Wallet of the authorized session key, signs the session's states
+     */
+    joinGame(playerData, sessionKey) {
+        // May run right after authenticate(): socket.io buffers the emit until reconnected
+        if (this.socket) {
+            this.pendingSessionKey = sessionKey;
             this.socket.emit('join-game', playerData);
         } else {
             console.error('WebSocket not connected');
@@ -60,15 +190,70 @@ export class WebSocketManager {
 
     updateScore(scoreData) {
         if (this.socket && this.isConnected) {
-            this.socket.emit('score-update', scoreData);
+            // Only updates of a joined session count, and each is a signed channel state
+            if (this.channel) {
+                this.socket.emit('score-update', {
+                    ...scoreData,
+                    channelState: this.channel.sign('score_update', scoreData.score)
+                });
+            }
         } else {
             console.error('WebSocket not connected');
         }
     }
 
     endGame(gameData) {
+        // Buffered while reconnecting, the resumed session receives it
+        if (this.socket) {
+            const channelState = this.channel ? this.channel.sign('game_end', gameData.score) : null;
+            this.socket.emit('game-over', { ...gameData, channelState });
+        } else {
+            console.error('WebSocket not connected');
+        }
+    }
+
+    // Race rooms: matchmaking queue, private codes, ready-up and live positions
+    queueRace() {
+        this.emitRace('race-queue');
+    }
+
+    leaveRaceQueue() {
+        this.emitRace('race-leave-queue');
+    }
+
+    createRace() {
+        this.emitRace('race-create');
+    }
+
+    joinRace(code) {
+        this.emitRace('race-join', { code });
+    }
+
+    setRaceReady(ready) {
+        this.emitRace('race-ready', { ready });
+    }
+
+    leaveRace() {
+        this.emitRace('race-leave');
+    }
+
+    sendRacePosition(position) {
+        // Stale positions are useless, drop them while disconnected
+        if (this.socket && this.isConnected) {
+            this.socket.volatile.emit('race-position', position);
+        }
+    }
+
+    sendSpectatorFrame(frame) {
+        // Like race positions, a late frame is useless
         if (this.socket && this.isConnected) {
-            this.socket.emit('game-over', gameData);
+            this.socket.volatile.emit('spectate-frame', frame);
+        }
+    }
+
+    emitRace(event, data) {
+        if (this.socket) {
+            this.socket.emit(event, data);
         } else {
             console.error('WebSocket not connected');
         }
@@ -80,6 +265,15 @@ export class WebSocketManager {
             this.socket = null;
             this.isConnected = false;
             this.gameSession = null;
+            this.channel = null;
+        }
+    }
+
+    clearGameSession() {
+        this.gameSession = null;
+        this.channel = null;
+        if (this.socket && this.socket.auth) {
+            delete this.socket.auth.resumeToken;
         }
     }
 
@@ -10,6 +10,10 @@ export default defineConfig({
   },
   server: {
     port: 3001,
+    fs: {
+      // The game simulation lives in ../shared so the server can run it too
+      allow: ['..']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3000',
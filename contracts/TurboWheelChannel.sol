@@ -3,6 +3,7 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title TurboWheelChannel
@@ -42,6 +43,8 @@ contract TurboWheelChannel is ReentrancyGuard, Ownable {
     mapping(address => uint256) public playerWinnings;
     
     PrizeDistribution[] public prizeDistributions;
+    mapping(uint256 => bytes32) public settlementRoots;
+    mapping(uint256 => uint256) public seasonPayouts; // season id => distribution id + 1, 0 until paid
     uint256 public totalPrizePool;
     uint256 public constant PRIZE_FEE = 0.001 ether; // 0.001 ETH per game
     uint256 public constant FIRST_PRIZE_PERCENT = 50;
@@ -53,6 +56,8 @@ contract TurboWheelChannel is ReentrancyGuard, Ownable {
     event ScoreSubmitted(bytes32 indexed channelId, address indexed player, uint256 score);
     event PrizeDistributed(uint256 indexed distributionId, address first, address second, address third, uint256 totalAmount);
     event PrizePoolUpdated(uint256 newTotal);
+    event SettlementCommitted(uint256 indexed epoch, bytes32 root, uint256 runCount);
+    event SeasonPaidOut(uint256 indexed distributionId, uint256 indexed seasonId, address[] payees, uint256[] amounts, uint256 totalAmount);
     
     // Modifiers
     modifier onlyChannelParticipant(bytes32 channelId) {
@@ -221,6 +226,95 @@ contract TurboWheelChannel is ReentrancyGuard, Ownable {
         );
     }
     
+    /**
+     * @dev Pay out a server season exactly as the server computed it
+     * The places, ties and house fee come from the season's own prize rules
+     * (shared/prize-rules.js), not from the fixed split of distributePrizes().
+     * A season is paid at most once, so a retried payout cannot pay twice.
+     * @param seasonId The server's season id
+     * @param payees Winners in rank order
+     * @param amounts Wei paid to each payee
+     */
+    function payoutSeason(
+        uint256 seasonId,
+        address[] calldata payees,
+        uint256[] calldata amounts
+    ) external onlyOwner nonReentrant {
+        require(payees.length > 0 && payees.length == amounts.length, "Payees and amounts do not match");
+        require(seasonPayouts[seasonId] == 0, "Season already paid out");
+
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid payee");
+            totalAmount += amounts[i];
+        }
+        require(totalAmount <= totalPrizePool, "Prize pool too small");
+
+        // Record distribution before paying anyone
+        prizeDistributions.push(PrizeDistribution({
+            first: payees[0],
+            second: payees.length > 1 ? payees[1] : address(0),
+            third: payees.length > 2 ? payees[2] : address(0),
+            totalPrize: totalAmount,
+            distributedAt: block.timestamp,
+            distributed: true
+        }));
+        uint256 distributionId = prizeDistributions.length - 1;
+        seasonPayouts[seasonId] = distributionId + 1;
+        totalPrizePool -= totalAmount;
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            playerWinnings[payees[i]] += amounts[i];
+            payable(payees[i]).transfer(amounts[i]);
+        }
+
+        emit SeasonPaidOut(distributionId, seasonId, payees, amounts, totalAmount);
+        emit PrizePoolUpdated(totalPrizePool);
+    }
+
+    /**
+     * @dev Commit the Merkle root of the game sessions settled off-chain in an epoch
+     * @param epoch The server's epoch number
+     * @param root Root of the epoch's runs (see server/settlement.js)
+     * @param runCount Number of runs in the tree
+     */
+    function commitSettlement(uint256 epoch, bytes32 root, uint256 runCount) external onlyOwner {
+        require(root != bytes32(0), "Empty settlement root");
+        require(settlementRoots[epoch] == bytes32(0), "Epoch already committed");
+
+        settlementRoots[epoch] = root;
+
+        emit SettlementCommitted(epoch, root, runCount);
+    }
+
+    /**
+     * @dev Check that a run's final state is part of a committed epoch
+     * @param epoch The epoch the run was settled in
+     * @param channelId The run's state channel
+     * @param player The player's address
+     * @param score Score of the final state
+     * @param nonce Nonce of the final state
+     * @param actionsHash Actions hash of the final state
+     * @param proof Merkle proof from the server
+     * @return Whether the run is in the epoch's tree
+     */
+    function verifySettledRun(
+        uint256 epoch,
+        bytes32 channelId,
+        address player,
+        uint256 score,
+        uint256 nonce,
+        bytes32 actionsHash,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        bytes32 root = settlementRoots[epoch];
+        if (root == bytes32(0)) {
+            return false;
+        }
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(channelId, player, score, nonce, actionsHash))));
+        return MerkleProof.verify(proof, root, leaf);
+    }
+
     /**
      * @dev Get current prize pool amount
      * @return Current total prize pool
@@ -151,6 +151,47 @@ describe("TurboWheelChannel", function () {
     });
   });
 
+  describe("Season Payouts", function () {
+    beforeEach(async function () {
+      // Season pools are funded by sending ETH to the contract
+      await owner.sendTransaction({ to: await turboWheelChannel.getAddress(), value: ethers.parseEther("1") });
+    });
+
+    it("Should pay each payee its computed amount", async function () {
+      // A two-place split with a house fee: not the 50/30/20 of distributePrizes
+      const amounts = [ethers.parseEther("0.54"), ethers.parseEther("0.36")];
+      const payees = [player1.address, player2.address];
+
+      await expect(turboWheelChannel.payoutSeason(7, payees, amounts))
+        .to.emit(turboWheelChannel, "SeasonPaidOut")
+        .withArgs(0, 7, payees, amounts, ethers.parseEther("0.9"))
+        .and.to.changeEtherBalances([player1, player2], amounts);
+
+      expect(await turboWheelChannel.seasonPayouts(7)).to.equal(1);
+      expect(await turboWheelChannel.getPlayerWinnings(player2.address)).to.equal(amounts[1]);
+      expect(await turboWheelChannel.getPrizePool()).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should not pay a season twice", async function () {
+      await turboWheelChannel.payoutSeason(7, [player1.address], [ethers.parseEther("0.1")]);
+
+      await expect(turboWheelChannel.payoutSeason(7, [player1.address], [ethers.parseEther("0.1")]))
+        .to.be.revertedWith("Season already paid out");
+    });
+
+    it("Should reject mismatched payees and payouts above the pool", async function () {
+      await expect(turboWheelChannel.payoutSeason(7, [player1.address, player2.address], [1]))
+        .to.be.revertedWith("Payees and amounts do not match");
+      await expect(turboWheelChannel.payoutSeason(7, [player1.address], [ethers.parseEther("2")]))
+        .to.be.revertedWith("Prize pool too small");
+    });
+
+    it("Should only let the owner pay out", async function () {
+      await expect(turboWheelChannel.connect(player1).payoutSeason(7, [player1.address], [1]))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
   describe("Getters", function () {
     let channelId;
 
@@ -218,4 +259,70 @@ describe("TurboWheelChannel", function () {
       expect(bestScore).to.equal(1000); // Should keep the highest score
     });
   });
+
+  describe("Settlement", function () {
+    // Same leaves and sorted-pair hashing as server/settlement.js
+    const hashRun = (run) => ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "address", "uint256", "uint256", "bytes32"],
+      [run.channelId, run.player, run.score, run.nonce, run.actionsHash]
+    )));
+    const hashPair = (a, b) => BigInt(a) < BigInt(b)
+      ? ethers.keccak256(ethers.concat([a, b]))
+      : ethers.keccak256(ethers.concat([b, a]));
+
+    let runs;
+    let leaves;
+    let root;
+
+    beforeEach(async function () {
+      runs = [player1, player2, player3].map((player, i) => ({
+        channelId: ethers.keccak256(ethers.toUtf8Bytes(`session-${i}`)),
+        player: player.address,
+        score: 1000 * (i + 1),
+        nonce: 5 + i,
+        actionsHash: ethers.keccak256(ethers.toUtf8Bytes(`actions-${i}`))
+      }));
+      leaves = runs.map(hashRun);
+      // Three leaves: the third moves up a level unchanged
+      root = hashPair(hashPair(leaves[0], leaves[1]), leaves[2]);
+    });
+
+    const verify = (epoch, run, proof) => turboWheelChannel.verifySettledRun(
+      epoch, run.channelId, run.player, run.score, run.nonce, run.actionsHash, proof
+    );
+
+    it("Should commit an epoch root", async function () {
+      await expect(turboWheelChannel.commitSettlement(1, root, 3))
+        .to.emit(turboWheelChannel, "SettlementCommitted")
+        .withArgs(1, root, 3);
+
+      expect(await turboWheelChannel.settlementRoots(1)).to.equal(root);
+    });
+
+    it("Should only let the owner commit", async function () {
+      await expect(turboWheelChannel.connect(player1).commitSettlement(1, root, 3))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should not commit an epoch twice", async function () {
+      await turboWheelChannel.commitSettlement(1, root, 3);
+
+      await expect(turboWheelChannel.commitSettlement(1, root, 3))
+        .to.be.revertedWith("Epoch already committed");
+    });
+
+    it("Should verify settled runs against the root", async function () {
+      await turboWheelChannel.commitSettlement(1, root, 3);
+
+      expect(await verify(1, runs[0], [leaves[1], leaves[2]])).to.equal(true);
+      expect(await verify(1, runs[2], [hashPair(leaves[0], leaves[1])])).to.equal(true);
+    });
+
+    it("Should reject altered runs and unknown epochs", async function () {
+      await turboWheelChannel.commitSettlement(1, root, 3);
+
+      expect(await verify(1, { ...runs[0], score: 9999 }, [leaves[1], leaves[2]])).to.equal(false);
+      expect(await verify(2, runs[0], [leaves[1], leaves[2]])).to.equal(false);
+    });
+  });
 });
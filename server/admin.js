@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { sameAddress } = require('./leaderboard');
+const { seasonPool } = require('./ledger');
+const { PayoutError, PAYOUT_ERRORS } = require('./yellow-sdk');
+const { closeFingerprint, SeasonChangedError } = require('./seasons');
+
+/**
+ * Admin operations: prize distribution, moderation and pool adjustments
+ * Every action is written to the audit log with the admin that made it.
+ *
+ * Distributions are two-step: a preview shows exactly what closing the
+ * season would pay out, and only an unexpired preview whose standings and
+ * pool still match can be executed. The payout itself is sent on-chain
+ * after the close and can be retried while it is pending.
+ */
+
+const PREVIEW_TTL_MS = 10 * 60 * 1000;
+
+// HTTP status for each reason an on-chain payout fails
+const PAYOUT_STATUS = {
+    [PAYOUT_ERRORS.NOT_CONFIGURED]: 503,
+    [PAYOUT_ERRORS.NO_WALLET]: 503,
+    [PAYOUT_ERRORS.REVERTED]: 409,
+    [PAYOUT_ERRORS.TIMEOUT]: 504,
+    [PAYOUT_ERRORS.MISSING_EVENT]: 502
+};
+
+class AdminService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Game repository
+     * @param {Object} options.seasons - SeasonManager
+     * @param {Object} options.ledger - Records pool adjustments
+     * @param {Object} options.yellowSDK - Sends on-chain payouts
+     */
+    constructor({ repository, seasons, ledger, yellowSDK }) {
+        this.repository = repository;
+        this.seasons = seasons;
+        this.ledger = ledger;
+        this.yellowSDK = yellowSDK;
+        this.bannedAddresses = new Set(); // lowercase, mirrors the stored bans for synchronous checks
+        this.previews = new Map(); // previewId -> { seasonId, fingerprint, expiresAt }
+    }
+
+    async init() {
+        const bans = await this.repository.getBans();
+        this.bannedAddresses = new Set(bans.map(ban => ban.address));
+    }
+
+    /**
+     * @param {string} address - Wallet address
+     * @returns {boolean} Whether the wallet is banned
+     */
+    isBanned(address) {
+        return typeof address === 'string' && this.bannedAddresses.has(address.toLowerCase());
+    }
+
+    /**
+     * Append an entry to the audit log
+     * @param {string} actor - Admin wallet, or `api-key`
+     * @param {string} action - What was done
+     * @param {Object} details - Action specific data
+     * @returns {Object} Audit entry
+     */
+    async audit(actor, action, details) {
+        const entry = {
+            id: crypto.randomUUID(),
+            action: action,
+            actor: actor,
+            details: details,
+            at: Date.now()
+        };
+        await this.repository.addAuditEntry(entry);
+        console.log(`🛡️ Admin ${actor}: ${action}`);
+        return entry;
+    }
+
+    /**
+     * @param {Object} options - { limit, offset }
+     * @returns {Object} { entries (newest first), total }
+     */
+    async getAuditLog(options) {
+        return this.repository.getAuditLog(options);
+    }
+
+    /**
+     * Dry run of closing the active season
+     * @param {string} actor - Admin
+     * @returns {Object} { previewId, expiresAt, seasonId, prizePool, players, distribution }
+     */
+    async previewDistribution(actor) {
+        const active = await this.seasons.getActiveSeason();
+        if (!active) {
+            throw new AdminError(409, 'No active season');
+        }
+
+        const { season, standings, distribution } = await this.seasons.previewClose(active.id);
+        const previewId = crypto.randomUUID();
+        const expiresAt = Date.now() + PREVIEW_TTL_MS;
+        this.previews.set(previewId, {
+            seasonId: season.id,
+            fingerprint: closeFingerprint({ season, standings, distribution }),
+            expiresAt
+        });
+
+        const preview = {
+            previewId,
+            expiresAt,
+            seasonId: season.id,
+            prizePool: season.prizePool,
+            players: standings.length,
+            prizeRules: season.prizeRules,
+            distribution
+        };
+        await this.audit(actor, 'distribution.preview', { previewId, seasonId: season.id, prizePool: season.prizePool, players: standings.length });
+        return preview;
+    }
+
+    /**
+     * Close the active season as previewed
+     * @param {string} actor - Admin
+     * @param {string} previewId - From previewDistribution()
+     * @returns {Object} Closed season, its payout still pending
+     */
+    async executeDistribution(actor, previewId) {
+        const preview = this.previews.get(previewId);
+        if (!preview || preview.expiresAt < Date.now()) {
+            this.previews.delete(previewId);
+            throw new AdminError(409, 'Preview not found or expired, run a new preview first');
+        }
+
+        const checked = await this.seasons.previewClose(preview.seasonId)
+            .catch(() => { throw new AdminError(409, 'The previewed season is no longer active'); });
+        if (closeFingerprint(checked) !== preview.fingerprint) {
+            throw new AdminError(409, 'Standings or prize pool changed since the preview, run a new preview');
+        }
+        if (!checked.distribution) {
+            throw new AdminError(400, 'Not enough players for prize distribution');
+        }
+
+        this.previews.delete(previewId);
+        let closed;
+        try {
+            // A run or season change landing after the check above aborts the close
+            closed = await this.seasons.endActiveSeason(Date.now(), { expected: checked });
+        } catch (error) {
+            if (error instanceof SeasonChangedError) {
+                throw new AdminError(409, `${error.message}, run a new preview`);
+            }
+            throw error;
+        }
+        await this.audit(actor, 'distribution.execute', { previewId, seasonId: closed.id, distribution: closed.distribution });
+        return closed;
+    }
+
+    /**
+     * Retry the on-chain payout of a closed season that is still pending
+     * @param {string} actor - Admin
+     * @param {number} seasonId - Season id
+     * @returns {Object} Season with its paid distribution
+     */
+    async retryPayout(actor, seasonId) {
+        let paid;
+        try {
+            paid = await this.seasons.payOut(seasonId);
+        } catch (error) {
+            if (error instanceof SeasonChangedError) {
+                throw new AdminError(409, error.message);
+            }
+            if (error instanceof PayoutError) {
+                throw new AdminError(PAYOUT_STATUS[error.code] || 500, error.message);
+            }
+            throw error;
+        }
+
+        await this.audit(actor, 'distribution.payout', { seasonId, txHash: paid.distribution.txHash, distributionId: paid.distribution.distributionId });
+        return paid;
+    }
+
+    /**
+     * Pay out a TurboWheelChannel pool through the contract
+     * Separate from the seasons: the contract pays its own channel's pool to
+     * its own top 3, so nothing here touches the ledger.
+     * @param {string} actor - Admin
+     * @param {Object} options - { channelId, dryRun }
+     * @returns {Object} Payout from YellowSDK.distributePrizes()
+     */
+    async distributeOnChain(actor, { channelId, dryRun = false }) {
+        let payout;
+        try {
+            payout = await this.yellowSDK.distributePrizes({ channelId: channelId || undefined, dryRun });
+        } catch (error) {
+            if (error instanceof PayoutError) {
+                throw new AdminError(PAYOUT_STATUS[error.code] || 500, error.message);
+            }
+            throw error;
+        }
+
+        await this.audit(actor, dryRun ? 'distribution.on-chain.dry-run' : 'distribution.on-chain', payout);
+        return payout;
+    }
+
+    /**
+     * Hide a score from every leaderboard until it is unflagged
+     * @param {string} actor - Admin
+     * @param {string} scoreId - Score id
+     * @param {string} reason - Why it is flagged
+     * @returns {Object} Flagged score
+     */
+    async flagScore(actor, scoreId, reason) {
+        const score = await this.repository.updateScore(scoreId, {
+            flag: { reason: reason || null, flaggedBy: actor, flaggedAt: Date.now() }
+        });
+        if (!score) {
+            throw new AdminError(404, 'Score not found');
+        }
+        await this.audit(actor, 'score.flag', { scoreId, player: score.player, score: score.score, reason: reason || null });
+        return score;
+    }
+
+    async unflagScore(actor, scoreId) {
+        const score = await this.repository.updateScore(scoreId, { flag: null });
+        if (!score) {
+            throw new AdminError(404, 'Score not found');
+        }
+        await this.audit(actor, 'score.unflag', { scoreId, player: score.player, score: score.score });
+        return score;
+    }
+
+    /**
+     * Delete a score for good
+     * @param {string} actor - Admin
+     * @param {string} scoreId - Score id
+     * @param {string} reason - Why it is removed
+     * @returns {Object} Removed score
+     */
+    async removeScore(actor, scoreId, reason) {
+        const removed = await this.repository.removeScore(scoreId);
+        if (!removed) {
+            throw new AdminError(404, 'Score not found');
+        }
+        // The audit log keeps what was removed
+        await this.audit(actor, 'score.remove', { score: removed, reason: reason || null });
+        return removed;
+    }
+
+    /**
+     * Ban a wallet: it can no longer sign in, play, race or submit scores
+     * @param {string} actor - Admin
+     * @param {string} address - Wallet address
+     * @param {string} reason - Why it is banned
+     * @returns {Object} Ban
+     */
+    async ban(actor, address, reason) {
+        if (this.isBanned(address)) {
+            throw new AdminError(409, 'Address is already banned');
+        }
+        if (sameAddress(actor, address)) {
+            throw new AdminError(400, 'Admins cannot ban themselves');
+        }
+
+        const ban = {
+            address: address.toLowerCase(),
+            reason: reason || null,
+            bannedBy: actor,
+            bannedAt: Date.now()
+        };
+        await this.repository.addBan(ban);
+        this.bannedAddresses.add(ban.address);
+        await this.audit(actor, 'ban.add', { address: ban.address, reason: ban.reason });
+        return ban;
+    }
+
+    async unban(actor, address) {
+        const lowercase = address.toLowerCase();
+        if (!await this.repository.removeBan(lowercase)) {
+            throw new AdminError(404, 'Address is not banned');
+        }
+        this.bannedAddresses.delete(lowercase);
+        await this.audit(actor, 'ban.remove', { address: lowercase });
+    }
+
+    /**
+     * Add to or take from the active season's pool or the rollover pool
+     * @param {string} actor - Admin
+     * @param {Object} adjustment - { target: season | rollover, amount (signed ETH), reason }
+     * @returns {Object} { target, seasonId, before, after }
+     */
+    async adjustPrizePool(actor, { target, amount, reason }) {
+        const delta = parseFloat(amount);
+        if (delta === 0) {
+            throw new AdminError(400, 'Amount must not be zero');
+        }
+        let seasonId = null;
+        let before;
+
+        if (target === 'season') {
+            const active = await this.seasons.getActiveSeason();
+            if (!active) {
+                throw new AdminError(409, 'No active season');
+            }
+            seasonId = active.id;
+            before = active.prizePool;
+        } else {
+            before = (await this.repository.getStats()).rolloverPool;
+        }
+
+        if (parseFloat(before) + delta < 0) {
+            throw new AdminError(400, `Adjustment would make the pool negative (currently ${before} ETH)`);
+        }
+
+        let after;
+        await this.ledger.append('pool.adjusted', { actor, reason }, async () => {
+            after = target === 'season'
+                ? await this.repository.addToSeasonPrizePool(seasonId, delta)
+                : await this.repository.addToRolloverPool(delta);
+            return [{ pool: target === 'season' ? seasonPool(seasonId) : 'rollover', amount: delta.toFixed(3), balance: after }];
+        });
+
+        const result = { target, seasonId, before, after };
+        await this.audit(actor, 'prize-pool.adjust', { ...result, amount, reason });
+        return result;
+    }
+}
+
+/**
+ * An admin request that cannot be carried out, with the HTTP status to answer
+ */
+class AdminError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+AdminService.AdminError = AdminError;
+
+module.exports = AdminService;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+
+const NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes to sign in
+const TOKEN_TTL = '12h';
+
+/**
+ * Sign-In With Ethereum (EIP-4361) and JWT sessions
+ * A wallet proves control of its address once; the issued JWT then
+ * authenticates REST calls and the socket.io handshake.
+ * Banned wallets are refused everywhere; admin routes also accept a shared key.
+ */
+class AuthService {
+    constructor() {
+        this.secret = process.env.JWT_SECRET;
+        if (!this.secret) {
+            // Tokens will not survive a restart, which is fine for local development
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('⚠️ JWT_SECRET not set, using a random secret for this process');
+        }
+
+        // SIWE messages must be created for one of these domains; without any, sign-in is refused
+        this.domains = (process.env.SIWE_DOMAIN || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean);
+        if (this.domains.length === 0) {
+            console.warn('⚠️ SIWE_DOMAIN not set, wallet sign-in is disabled');
+        }
+        this.nonces = new Map(); // nonce -> expiry timestamp
+
+        // Admin access: a shared key for scripts, and/or a list of admin wallets
+        this.adminKeyDigest = process.env.ADMIN_API_KEY ? digest(process.env.ADMIN_API_KEY) : null;
+        this.adminAddresses = new Set((process.env.ADMIN_ADDRESSES || '')
+            .split(',')
+            .map(address => address.trim().toLowerCase())
+            .filter(Boolean));
+
+        // (address) => boolean, set by the server once bans are loaded
+        this.isBanned = null;
+    }
+
+    /**
+     * Create a single-use nonce for a SIWE message
+     * @returns {string} Nonce
+     */
+    createNonce() {
+        this.pruneNonces();
+        const nonce = generateNonce();
+        this.nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+        return nonce;
+    }
+
+    /**
+     * Verify a signed SIWE message and consume its nonce
+     * A message signed for a domain outside SIWE_DOMAIN (e.g. on a phishing site) is refused.
+     * The request's Host header is never trusted for this, it is set by the client.
+     * @param {string} message - Prepared EIP-4361 message
+     * @param {string} signature - Wallet signature of the message
+     * @returns {Object} Verified SIWE fields (address, chainId, ...)
+     */
+    async verifySignIn(message, signature) {
+        if (this.domains.length === 0) {
+            throw new Error('Sign-in is not configured on this server');
+        }
+        const siweMessage = new SiweMessage(message);
+        const domain = String(siweMessage.domain || '');
+        if (!this.domains.includes(domain.toLowerCase())) {
+            throw new Error('Message is for another domain');
+        }
+
+        const expiresAt = this.nonces.get(siweMessage.nonce);
+        if (!expiresAt || expiresAt < Date.now()) {
+            throw new Error('Unknown or expired nonce');
+        }
+        // Single use, taken before the first await: a captured message cannot be replayed, not even concurrently
+        this.nonces.delete(siweMessage.nonce);
+
+        const { data } = await siweMessage.verify({
+            signature: signature,
+            nonce: siweMessage.nonce,
+            domain: domain
+        });
+        return data;
+    }
+
+    /**
+     * Issue a session JWT for a verified address
+     * @param {string} address - Checksummed wallet address
+     * @returns {Object} { token, address, expiresAt }
+     */
+    issueToken(address) {
+        const token = jwt.sign({ sub: address }, this.secret, { expiresIn: TOKEN_TTL });
+        const { exp } = jwt.decode(token);
+        return {
+            token: token,
+            address: address,
+            expiresAt: exp * 1000
+        };
+    }
+
+    /**
+     * Verify a session JWT
+     * @param {string} token - JWT from the Authorization header or socket handshake
+     * @returns {Object} { address }
+     */
+    verifyToken(token) {
+        const payload = jwt.verify(token, this.secret);
+        return { address: payload.sub };
+    }
+
+    /**
+     * Express middleware: require `Authorization: Bearer <jwt>` and set req.user
+     */
+    requireAuth() {
+        return (req, res, next) => {
+            const header = req.headers.authorization || '';
+            const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+            if (!token) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            try {
+                req.user = this.verifyToken(token);
+            } catch (error) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired token'
+                });
+            }
+
+            if (this.banned(req.user.address)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'This wallet is banned'
+                });
+            }
+            next();
+        };
+    }
+
+    /**
+     * Express middleware: require admin access and set req.admin = { actor, method }
+     * Accepts `X-Admin-Key: <ADMIN_API_KEY>`, or a wallet JWT whose address is
+     * listed in ADMIN_ADDRESSES.
+     */
+    requireAdmin() {
+        return (req, res, next) => {
+            const key = req.headers['x-admin-key'];
+            const header = req.headers.authorization || '';
+            const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+            if (key) {
+                if (!this.adminKeyDigest || !crypto.timingSafeEqual(digest(key), this.adminKeyDigest)) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'Invalid admin key'
+                    });
+                }
+                req.admin = { actor: 'api-key', method: 'key' };
+                return next();
+            }
+
+            if (!token) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Admin authentication required'
+                });
+            }
+
+            let address;
+            try {
+                address = this.verifyToken(token).address;
+            } catch (error) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired token'
+                });
+            }
+
+            if (!this.adminAddresses.has(address.toLowerCase())) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'This wallet is not an admin'
+                });
+            }
+            req.admin = { actor: address, method: 'wallet' };
+            next();
+        };
+    }
+
+    /**
+     * socket.io middleware: a handshake token ties the socket to a verified address
+     * Sockets without a token connect as guests (socket.data.address stays null);
+     * a token that does not verify refuses the connection.
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            const token = socket.handshake.auth && socket.handshake.auth.token;
+            socket.data.address = null;
+
+            if (!token) {
+                return next();
+            }
+
+            try {
+                socket.data.address = this.verifyToken(token).address;
+            } catch (error) {
+                return next(new Error('Invalid or expired token'));
+            }
+
+            if (this.banned(socket.data.address)) {
+                return next(new Error('This wallet is banned'));
+            }
+            next();
+        };
+    }
+
+    banned(address) {
+        return this.isBanned ? this.isBanned(address) : false;
+    }
+
+    pruneNonces() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.nonces) {
+            if (expiresAt < now) {
+                this.nonces.delete(nonce);
+            }
+        }
+    }
+}
+
+// Fixed length, so keys can be compared in constant time
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+module.exports = AuthService;
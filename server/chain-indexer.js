@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+
+/**
+ * Indexer for TurboWheelChannel events
+ * Tails ScoreSubmitted, PrizeDistributed and PrizePoolUpdated from
+ * INDEXER_START_BLOCK and upserts them into storage, so scores that were
+ * also submitted on-chain can be told apart from server-only ones.
+ *
+ * Only blocks at least INDEXER_CONFIRMATIONS deep are read, which keeps
+ * ordinary reorgs out of the index. Before every poll the hash of the last
+ * indexed block is compared with the chain; when it changed, a deeper reorg
+ * happened and the cursor is rewound by the confirmation depth, its events
+ * dropped and the range indexed again. Without a start block a fresh index
+ * begins at the current block instead of scanning the whole chain.
+ */
+
+const INDEXED_EVENTS = ['ScoreSubmitted', 'PrizeDistributed', 'PrizePoolUpdated'];
+
+// Most RPC providers cap eth_getLogs at a few thousand blocks
+const BLOCK_RANGE = 2000;
+
+class ChainIndexer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Storage for indexed events and the cursor
+     * @param {Object} options.yellowSDK - Owns the provider and the TurboWheelChannel contract
+     * @param {number} [options.startBlock] - First block to index
+     * @param {number} [options.confirmations] - Blocks an event must be buried under before it is indexed
+     * @param {number} [options.pollSeconds] - Time between polls
+     */
+    constructor({
+        repository,
+        yellowSDK,
+        startBlock = process.env.INDEXER_START_BLOCK,
+        confirmations = process.env.INDEXER_CONFIRMATIONS || 6,
+        pollSeconds = process.env.INDEXER_POLL_SECONDS || 15
+    }) {
+        if (startBlock !== undefined && startBlock !== '' && !(Number.isInteger(Number(startBlock)) && Number(startBlock) >= 0)) {
+            throw new Error('Indexer start block must be a non-negative integer');
+        }
+        if (!(Number.isInteger(Number(confirmations)) && Number(confirmations) >= 0)) {
+            throw new Error('Indexer confirmations must be a non-negative integer');
+        }
+        if (!(Number(pollSeconds) > 0)) {
+            throw new Error('Indexer poll interval must be a positive number of seconds');
+        }
+
+        this.repository = repository;
+        this.yellowSDK = yellowSDK;
+        this.startBlock = startBlock === undefined || startBlock === '' ? null : Number(startBlock);
+        this.confirmations = Number(confirmations);
+        this.pollMs = Number(pollSeconds) * 1000;
+        this.contract = null;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start polling when there is a contract to index; off-chain servers skip it
+     */
+    async init() {
+        this.contract = this.yellowSDK.channelContract;
+        if (!this.contract) {
+            console.log('⚠️ Chain indexer disabled, it needs YELLOW_CHANNEL_CONTRACT and an RPC');
+            return;
+        }
+
+        this.isRunning = true;
+        console.log(`🔎 Indexing ${this.yellowSDK.contractAddress} from ${this.startBlock === null ? 'the current block' : `block ${this.startBlock}`}, ${this.confirmations} confirmation(s)`);
+        await this.schedule(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Poll again after a delay; polls never overlap
+     * @param {number} delay - Milliseconds to wait
+     */
+    async schedule(delay = this.pollMs) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                console.warn(`⚠️ Chain indexer poll failed (${error.shortMessage || error.message}), retrying`);
+            }
+            if (this.isRunning) {
+                await this.schedule();
+            }
+        }, delay);
+        this.timer.unref();
+    }
+
+    /**
+     * Index every confirmed block since the cursor
+     * @returns {number} Events indexed
+     */
+    async poll() {
+        const provider = this.yellowSDK.provider;
+        const contractAddress = this.yellowSDK.contractAddress.toLowerCase();
+        const safeBlock = await provider.getBlockNumber() - this.confirmations;
+
+        let cursor = await this.repository.getIndexerCursor();
+        if (cursor && cursor.contract !== contractAddress) {
+            console.log(`🔎 Channel contract changed, indexing ${contractAddress} afresh`);
+            cursor = null;
+        }
+        if (!cursor) {
+            const first = this.startBlock === null ? Math.max(safeBlock, 0) : this.startBlock;
+            cursor = { contract: contractAddress, block: first - 1, blockHash: null };
+        } else if (await this.isReorged(cursor)) {
+            cursor = await this.rewind(cursor);
+        }
+
+        let indexed = 0;
+        for (let from = cursor.block + 1; from <= safeBlock; from += BLOCK_RANGE) {
+            const to = Math.min(from + BLOCK_RANGE - 1, safeBlock);
+            const logs = await this.contract.queryFilter('*', from, to);
+            const events = logs
+                .filter(log => INDEXED_EVENTS.includes(log.eventName))
+                .map(log => toRecord(contractAddress, log));
+            const block = await provider.getBlock(to);
+
+            await this.repository.upsertChainEvents(events);
+            await this.repository.setIndexerCursor({ contract: contractAddress, block: to, blockHash: block.hash });
+            indexed += events.length;
+        }
+
+        if (indexed > 0) {
+            console.log(`🔎 Indexed ${indexed} contract event(s) up to block ${safeBlock}`);
+        }
+        return indexed;
+    }
+
+    /**
+     * @param {Object} cursor - Stored cursor
+     * @returns {boolean} Whether the last indexed block is no longer on the chain
+     */
+    async isReorged(cursor) {
+        if (!cursor.blockHash) {
+            return false;
+        }
+        const block = await this.yellowSDK.provider.getBlock(cursor.block);
+        return !block || block.hash !== cursor.blockHash;
+    }
+
+    /**
+     * Drop the events of the last `confirmations` indexed blocks so they are read again
+     * @param {Object} cursor - Stored cursor
+     * @returns {Object} Rewound cursor
+     */
+    async rewind(cursor) {
+        const floor = this.startBlock === null ? 0 : this.startBlock;
+        const block = Math.max(cursor.block - Math.max(this.confirmations, 1), floor - 1);
+        const removed = await this.repository.removeChainEventsAfter(cursor.contract, block);
+        console.warn(`⚠️ Reorg below block ${cursor.block}, re-indexing from block ${block + 1} (${removed} event(s) dropped)`);
+
+        const kept = block >= 0 ? await this.yellowSDK.provider.getBlock(block) : null;
+        const rewound = { contract: cursor.contract, block, blockHash: kept ? kept.hash : null };
+        await this.repository.setIndexerCursor(rewound);
+        return rewound;
+    }
+
+    /**
+     * Flag the scores that were also submitted to the contract
+     * A run is verified by a ScoreSubmitted event carrying the run's own
+     * channel id (its game session's channelId), its player and its score.
+     * Scores submitted to a shared contract channel do not identify a run,
+     * and runs recorded without a session have no channel id, so neither
+     * is ever flagged.
+     * @param {Array} scores - Stored scores
+     * @returns {Array} The scores, each with `verified`
+     */
+    async withVerification(scores) {
+        const contractAddress = this.yellowSDK.contractAddress;
+        const submissions = contractAddress
+            ? await this.repository.getChainEvents({ contract: contractAddress.toLowerCase(), type: 'ScoreSubmitted' })
+            : [];
+
+        const submitted = new Set(submissions.map(event => runKey(event.args.channelId, event.args.player, event.args.score)));
+        return scores.map(score => ({
+            ...score,
+            verified: Boolean(score.channelId) && submitted.has(runKey(score.channelId, score.player, score.score))
+        }));
+    }
+}
+
+// Identity of a run on-chain: its channel, player and score
+function runKey(channelId, player, score) {
+    return `${String(channelId).toLowerCase()}:${String(player).toLowerCase()}:${score}`;
+}
+
+// Stored form of a contract event; uint256 amounts become strings, wei become ETH
+function toRecord(contract, log) {
+    const { args } = log;
+    let values;
+    switch (log.eventName) {
+        case 'ScoreSubmitted':
+            values = { channelId: args.channelId, player: args.player, score: args.score.toString() };
+            break;
+        case 'PrizeDistributed':
+            values = {
+                distributionId: args.distributionId.toString(),
+                first: args.first,
+                second: args.second,
+                third: args.third,
+                totalAmount: ethers.formatEther(args.totalAmount)
+            };
+            break;
+        case 'PrizePoolUpdated':
+            values = { newTotal: ethers.formatEther(args.newTotal) };
+            break;
+    }
+
+    return {
+        id: `${log.transactionHash}:${log.index}`,
+        contract,
+        type: log.eventName,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args: values
+    };
+}
+
+ChainIndexer.INDEXED_EVENTS = INDEXED_EVENTS;
+
+module.exports = ChainIndexer;
@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+
+/**
+ * Which chain the server talks to, and the provider for it
+ *
+ * YELLOW_NETWORK names the network:
+ *   localhost - local Hardhat node (`npx hardhat node` in contracts/), chain 1337
+ *   sepolia   - Sepolia testnet, RPC from SEPOLIA_RPC_URL
+ *   custom    - any chain, needs RPC_URL and CHAIN_ID
+ * RPC_URL replaces a named network's RPC. CHAIN_ID may be left out for a
+ * named network, but must match its chain when it is set. Clients get the
+ * chain from GET /api/network (publicNetwork), with PUBLIC_RPC_URL as the
+ * RPC their wallet adds: the server's own URL often carries an API key.
+ *
+ * Without an RPC URL the server runs off-chain: channel states are still
+ * signed, nothing is read from or sent to a chain. Providers are created
+ * with a static network so starting the server sends no request; init
+ * asks the node for its chain id once (checkChain) and refuses a node on
+ * another chain.
+ */
+
+const NETWORKS = {
+    localhost: { chainId: 1337, rpcUrl: 'http://127.0.0.1:8545', publicRpcUrl: 'http://127.0.0.1:8545' },
+    sepolia: {
+        chainId: 11155111,
+        rpcUrlVariable: 'SEPOLIA_RPC_URL',
+        publicRpcUrl: 'https://rpc.sepolia.org',
+        explorerUrl: 'https://sepolia.etherscan.io'
+    },
+    custom: { chainId: null }
+};
+
+const CHAIN_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Network configuration from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { name, chainId, rpcUrl, publicRpcUrl, explorerUrl }
+ * @throws {Error} On an unknown network or a chain id that does not fit it
+ */
+function resolveNetwork(env = process.env) {
+    const name = env.YELLOW_NETWORK || 'sepolia';
+    const preset = NETWORKS[name];
+    if (!preset) {
+        throw new Error(`Unknown network "${name}", use one of: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+
+    let chainId = preset.chainId;
+    if (env.CHAIN_ID) {
+        const configured = Number(env.CHAIN_ID);
+        if (!Number.isInteger(configured) || configured < 1) {
+            throw new Error(`CHAIN_ID must be a positive integer, got "${env.CHAIN_ID}"`);
+        }
+        if (chainId && configured !== chainId) {
+            throw new Error(`CHAIN_ID ${configured} does not match the ${name} network (chain ${chainId})`);
+        }
+        chainId = configured;
+    }
+
+    const rpcUrl = env.RPC_URL || (preset.rpcUrlVariable && env[preset.rpcUrlVariable]) || preset.rpcUrl || null;
+    if (name === 'custom' && (!chainId || !rpcUrl)) {
+        throw new Error('The custom network needs RPC_URL and CHAIN_ID');
+    }
+
+    return {
+        name,
+        chainId,
+        rpcUrl,
+        publicRpcUrl: env.PUBLIC_RPC_URL || preset.publicRpcUrl || null,
+        explorerUrl: preset.explorerUrl || null
+    };
+}
+
+/**
+ * What a client needs to sign for and switch its wallet to the network
+ * @param {Object} network - From resolveNetwork()
+ * @returns {Object} { name, chainId, rpcUrl, explorerUrl }, rpcUrl being the public one
+ */
+function publicNetwork(network) {
+    return {
+        name: network.name,
+        chainId: network.chainId,
+        rpcUrl: network.publicRpcUrl || null,
+        explorerUrl: network.explorerUrl || null
+    };
+}
+
+/**
+ * @param {Object} network - From resolveNetwork()
+ * @returns {Object|null} JSON-RPC provider, null when the network has no RPC URL
+ */
+function createProvider(network) {
+    if (!network.rpcUrl) {
+        return null;
+    }
+    return new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+}
+
+/**
+ * Make sure a provider's node is on the expected chain
+ * @param {Object} provider - ethers provider
+ * @param {number} chainId - Expected chain id
+ * @param {number} [timeoutMs] - How long to wait for the node
+ * @throws {ChainMismatchError} When the node is on another chain
+ * @throws {Error} When the node does not answer
+ */
+async function checkChain(provider, chainId, timeoutMs = CHAIN_CHECK_TIMEOUT_MS) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs} ms`)), timeoutMs);
+    });
+
+    let actual;
+    try {
+        actual = await Promise.race([fetchChainId(provider), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+    if (actual !== chainId) {
+        throw new ChainMismatchError(chainId, actual);
+    }
+}
+
+// A static network answers getNetwork() from memory, so ask the node itself when possible
+async function fetchChainId(provider) {
+    if (typeof provider.send === 'function') {
+        return Number(await provider.send('eth_chainId', []));
+    }
+    return Number((await provider.getNetwork()).chainId);
+}
+
+/**
+ * @param {string} rpcUrl - RPC URL
+ * @returns {string} Its host only, RPC URLs often carry an API key
+ */
+function describeRpcUrl(rpcUrl) {
+    try {
+        return new URL(rpcUrl).host;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+/**
+ * The node behind a provider is on another chain than configured
+ */
+class ChainMismatchError extends Error {
+    constructor(expected, actual) {
+        super(`RPC node is on chain ${actual}, expected chain ${expected}`);
+        this.name = 'ChainMismatchError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+module.exports = {
+    NETWORKS,
+    resolveNetwork,
+    publicNetwork,
+    createProvider,
+    checkChain,
+    describeRpcUrl,
+    ChainMismatchError
+};
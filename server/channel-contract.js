@@ -0,0 +1,28 @@
+/**
+ * ABI of contracts/TurboWheelChannel.sol, the parts the server uses
+ * Human-readable so it can be kept in step with the contract by eye;
+ * update it together with the contract.
+ */
+
+const TURBO_WHEEL_CHANNEL_ABI = [
+    'function distributePrizes(bytes32 channelId)',
+    'function payoutSeason(uint256 seasonId, address[] payees, uint256[] amounts)',
+    'function seasonPayouts(uint256 seasonId) view returns (uint256)',
+    'function getTopScores(bytes32 channelId, uint256 limit) view returns (tuple(address player, uint256 score, uint256 timestamp, string gameId, bool verified)[])',
+    'function channels(bytes32 channelId) view returns (uint256 nonce, uint256 prizePool, uint256 lastUpdate, bool isActive)',
+    'function getPrizePool() view returns (uint256)',
+    'function FIRST_PRIZE_PERCENT() view returns (uint256)',
+    'function SECOND_PRIZE_PERCENT() view returns (uint256)',
+    'function THIRD_PRIZE_PERCENT() view returns (uint256)',
+    'function commitSettlement(uint256 epoch, bytes32 root, uint256 runCount)',
+    'function settlementRoots(uint256 epoch) view returns (bytes32)',
+    'function verifySettledRun(uint256 epoch, bytes32 channelId, address player, uint256 score, uint256 nonce, bytes32 actionsHash, bytes32[] proof) view returns (bool)',
+    'event ChannelCreated(bytes32 indexed channelId, address indexed creator)',
+    'event ScoreSubmitted(bytes32 indexed channelId, address indexed player, uint256 score)',
+    'event PrizeDistributed(uint256 indexed distributionId, address first, address second, address third, uint256 totalAmount)',
+    'event PrizePoolUpdated(uint256 newTotal)',
+    'event SettlementCommitted(uint256 indexed epoch, bytes32 root, uint256 runCount)',
+    'event SeasonPaidOut(uint256 indexed distributionId, uint256 indexed seasonId, address[] payees, uint256[] amounts, uint256 totalAmount)'
+];
+
+module.exports = { TURBO_WHEEL_CHANNEL_ABI };
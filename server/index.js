@@ -1,9 +1,26 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const cors = require('cors');
 const path = require('path');
 const http = require('http');
 const socketIo = require('socket.io');
 const YellowSDK = require('./yellow-sdk');
+const ScoreVerifier = require('./score-verifier');
+const AuthService = require('./auth');
+const { createRepository } = require('./storage');
+const leaderboard = require('./leaderboard');
+const { buildPlayerProfile } = require('./player-profile');
+const SeasonManager = require('./seasons');
+const RaceRoomManager = require('./race-rooms');
+const SpectatorHub = require('./spectators');
+const SessionManager = require('./sessions');
+const AdminService = require('./admin');
+const Ledger = require('./ledger');
+const ChainIndexer = require('./chain-indexer');
+const TransactionManager = require('./transactions');
+const SettlementManager = require('./settlement');
+const { resolveNetwork, publicNetwork } = require('./chain');
+const { schemas, validateBody, onEvent } = require('./validation');
 require('dotenv').config();
 
 const app = express();
@@ -22,164 +39,356 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? ['https://your-frontend-domain.com'] : true,
   credentials: true
 }));
-app.use(express.json());
+// Score submissions carry their full input replay
+app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Sign-In With Ethereum + JWT sessions
+const auth = new AuthService();
+const requireAuth = auth.requireAuth();
+const requireAdmin = auth.requireAdmin();
+io.use(auth.socketMiddleware());
+
+// Persistent storage for scores, stats and state channels (see DATABASE_URL)
+const repository = createRepository(process.env.DATABASE_URL);
+
+// Every movement of prize money, hash-chained so it can be audited
+const ledger = new Ledger({ repository });
+
+// Chain the server signs for and talks to (YELLOW_NETWORK, RPC_URL, CHAIN_ID)
+const network = resolveNetwork();
+
+// Nonces, fees and stuck transactions of the server wallet
+const transactions = new TransactionManager({ repository });
+const { TX_STATUS } = TransactionManager;
+
 // Initialize Yellow SDK
-const yellowSDK = new YellowSDK();
+const yellowSDK = new YellowSDK({ repository, network, transactions });
 
-// Initialize Yellow SDK on server start
-yellowSDK.init().then((success) => {
-    if (success) {
-        console.log('🚀 Yellow SDK ready for Web3 integration!');
-    } else {
-        console.log('⚠️ Yellow SDK initialization failed, running in demo mode');
-    }
-}).catch((error) => {
-    console.error('❌ Yellow SDK initialization error:', error);
+// Contract events, so runs also submitted on-chain show up as verified
+const indexer = new ChainIndexer({ repository, yellowSDK });
+
+// Finished runs are settled in epochs, one Merkle root per epoch
+const settlement = new SettlementManager({ repository, yellowSDK });
+settlement.onEpochClosed = (epoch) => io.emit('settlement-epoch', {
+    epoch: epoch.id,
+    root: epoch.root,
+    runCount: epoch.runCount
 });
 
-// Anti-cheat validation function
-function validateScoreProof(proof, score) {
-    // Very lenient validation for demo - allow almost all scores
-    console.log('Server validating score:', score);
-    
-    // Only reject extremely suspicious scores
-    if (score > 10000) {
-        console.warn('Extremely high score detected:', score);
+// Seasons own the prize pools and close themselves on schedule
+const seasons = new SeasonManager({ repository, yellowSDK, ledger });
+seasons.onSeasonStarted = (season) => io.emit('season-started', seasons.toPublic(season));
+seasons.onSeasonClosed = (season) => io.emit('season-closed', seasons.toPublic(season));
+
+// Distribution, moderation and bans; every action lands in the audit log
+const admin = new AdminService({ repository, seasons, ledger, yellowSDK });
+const { AdminError } = AdminService;
+auth.isBanned = (address) => admin.isBanned(address);
+
+// Multiplayer race rooms and matchmaking
+const raceRooms = new RaceRoomManager(io);
+
+// Live runs can be watched from the /spectate namespace
+const spectators = new SpectatorHub(io, yellowSDK);
+
+// Anti-cheat: scores are re-simulated from seed + inputs, never trusted
+const scoreVerifier = new ScoreVerifier({ chainId: network.chainId });
+const { REJECTION_REASONS } = ScoreVerifier;
+const { ChannelStateError, CHANNEL_ERRORS } = YellowSDK;
+
+// Game sessions: resumable after a dropped connection, abandoned when idle
+const sessions = new SessionManager({ yellowSDK });
+sessions.onSessionAbandoned = (session, socketId, reason) => {
+    spectators.sessionEnded(session.channelId, null);
+    if (socketId) {
+        io.to(socketId).emit('session-expired', { channelId: session.channelId, reason });
+    }
+};
+
+// Tell the player where its channel stands after a rejected update, so it signs on from there
+function rejectState(socket, error) {
+    const session = sessions.get(socket.id);
+    const channel = session ? yellowSDK.getChannelState(session.channelId) : null;
+    console.warn(`Channel state rejected for socket ${socket.id}: ${error.code} - ${error.message}`);
+    socket.emit('state-rejected', {
+        code: error.code,
+        message: error.message,
+        nonce: channel ? channel.nonce : null,
+        actionsHash: channel ? channel.actionsHash : null
+    });
+}
+
+// Proof hashes of the runs being recorded right now
+const claimedRuns = new Set();
+
+/**
+ * Claim a verified run before recording it, a signed run may only be counted once
+ * The claim is taken before the first await, so a run that arrives on the
+ * socket and over REST at the same time is recorded by only one of them.
+ * Release it with releaseRun() once the run is stored or given up on.
+ * @param {string} proofHash - Proof hash of the run
+ * @returns {boolean} false when the run is already stored or being recorded
+ */
+async function claimRun(proofHash) {
+    if (claimedRuns.has(proofHash)) {
+        return false;
+    }
+    claimedRuns.add(proofHash);
+    if ((await repository.findScoreByProofHash(proofHash)) !== null) {
+        claimedRuns.delete(proofHash);
         return false;
     }
-    
-    // Allow all other scores
-    console.log('Server score validation passed:', score);
     return true;
 }
 
-function simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-    }
-    return hash.toString(16);
+function releaseRun(proofHash) {
+    claimedRuns.delete(proofHash);
 }
 
-// In-memory storage for demo purposes
-// In production, you would use a proper database
-let gameData = {
-    highScores: [],
-    prizePool: '0.0',
-    totalGames: 0,
-    activeChannels: new Map()
-};
+// Store a verified run and credit its entry to the season it counts for
+async function recordRun(scoreData) {
+    const seasonId = await seasons.assignRun(scoreData, scoreData.timestamp);
+    const score = await repository.addScore({ ...scoreData, seasonId });
+    await repository.incrementTotalGames();
+
+    // Update prize pool (demo logic); runs outside any season feed the next one
+    const basePrize = 0.001; // 0.001 ETH per game
+    const pool = seasonId ? Ledger.seasonPool(seasonId) : 'rollover';
+    await ledger.append('fee.accrued', { scoreId: score.id, player: score.player }, async () => {
+        const balance = seasonId
+            ? await repository.addToSeasonPrizePool(seasonId, basePrize)
+            : await repository.addToRolloverPool(basePrize);
+        return [{ pool, amount: basePrize.toFixed(3), balance }];
+    });
+    return score;
+}
+
+// Resolve `window=season` to the running season
+async function withActiveSeason(options) {
+    if (options.window !== 'season') {
+        return options;
+    }
+    const active = await seasons.getActiveSeason();
+    return { ...options, seasonId: active ? active.id : null };
+}
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
-    console.log('Player connected:', socket.id);
+    console.log('Player connected:', socket.id, socket.data.address || '(guest)');
+    
+    raceRooms.handleConnection(socket);
     
-    socket.on('join-game', async (playerData) => {
+    // A player reconnecting within the grace period gets their session back
+    const { resumeToken } = socket.handshake.auth || {};
+    if (resumeToken && socket.data.address) {
+        const resumed = sessions.resume(socket, resumeToken);
+        if (resumed.error) {
+            socket.emit('resume-failed', { message: resumed.error });
+        } else {
+            spectators.sessionResumed(resumed.session.channelId, socket);
+            socket.join('game-room');
+            socket.emit('game-resumed', resumed);
+        }
+    }
+    
+    onEvent(socket, 'join-game', schemas.joinGame, async (playerData) => {
         try {
-            // Start Yellow SDK session
-            const session = await yellowSDK.startGameSession(
-                playerData.walletAddress || 'anonymous',
-                playerData.gameId || 'turbowheel_v1'
-            );
+            // Only a wallet verified in the handshake can start a session
+            if (!socket.data.address) {
+                socket.emit('error', { message: 'Sign in with your wallet to play' });
+                return;
+            }
             
-            // Store session info
-            gameData.activeChannels.set(socket.id, session);
+            // Start Yellow SDK session, its states are signed with the wallet's session key
+            const session = await sessions.start(socket, playerData.gameId || 'turbowheel_v1', playerData.sessionKey);
+            spectators.sessionStarted(session.channelId, socket);
             
             socket.join('game-room');
             socket.emit('game-joined', { 
                 playerId: socket.id, 
                 session: session,
-                ...playerData 
+                gameId: session.gameId,
+                walletAddress: socket.data.address
             });
+            // The resume token only goes to the player
+            const { resumeToken, ...publicSession } = session;
             io.to('game-room').emit('player-joined', { 
                 playerId: socket.id, 
-                session: session,
-                ...playerData 
+                session: publicSession,
+                gameId: session.gameId,
+                walletAddress: socket.data.address
             });
         } catch (error) {
+            if (error instanceof ChannelStateError) {
+                socket.emit('error', { message: error.message, code: error.code });
+                return;
+            }
             console.error('Error starting game session:', error);
             socket.emit('error', { message: 'Failed to start game session' });
         }
     });
     
-    socket.on('score-update', async (scoreData) => {
+    // Live frames for spectators, only from a socket that is playing a session
+    onEvent(socket, 'spectate-frame', schemas.spectateFrame, (frame) => {
+        const session = sessions.get(socket.id);
+        if (session) {
+            sessions.touch(socket.id);
+            spectators.publishFrame(session.channelId, frame);
+        }
+    });
+    
+    onEvent(socket, 'score-update', schemas.scoreUpdate, async (scoreData) => {
         try {
-            const session = gameData.activeChannels.get(socket.id);
+            const session = sessions.get(socket.id);
             if (session) {
-                // Log score to Yellow SDK state channel
-                await yellowSDK.logScoreUpdate(
+                sessions.touch(socket.id);
+                // Log score to Yellow SDK state channel, the player gets the countersigned state back
+                const signedState = await yellowSDK.logScoreUpdate(
                     session.channelId,
                     scoreData.score,
-                    scoreData.gameState
+                    scoreData.gameState,
+                    scoreData.channelState
                 );
+                socket.emit('channel-state', signedState);
             }
             
-            io.to('game-room').emit('score-updated', scoreData);
+            io.to('game-room').emit('score-updated', {
+                playerId: socket.id,
+                score: scoreData.score,
+                gameState: scoreData.gameState
+            });
         } catch (error) {
+            if (error instanceof ChannelStateError) {
+                rejectState(socket, error);
+                return;
+            }
             console.error('Error updating score:', error);
         }
     });
     
-    socket.on('game-over', async (gameData) => {
+    onEvent(socket, 'game-over', schemas.gameOver, async (runData) => {
+        let claimedHash = null;
         try {
-            // Validate score proof
-            if (!validateScoreProof(gameData.proof, gameData.score)) {
-                console.warn('Invalid score proof detected for socket:', socket.id);
-                socket.emit('score-rejected', { reason: 'Invalid proof' });
+            const session = sessions.get(socket.id);
+            
+            // A guest has no wallet to credit the run to, do not spend a replay on it
+            if (!session && !socket.data.address) {
+                socket.emit('score-rejected', {
+                    reason: REJECTION_REASONS.NOT_SIGNED_IN,
+                    message: 'Sign in with your wallet to submit a score',
+                    claimedScore: runData.score,
+                    verifiedScore: null
+                });
                 return;
             }
             
-            const session = gameData.activeChannels.get(socket.id);
-            if (session) {
-                // End Yellow SDK session
-                const finalState = await yellowSDK.endGameSession(
-                    session.channelId,
-                    gameData.score
-                );
-                
-                // Add to high scores with proof
-                gameData.highScores.push({
-                    player: session.player,
-                    score: gameData.score,
-                    timestamp: Date.now(),
-                    channelId: session.channelId,
-                    gameId: session.gameId,
-                    proof: gameData.proof
+            // Re-simulate the run, only trust the server's own score and the wallet's signature
+            const verification = await scoreVerifier.verifySubmission({
+                proof: runData.proof,
+                score: runData.score,
+                signedResult: runData.signedResult,
+                player: session ? session.player : socket.data.address
+            });
+            if (verification.valid && await claimRun(verification.proofHash)) {
+                claimedHash = verification.proofHash;
+            } else if (verification.valid) {
+                Object.assign(verification, {
+                    valid: false,
+                    reason: REJECTION_REASONS.DUPLICATE_SUBMISSION,
+                    message: 'This run has already been submitted'
                 });
-                
-                // Update prize pool
-                const basePrize = 0.001;
-                const currentPrize = parseFloat(gameData.prizePool);
-                gameData.prizePool = (currentPrize + basePrize).toFixed(3);
-                
-                gameData.totalGames++;
-                
-                // Remove from active channels
-                gameData.activeChannels.delete(socket.id);
-                
-                io.to('game-room').emit('game-ended', {
-                    ...gameData,
-                    finalState: finalState
+            }
+            
+            // A racer finishes with the verified result (or is disqualified)
+            raceRooms.recordResult(socket.id, verification);
+            
+            // The run is over for its spectators either way
+            if (session) {
+                spectators.sessionEnded(session.channelId, verification.valid ? verification.score : null);
+            }
+            
+            if (!verification.valid) {
+                console.warn(`Score rejected for socket ${socket.id}: ${verification.reason} - ${verification.message}`);
+                socket.emit('score-rejected', {
+                    reason: verification.reason,
+                    message: verification.message,
+                    claimedScore: runData.score,
+                    verifiedScore: verification.score
                 });
+                return;
+            }
+            
+            // End Yellow SDK session on the final state both sides signed
+            let channelId = null;
+            let finalState = null;
+            if (session) {
+                try {
+                    finalState = await yellowSDK.endGameSession(
+                        session.channelId,
+                        verification.score,
+                        { update: runData.channelState, verified: true }
+                    );
+                    channelId = session.channelId;
+                } catch (error) {
+                    if (!(error instanceof ChannelStateError)) {
+                        throw error;
+                    }
+                    if (error.code !== CHANNEL_ERRORS.CHANNEL_CLOSED && error.code !== CHANNEL_ERRORS.CHANNEL_NOT_FOUND) {
+                        rejectState(socket, error);
+                        socket.emit('score-rejected', {
+                            reason: REJECTION_REASONS.INVALID_CHANNEL_STATE,
+                            message: error.message,
+                            claimedScore: runData.score,
+                            verifiedScore: verification.score
+                        });
+                        return;
+                    }
+                    // An idle or grace timeout closed the channel while the run was verified
+                    console.warn(`Channel ${session.channelId} closed before the run ended, recording it without a final state`);
+                }
+                sessions.finish(socket.id);
             }
+            
+            // Add to high scores with the replay that proves it. Without a channel (the session
+            // timed out or was already closed) the run itself is still verified.
+            const gameId = session ? session.gameId : (runData.gameId || 'turbowheel_v1');
+            await recordRun({
+                player: verification.player,
+                score: verification.score,
+                coins: verification.coins,
+                timestamp: Date.now(),
+                channelId: channelId,
+                gameId: gameId,
+                seed: verification.seed,
+                ticks: verification.ticks,
+                proofHash: verification.proofHash,
+                signature: runData.signedResult.signature,
+                replay: runData.proof.recording
+            });
+            
+            (session ? io.to('game-room') : socket).emit('game-ended', {
+                playerId: socket.id,
+                player: verification.player,
+                gameId: gameId,
+                score: verification.score,
+                finalState: finalState
+            });
         } catch (error) {
             console.error('Error ending game session:', error);
+        } finally {
+            if (claimedHash) {
+                releaseRun(claimedHash);
+            }
         }
     });
     
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
         
-        // Clean up active channel
-        const session = gameData.activeChannels.get(socket.id);
-        if (session) {
-            gameData.activeChannels.delete(socket.id);
-        }
+        // Keep the session for a while in case the player comes back
+        sessions.detach(socket.id);
         
         io.to('game-room').emit('player-left', { playerId: socket.id });
     });
@@ -194,17 +403,76 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Chain the client must sign scores, sessions and sign-ins on
+app.get('/api/network', (req, res) => {
+    res.json({
+        success: true,
+        network: publicNetwork(network)
+    });
+});
+
+// Sign-In With Ethereum: get a single-use nonce for the SIWE message
+app.get('/api/auth/nonce', (req, res) => {
+    res.json({
+        success: true,
+        nonce: auth.createNonce()
+    });
+});
+
+// Sign-In With Ethereum: verify the signed message and issue a JWT
+app.post('/api/auth/verify', validateBody(schemas.authVerify), async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        
+        const siwe = await auth.verifySignIn(message, signature);
+        if (admin.isBanned(siwe.address)) {
+            return res.status(403).json({
+                success: false,
+                error: 'This wallet is banned'
+            });
+        }
+        const session = auth.issueToken(siwe.address);
+
+        res.json({
+            success: true,
+            ...session
+        });
+    } catch (error) {
+        res.status(401).json({
+            success: false,
+            error: 'Sign-in failed: ' + (error.message || (error.error && error.error.type) || 'invalid signature')
+        });
+    }
+});
+
+// Current authenticated wallet
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        address: req.user.address
+    });
+});
+
 // Get high scores
-app.get('/api/scores', (req, res) => {
+// ?window=daily|weekly|season|all &mode=runs|best &limit= &offset= or &cursor=
+app.get('/api/scores', async (req, res) => {
     try {
-        const sortedScores = gameData.highScores
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 10);
+        const { options, error } = leaderboard.parseQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+
+        const scores = await indexer.withVerification(await repository.getScores());
+        const page = leaderboard.getLeaderboardPage(scores, await withActiveSeason(options));
         
         res.json({
             success: true,
-            scores: sortedScores,
-            total: gameData.highScores.length
+            window: options.window,
+            mode: options.mode,
+            ...page
         });
     } catch (error) {
         res.status(500).json({
@@ -214,37 +482,143 @@ app.get('/api/scores', (req, res) => {
     }
 });
 
+// A player's rank in a window and the scores around it
+// ?window= &mode=best|runs (default best) &around=
+app.get('/api/scores/rank/:address', async (req, res) => {
+    try {
+        const { options, error } = leaderboard.parseQuery(req.query, { mode: 'best' });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+
+        const scores = await indexer.withVerification(await repository.getScores());
+        const rank = leaderboard.getPlayerRank(scores, req.params.address, await withActiveSeason(options));
+        if (!rank) {
+            return res.status(404).json({
+                success: false,
+                error: 'No scores for this player in the selected window'
+            });
+        }
+
+        res.json({
+            success: true,
+            address: req.params.address,
+            window: options.window,
+            mode: options.mode,
+            ...rank
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch player rank'
+        });
+    }
+});
+
+// A player's run history, aggregates, winnings and current rank
+// ?limit= number of recent runs (default 20)
+app.get('/api/players/:address', async (req, res) => {
+    try {
+        const { address } = req.params;
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid player address'
+            });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Limit must be an integer between 1 and 100'
+            });
+        }
+
+        const profile = buildPlayerProfile(
+            ethers.getAddress(address),
+            await repository.getScores(),
+            await repository.getDistributions(),
+            { limit }
+        );
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Player not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            profile
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch player profile'
+        });
+    }
+});
+
 // Submit score
-app.post('/api/scores', (req, res) => {
+app.post('/api/scores', requireAuth, validateBody(schemas.scoreSubmission), async (req, res) => {
     try {
-        const { player, score, gameId, timestamp } = req.body;
+        const { score, gameId, proof, signedResult } = req.body;
+        const player = req.user.address;
         
-        if (!player || typeof score !== 'number' || score < 0) {
-            return res.status(400).json({
+        if (req.body.player && req.body.player.toLowerCase() !== player.toLowerCase()) {
+            return res.status(403).json({
                 success: false,
-                error: 'Invalid score data'
+                error: 'Player does not match the signed-in wallet'
+            });
+        }
+
+        // Re-simulate the run, only trust the server's own score and the wallet's signature
+        const verification = await scoreVerifier.verifySubmission({ proof, score, signedResult, player });
+        if (verification.valid && !await claimRun(verification.proofHash)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Score rejected',
+                reason: REJECTION_REASONS.DUPLICATE_SUBMISSION,
+                message: 'This run has already been submitted'
+            });
+        }
+        if (!verification.valid) {
+            return res.status(422).json({
+                success: false,
+                error: 'Score rejected',
+                reason: verification.reason,
+                message: verification.message
             });
         }
 
         const scoreData = {
-            player,
-            score,
+            player: verification.player,
+            score: verification.score,
+            coins: verification.coins,
             gameId: gameId || 'turbowheel_v1',
-            timestamp: timestamp || Date.now(),
-            id: Date.now().toString()
+            // Server time: leaderboard windows and seasons must not trust the client clock
+            timestamp: Date.now(),
+            seed: verification.seed,
+            ticks: verification.ticks,
+            proofHash: verification.proofHash,
+            signature: signedResult.signature,
+            replay: proof.recording
         };
 
-        gameData.highScores.push(scoreData);
-        gameData.totalGames++;
-        
-        // Update prize pool (demo logic)
-        const basePrize = 0.001; // 0.001 ETH per game
-        const currentPrize = parseFloat(gameData.prizePool);
-        gameData.prizePool = (currentPrize + basePrize).toFixed(3);
+        let publicScore;
+        try {
+            publicScore = await recordRun(scoreData);
+        } finally {
+            releaseRun(verification.proofHash);
+        }
 
         res.json({
             success: true,
-            score: scoreData,
+            score: publicScore,
             message: 'Score submitted successfully'
         });
     } catch (error) {
@@ -255,100 +629,147 @@ app.post('/api/scores', (req, res) => {
     }
 });
 
-// Get prize pool info
-app.get('/api/prize-pool', (req, res) => {
+// All seasons, newest first, and the one running now
+app.get('/api/seasons', async (req, res) => {
     try {
-        const distribution = {
-            first: '50%',
-            second: '30%',
-            third: '20%'
-        };
+        const now = Date.now();
+        const all = (await repository.getSeasons()).reverse();
+        const current = all.find(s => s.status === 'active');
 
         res.json({
             success: true,
-            total: gameData.prizePool,
-            distribution,
-            totalGames: gameData.totalGames
+            current: current ? seasons.toPublic(current, now) : null,
+            seasons: all.map(season => seasons.toPublic(season, now)),
+            serverTime: now
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch prize pool'
+            error: 'Failed to fetch seasons'
         });
     }
 });
 
-// Initialize Yellow SDK
-app.post('/api/init-yellow-sdk', async (req, res) => {
+// One season with its participation totals
+app.get('/api/seasons/:id', async (req, res) => {
     try {
-        const initialized = await yellowSDK.init();
-        if (initialized) {
-            const networkInfo = await yellowSDK.getNetworkInfo();
-            res.json({
-                success: true,
-                message: 'Yellow SDK initialized successfully',
-                network: networkInfo
-            });
-        } else {
-            res.status(500).json({
+        const season = await repository.getSeason(Number(req.params.id));
+        if (!season) {
+            return res.status(404).json({
                 success: false,
-                error: 'Failed to initialize Yellow SDK'
+                error: 'Season not found'
             });
         }
+
+        const standings = await seasons.getStandings(season.id);
+        const games = (await repository.getScores()).filter(s => s.seasonId === season.id).length;
+
+        res.json({
+            success: true,
+            season: {
+                ...seasons.toPublic(season),
+                games: games,
+                players: standings.length,
+                topScore: standings.length > 0 ? standings[0].score : 0
+            },
+            serverTime: Date.now()
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: 'Failed to initialize Yellow SDK: ' + error.message
+            error: 'Failed to fetch season'
         });
     }
 });
 
-// Distribute prizes using Yellow SDK
-app.post('/api/distribute-prizes', async (req, res) => {
+// A season's leaderboard: same paging as /api/scores, best run per player by default
+app.get('/api/seasons/:id/leaderboard', async (req, res) => {
     try {
-        const topScores = gameData.highScores
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 3);
+        const season = await repository.getSeason(Number(req.params.id));
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                error: 'Season not found'
+            });
+        }
 
-        if (topScores.length < 3) {
+        const { options, error } = leaderboard.parseQuery({ ...req.query, window: 'season' }, { mode: 'best' });
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Not enough players for prize distribution'
+                error: error
             });
         }
 
-        // Use Yellow SDK to simulate prize distribution
-        const distribution = await yellowSDK.simulatePrizeDistribution(topScores);
+        const page = leaderboard.getLeaderboardPage(await repository.getScores(), {
+            ...options,
+            seasonId: season.id
+        });
 
-        // Reset prize pool after distribution
-        gameData.prizePool = '0.0';
+        res.json({
+            success: true,
+            seasonId: season.id,
+            mode: options.mode,
+            ...page
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch season leaderboard'
+        });
+    }
+});
+
+// Sessions being played right now, watchable from the /spectate namespace
+app.get('/api/live', (req, res) => {
+    res.json({
+        success: true,
+        sessions: spectators.getLiveSessions()
+    });
+});
+
+// Get prize pool info (the running season's pool)
+app.get('/api/prize-pool', async (req, res) => {
+    try {
+        const { totalGames } = await repository.getStats();
+        const season = await seasons.getActiveSeason();
+        const total = season ? season.prizePool : '0.0';
+        const rules = season ? season.prizeRules : seasons.prizeRules;
+        const { describePrizePlaces } = await seasons.loadPrizeRules();
 
         res.json({
             success: true,
-            distribution,
-            message: 'Prizes distributed successfully using Yellow SDK'
+            total: total,
+            rules: rules,
+            ...describePrizePlaces(total, rules),
+            totalGames: totalGames,
+            seasonId: season ? season.id : null,
+            endsAt: season ? season.endsAt : null
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: 'Failed to distribute prizes: ' + error.message
+            error: 'Failed to fetch prize pool'
         });
     }
 });
 
 // Get game statistics
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
     try {
+        const scores = await repository.getScores();
+        const { totalGames } = await repository.getStats();
+        const season = await seasons.getActiveSeason();
         const stats = {
-            totalGames: gameData.totalGames,
-            totalPlayers: new Set(gameData.highScores.map(s => s.player)).size,
-            averageScore: gameData.highScores.length > 0 
-                ? (gameData.highScores.reduce((sum, s) => sum + s.score, 0) / gameData.highScores.length).toFixed(2)
+            totalGames: totalGames,
+            totalPlayers: new Set(scores.map(s => s.player)).size,
+            averageScore: scores.length > 0 
+                ? (scores.reduce((sum, s) => sum + s.score, 0) / scores.length).toFixed(2)
                 : 0,
-            highestScore: gameData.highScores.length > 0 
-                ? Math.max(...gameData.highScores.map(s => s.score))
+            highestScore: scores.length > 0 
+                ? Math.max(...scores.map(s => s.score))
                 : 0,
-            prizePool: gameData.prizePool
+            prizePool: season ? season.prizePool : '0.0'
         };
 
         res.json({
@@ -363,6 +784,337 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
+// The prize pool ledger as NDJSON, one entry per line, oldest first
+// Check it with `npm run verify-ledger -- <url or file>` in server/
+app.get('/api/ledger/export', async (req, res) => {
+    try {
+        const entries = await ledger.getEntries();
+        const head = ledger.getHead();
+        res.set({
+            'Content-Type': 'application/x-ndjson',
+            'Content-Disposition': 'attachment; filename="turbowheel-ledger.ndjson"',
+            'X-Ledger-Head': head ? `${head.seq}:${head.hash}` : ''
+        });
+        res.send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export ledger'
+        });
+    }
+});
+
+// Latest ledger entry, to compare with an export
+app.get('/api/ledger/head', (req, res) => {
+    res.json({
+        success: true,
+        head: ledger.getHead()
+    });
+});
+
+// Merkle proof that a run's final state is part of a settlement epoch
+// Check it with `npm run verify-proof -- <url or file>` in server/
+app.get('/api/proofs/:channelId', async (req, res) => {
+    try {
+        // Channel ids are lowercase keccak256 hashes
+        const channelId = req.params.channelId.toLowerCase();
+        if (!ethers.isHexString(channelId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Channel id must be a 0x-prefixed 32-byte hex string'
+            });
+        }
+
+        const proof = await settlement.getProof(channelId);
+        if (!proof) {
+            const channel = await repository.getChannel(channelId);
+            if (!channel) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Channel not found'
+                });
+            }
+            if (!channel.state.isActive && !SettlementManager.isVerifiedRun(channel)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Run did not complete with a verified final state, there is nothing to settle'
+                });
+            }
+            return res.status(404).json({
+                success: false,
+                error: channel.state.isActive
+                    ? 'Run is still in progress'
+                    : 'Run is not settled yet, its proof is available once the current epoch closes',
+                nextEpochAt: settlement.nextEpochAt
+            });
+        }
+
+        res.json({
+            success: true,
+            ...proof
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch proof'
+        });
+    }
+});
+
+// Admin API: X-Admin-Key or an admin wallet's JWT (see ADMIN_API_KEY / ADMIN_ADDRESSES)
+
+function sendAdminError(res, error, message) {
+    if (error instanceof AdminError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `${message}: ${error.message}`
+    });
+}
+
+// Re-initialize Yellow SDK
+app.post('/api/admin/yellow-sdk/init', requireAdmin, validateBody(schemas.empty), async (req, res) => {
+    try {
+        const initialized = await yellowSDK.init();
+        await admin.audit(req.admin.actor, 'yellow-sdk.init', { initialized });
+        if (initialized) {
+            const networkInfo = await yellowSDK.getNetworkInfo();
+            res.json({
+                success: true,
+                message: 'Yellow SDK initialized successfully',
+                network: networkInfo
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to initialize Yellow SDK'
+            });
+        }
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to initialize Yellow SDK');
+    }
+});
+
+// What closing the running season would pay out; nothing changes yet
+app.post('/api/admin/distributions/preview', requireAdmin, validateBody(schemas.empty), async (req, res) => {
+    try {
+        const preview = await admin.previewDistribution(req.admin.actor);
+        res.json({
+            success: true,
+            preview
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to preview prize distribution');
+    }
+});
+
+// Close the running season exactly as previewed and start the next one; its payout is sent on-chain afterwards
+app.post('/api/admin/distributions/execute', requireAdmin, validateBody(schemas.adminExecuteDistribution), async (req, res) => {
+    try {
+        const closed = await admin.executeDistribution(req.admin.actor, req.body.previewId);
+        res.json({
+            success: true,
+            season: seasons.toPublic(closed),
+            distribution: closed.distribution,
+            message: 'Season closed, its payout is pending until confirmed on-chain'
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to distribute prizes');
+    }
+});
+
+// Retry the on-chain payout of a closed season that is still pending
+app.post('/api/admin/distributions/:seasonId/payout', requireAdmin, validateBody(schemas.empty), async (req, res) => {
+    try {
+        const seasonId = Number(req.params.seasonId);
+        if (!Number.isInteger(seasonId) || seasonId < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid season id'
+            });
+        }
+
+        const paid = await admin.retryPayout(req.admin.actor, seasonId);
+        res.json({
+            success: true,
+            season: seasons.toPublic(paid),
+            distribution: paid.distribution
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to pay out season');
+    }
+});
+
+// Pay out a TurboWheelChannel pool on-chain, or simulate it with dryRun
+app.post('/api/admin/distributions/on-chain', requireAdmin, validateBody(schemas.adminOnChainDistribution), async (req, res) => {
+    try {
+        const payout = await admin.distributeOnChain(req.admin.actor, req.body);
+        res.json({
+            success: true,
+            payout
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to distribute prizes on-chain');
+    }
+});
+
+// Scores for review, newest first
+// ?flagged=true only flagged scores &limit= &offset=
+app.get('/api/admin/scores', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const all = (await repository.getScores({ includeFlagged: true }))
+            .filter(s => req.query.flagged !== 'true' || s.flag)
+            .reverse();
+
+        res.json({
+            success: true,
+            scores: all.slice(offset, offset + limit),
+            total: all.length
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch scores');
+    }
+});
+
+// Hide a score from the leaderboards, seasons and stats while it is reviewed
+app.post('/api/admin/scores/:id/flag', requireAdmin, validateBody(schemas.adminReason), async (req, res) => {
+    try {
+        const score = await admin.flagScore(req.admin.actor, req.params.id, req.body.reason);
+        res.json({
+            success: true,
+            score
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to flag score');
+    }
+});
+
+app.delete('/api/admin/scores/:id/flag', requireAdmin, async (req, res) => {
+    try {
+        const score = await admin.unflagScore(req.admin.actor, req.params.id);
+        res.json({
+            success: true,
+            score
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to unflag score');
+    }
+});
+
+app.delete('/api/admin/scores/:id', requireAdmin, validateBody(schemas.adminReason), async (req, res) => {
+    try {
+        const score = await admin.removeScore(req.admin.actor, req.params.id, req.body.reason);
+        res.json({
+            success: true,
+            score
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to remove score');
+    }
+});
+
+app.get('/api/admin/bans', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            bans: await repository.getBans()
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch bans');
+    }
+});
+
+// Ban a wallet and drop its live connections
+app.post('/api/admin/bans', requireAdmin, validateBody(schemas.adminBan), async (req, res) => {
+    try {
+        const ban = await admin.ban(req.admin.actor, req.body.address, req.body.reason);
+        for (const socket of io.sockets.sockets.values()) {
+            if (admin.isBanned(socket.data.address)) {
+                socket.disconnect(true);
+            }
+        }
+        res.json({
+            success: true,
+            ban
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to ban address');
+    }
+});
+
+app.delete('/api/admin/bans/:address', requireAdmin, async (req, res) => {
+    try {
+        await admin.unban(req.admin.actor, req.params.address);
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to unban address');
+    }
+});
+
+// Add to or take from the running season's pool or the rollover pool
+app.post('/api/admin/prize-pool/adjust', requireAdmin, validateBody(schemas.adminAdjustPrizePool), async (req, res) => {
+    try {
+        const adjustment = await admin.adjustPrizePool(req.admin.actor, req.body);
+        res.json({
+            success: true,
+            adjustment
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to adjust prize pool');
+    }
+});
+
+// Admin actions, newest first
+// ?limit= (default 50, max 200) &offset=
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { entries, total } = await admin.getAuditLog({ limit, offset });
+        res.json({
+            success: true,
+            entries,
+            total
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch audit log');
+    }
+});
+
+// Transactions sent by the server wallet, newest first, replacements included
+// ?status=pending|mined|failed|replaced &limit= (default 50, max 200) &offset=
+app.get('/api/admin/transactions', requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status !== undefined && !Object.values(TX_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status must be one of: ${Object.values(TX_STATUS).join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { entries, total } = await repository.getTransactions({ status: status || null, limit, offset });
+        res.json({
+            success: true,
+            transactions: entries,
+            total
+        });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch transactions');
+    }
+});
+
 // Serve the main game page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../client/index.html'));
@@ -385,11 +1137,46 @@ app.use((req, res) => {
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`🚀 TurboWheel server running on port ${PORT}`);
-    console.log(`📊 API endpoints available at http://localhost:${PORT}/api`);
-    console.log(`🎮 Game available at http://localhost:${PORT}`);
-    console.log(`🔌 WebSocket server ready for real-time updates`);
+// Open storage before the SDK restores its channels, seasons roll over and players connect
+repository.init().then(async () => {
+    // Initialize Yellow SDK on server start
+    const success = await yellowSDK.init();
+    if (success) {
+        console.log('🚀 Yellow SDK ready for Web3 integration!');
+    } else {
+        console.log('⚠️ Yellow SDK initialization failed, running in demo mode');
+    }
+
+    await ledger.init();
+    await admin.init();
+    await seasons.init();
+    await sessions.init();
+    await indexer.init();
+    await transactions.init();
+    await settlement.init();
+
+    server.listen(PORT, () => {
+        console.log(`🚀 TurboWheel server running on port ${PORT}`);
+        console.log(`📊 API endpoints available at http://localhost:${PORT}/api`);
+        console.log(`🎮 Game available at http://localhost:${PORT}`);
+        console.log(`🔌 WebSocket server ready for real-time updates`);
+    });
+}).catch((error) => {
+    console.error('❌ Failed to open storage:', error);
+    process.exit(1);
 });
 
+// Let queued storage writes finish before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        seasons.stop();
+        sessions.stop();
+        indexer.stop();
+        transactions.stop();
+        settlement.stop();
+        await repository.close();
+        process.exit(0);
+    });
+}
+
 module.exports = app;
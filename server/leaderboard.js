@@ -0,0 +1,195 @@
+/**
+ * Leaderboard queries over stored scores
+ * Scores are ranked by score (highest first); ties go to the earlier run.
+ * Daily and weekly windows are in UTC; the season window holds the runs
+ * credited to one season (see seasons.js).
+ */
+
+const WINDOWS = ['daily', 'weekly', 'season', 'all'];
+const MODES = ['runs', 'best'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const MAX_AROUND = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a leaderboard window
+ * @param {string} window - daily | weekly | all (seasons are filtered by id instead)
+ * @param {number} now - Current time (ms)
+ * @returns {number} Earliest timestamp included in the window
+ */
+function getWindowStart(window, now = Date.now()) {
+    const date = new Date(now);
+    const startOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+    switch (window) {
+        case 'daily':
+            return startOfDay;
+        case 'weekly':
+            // Weeks start on Monday
+            return startOfDay - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+        default:
+            return 0;
+    }
+}
+
+function compareEntries(a, b) {
+    return (b.score - a.score) ||
+        (a.timestamp - b.timestamp) ||
+        String(a.id).localeCompare(String(b.id));
+}
+
+function sameAddress(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Rank the scores of a window
+ * @param {Array} scores - Stored scores (not modified)
+ * @param {Object} options
+ * @param {string} options.window - Leaderboard window
+ * @param {string} options.mode - `runs` lists every run, `best` only each player's best
+ * @param {number} options.seasonId - Season of the `season` window
+ * @param {number} options.now - Current time (ms)
+ * @returns {Array} Scores in rank order, each with a `rank`
+ */
+function rankScores(scores, { window = 'all', mode = 'runs', seasonId = null, now = Date.now() } = {}) {
+    const since = getWindowStart(window, now);
+    let entries = scores
+        .filter(s => window === 'season' ? s.seasonId === seasonId : s.timestamp >= since)
+        .sort(compareEntries);
+
+    if (mode === 'best') {
+        const seen = new Set();
+        entries = entries.filter((s) => {
+            const player = String(s.player).toLowerCase();
+            if (seen.has(player)) {
+                return false;
+            }
+            seen.add(player);
+            return true;
+        });
+    }
+
+    return entries.map((s, index) => ({ rank: index + 1, ...s }));
+}
+
+/**
+ * Opaque keyset cursor pointing just after an entry
+ * Stays stable when new scores are added above the current page.
+ */
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.score, entry.timestamp, entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [score, timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof score !== 'number' || typeof timestamp !== 'number') {
+            return null;
+        }
+        return { score, timestamp, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse and check leaderboard query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} defaults - Defaults for mode
+ * @returns {Object} { options } or { error }
+ */
+function parseQuery(query, { mode = 'runs' } = {}) {
+    const options = {
+        window: query.window || 'all',
+        mode: query.mode || mode,
+        limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit),
+        offset: query.offset === undefined ? 0 : Number(query.offset),
+        cursor: null,
+        around: query.around === undefined ? 2 : Number(query.around)
+    };
+
+    if (!WINDOWS.includes(options.window)) {
+        return { error: `Window must be one of: ${WINDOWS.join(', ')}` };
+    }
+    if (!MODES.includes(options.mode)) {
+        return { error: `Mode must be one of: ${MODES.join(', ')}` };
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+        return { error: `Limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(options.offset) || options.offset < 0) {
+        return { error: 'Offset must be a non-negative integer' };
+    }
+    if (!Number.isInteger(options.around) || options.around < 0 || options.around > MAX_AROUND) {
+        return { error: `Around must be an integer between 0 and ${MAX_AROUND}` };
+    }
+    if (query.cursor !== undefined) {
+        options.cursor = decodeCursor(String(query.cursor));
+        if (!options.cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { options };
+}
+
+/**
+ * One page of a leaderboard
+ * A cursor takes precedence over the offset.
+ * @param {Array} scores - Stored scores
+ * @param {Object} options - From parseQuery()
+ * @returns {Object} { scores, total, offset, limit, nextCursor }
+ */
+function getLeaderboardPage(scores, options) {
+    const ranked = rankScores(scores, options);
+
+    const offset = options.cursor
+        ? ranked.filter(entry => compareEntries(entry, options.cursor) <= 0).length
+        : options.offset;
+    const page = ranked.slice(offset, offset + options.limit);
+    const hasMore = offset + page.length < ranked.length;
+
+    return {
+        scores: page,
+        total: ranked.length,
+        offset: offset,
+        limit: options.limit,
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+/**
+ * A player's rank and the entries around it
+ * @param {Array} scores - Stored scores
+ * @param {string} address - Player address
+ * @param {Object} options - From parseQuery()
+ * @returns {Object|null} { rank, score, total, around } or null when the player has no score in the window
+ */
+function getPlayerRank(scores, address, options) {
+    const ranked = rankScores(scores, options);
+    const index = ranked.findIndex(entry => sameAddress(entry.player, address));
+    if (index === -1) {
+        return null;
+    }
+
+    return {
+        rank: ranked[index].rank,
+        score: ranked[index],
+        total: ranked.length,
+        around: ranked.slice(Math.max(0, index - options.around), index + options.around + 1)
+    };
+}
+
+module.exports = {
+    WINDOWS,
+    MODES,
+    getWindowStart,
+    sameAddress,
+    rankScores,
+    parseQuery,
+    getLeaderboardPage,
+    getPlayerRank
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Append-only, hash-chained ledger of everything that moves prize money
+ * Each entry commits to the one before it:
+ *   hash = sha256(canonical JSON of { seq, type, at, data, prevHash })
+ * so changing, removing or reordering any entry breaks every hash after it.
+ *
+ * Entry types:
+ *   ledger.opened         - balances the pools held when the ledger started
+ *   fee.accrued           - a verified run paid into a pool
+ *   pool.transfer         - rollover into a new season, or a season pool rolling over
+ *   distribution.computed - a season's payout was worked out
+ *   payout.pending        - a closed season's payout is owed; its pool stays put until it is confirmed
+ *   payout.executed       - a season's pool was paid to its winners, with the confirmed
+ *                           transaction (txHash) and the contract's distributionId
+ *   pool.adjusted         - an admin added to or took from a pool
+ *
+ * Entries that move money carry data.movements: [{ pool, amount, balance }],
+ * where pool is `rollover` or `season:<id>`, amount is the signed ETH change
+ * and balance the pool's total after it. The verifier replays these, so a
+ * balance that does not add up is caught even when the hashes are intact.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class Ledger {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Game repository
+     */
+    constructor({ repository }) {
+        this.repository = repository;
+        this.head = null;
+        // Appends are chained one after another so two never share a prevHash
+        this.appendQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the head, or open the ledger with the current pool balances
+     */
+    async init() {
+        this.head = await this.repository.getLedgerHead();
+        if (this.head) {
+            return;
+        }
+
+        const { rolloverPool } = await this.repository.getStats();
+        const movements = [{ pool: 'rollover', amount: rolloverPool, balance: rolloverPool }];
+        const seasons = await this.repository.getSeasons();
+        for (const season of seasons.filter(s => s.status === 'active')) {
+            movements.push({ pool: seasonPool(season.id), amount: season.prizePool, balance: season.prizePool });
+        }
+        await this.append('ledger.opened', { movements });
+    }
+
+    /**
+     * Append an entry
+     * A pool change is passed as `applyChange` and runs in the append queue,
+     * so the balances it records are never interleaved with another change.
+     * @param {string} type - Entry type (see above)
+     * @param {Object} data - Entry data
+     * @param {Function} [applyChange] - Makes the change, resolves to its movements, or null when nothing moved
+     * @returns {Object|null} Stored entry, null when nothing moved
+     */
+    append(type, data, applyChange = null) {
+        const appended = this.appendQueue.then(async () => {
+            if (applyChange) {
+                const movements = await applyChange();
+                if (!movements) {
+                    return null;
+                }
+                data = { ...data, movements };
+            }
+
+            const entry = {
+                seq: this.head ? this.head.seq + 1 : 0,
+                type: type,
+                at: Date.now(),
+                data: data,
+                prevHash: this.head ? this.head.hash : GENESIS_HASH
+            };
+            entry.hash = hashEntry(entry);
+
+            await this.repository.appendLedgerEntry(entry);
+            this.head = entry;
+            return entry;
+        });
+        // A failed append must not block the ones after it
+        this.appendQueue = appended.catch((error) => {
+            console.error('❌ Failed to append ledger entry:', error);
+        });
+        return appended;
+    }
+
+    /**
+     * @param {Object} options - { from, limit }
+     * @returns {Array} Entries in order
+     */
+    async getEntries(options) {
+        await this.appendQueue;
+        return this.repository.getLedgerEntries(options);
+    }
+
+    /**
+     * @returns {Object|null} { seq, hash } of the latest entry
+     */
+    getHead() {
+        return this.head ? { seq: this.head.seq, hash: this.head.hash } : null;
+    }
+}
+
+function seasonPool(seasonId) {
+    return `season:${seasonId}`;
+}
+
+/**
+ * JSON with object keys sorted at every level, so a hash does not depend on key order
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {Object} entry - Ledger entry
+ * @returns {string} sha256 hex of the entry's hashed fields
+ */
+function hashEntry({ seq, type, at, data, prevHash }) {
+    return crypto.createHash('sha256')
+        .update(canonicalJson({ seq, type, at, data, prevHash }))
+        .digest('hex');
+}
+
+/**
+ * Check a ledger export from its first entry
+ * @param {Array} entries - Entries in order, starting at seq 0
+ * @returns {Object} { valid, errors: [{ seq, message }], head, balances }
+ */
+function verifyLedger(entries) {
+    const errors = [];
+    const balances = new Map(); // pool -> wei
+    let previous = null;
+
+    for (const [index, entry] of entries.entries()) {
+        const report = (message) => errors.push({ seq: entry.seq, message });
+
+        if (entry.seq !== index) {
+            report(`expected sequence number ${index}`);
+        }
+        if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+            report('does not link to the previous entry');
+        }
+        if (entry.hash !== hashEntry(entry)) {
+            report('hash does not match its contents');
+        }
+
+        for (const movement of (entry.data && entry.data.movements) || []) {
+            try {
+                // Exact wei arithmetic, floats would drift
+                const balance = (balances.get(movement.pool) || 0n) + ethers.parseEther(movement.amount);
+                if (balance !== ethers.parseEther(movement.balance)) {
+                    report(`${movement.pool} balance ${movement.balance} does not add up`);
+                }
+                // Carry on from the recorded balance so one bad entry is reported once
+                balances.set(movement.pool, ethers.parseEther(movement.balance));
+            } catch (error) {
+                report(`invalid movement in ${movement.pool}: ${error.shortMessage || error.message}`);
+            }
+        }
+        previous = entry;
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        head: previous ? { seq: previous.seq, hash: previous.hash } : null,
+        balances: balances // pool -> wei
+    };
+}
+
+Ledger.seasonPool = seasonPool;
+Ledger.hashEntry = hashEntry;
+Ledger.verifyLedger = verifyLedger;
+Ledger.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = Ledger;
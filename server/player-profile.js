@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const leaderboard = require('./leaderboard');
+const { sameAddress } = leaderboard;
+
+/**
+ * Per-player view over stored scores and prize distributions
+ * Answers "how am I doing over time": run history, aggregates, winnings
+ * and the player's current all-time rank.
+ */
+
+/**
+ * Build a player's profile
+ * @param {string} address - Checksummed player address
+ * @param {Array} scores - Stored scores (all players)
+ * @param {Array} distributions - Stored prize distributions
+ * @param {Object} options
+ * @param {number} options.limit - Number of recent runs to include
+ * @returns {Object|null} Profile, or null when the player has neither runs nor winnings
+ */
+function buildPlayerProfile(address, scores, distributions, { limit = 20 } = {}) {
+    const runs = scores
+        .filter(s => sameAddress(s.player, address))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    const prizes = [];
+    // Only payouts confirmed on-chain count as winnings
+    for (const distribution of distributions.filter(d => d.status === 'paid')) {
+        for (const prize of distribution.prizes) {
+            if (sameAddress(prize.player, address)) {
+                prizes.push({
+                    position: prize.position,
+                    score: prize.score,
+                    amount: prize.amount,
+                    distributedAt: distribution.distributedAt
+                });
+            }
+        }
+    }
+
+    if (runs.length === 0 && prizes.length === 0) {
+        return null;
+    }
+
+    const totalScore = runs.reduce((sum, s) => sum + s.score, 0);
+    const totalWinnings = prizes.reduce((sum, p) => sum + ethers.parseEther(p.amount), 0n);
+    const rank = leaderboard.getPlayerRank(scores, address, { window: 'all', mode: 'best', around: 0 });
+
+    return {
+        address: address,
+        gamesPlayed: runs.length,
+        bestScore: runs.length > 0 ? Math.max(...runs.map(s => s.score)) : 0,
+        averageScore: runs.length > 0 ? (totalScore / runs.length).toFixed(2) : 0,
+        totalCoins: runs.reduce((sum, s) => sum + (s.coins || 0), 0),
+        firstPlayed: runs.length > 0 ? runs[runs.length - 1].timestamp : null,
+        lastPlayed: runs.length > 0 ? runs[0].timestamp : null,
+        rank: rank ? { rank: rank.rank, total: rank.total } : null,
+        winnings: {
+            total: ethers.formatEther(totalWinnings),
+            prizes: prizes.sort((a, b) => b.distributedAt - a.distributedAt)
+        },
+        // Most recent first
+        runs: runs.slice(0, limit).map(s => ({
+            id: s.id,
+            score: s.score,
+            coins: s.coins || 0,
+            ticks: s.ticks,
+            seed: s.seed,
+            timestamp: s.timestamp
+        }))
+    };
+}
+
+module.exports = { buildPlayerProfile };
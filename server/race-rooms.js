@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { schemas, onEvent } = require('./validation');
+
+/**
+ * Multiplayer race rooms
+ * 2-8 signed-in players race the same seed at the same time. Players get in
+ * through the matchmaking queue (public rooms) or a private room code, ready
+ * up, and the race starts after a short countdown once everyone is ready.
+ * Car positions are relayed live so each client can draw its opponents.
+ *
+ * Standings only use results the server verified itself: a player finishes
+ * when their `game-over` replay verifies on the room's seed.
+ */
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const COUNTDOWN_MS = 3000;
+// A race is cut off after this, unfinished players are ranked DNF
+const MAX_RACE_MS = 10 * 60 * 1000;
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const RESULT_ORDER = ['finished', 'disqualified', 'dnf', 'left'];
+
+class RaceRoomManager {
+    /**
+     * @param {Object} io - socket.io server
+     */
+    constructor(io) {
+        this.io = io;
+        this.rooms = new Map(); // code -> room
+        this.playerRooms = new Map(); // socket.id -> code
+        this.queue = []; // sockets waiting for a public room
+    }
+
+    /**
+     * Register the race events of a connected socket
+     * @param {Object} socket - socket.io socket
+     */
+    handleConnection(socket) {
+        socket.on('race-queue', () => this.withPlayer(socket, () => this.enqueue(socket)));
+        socket.on('race-leave-queue', () => this.dequeue(socket));
+        socket.on('race-create', () => this.withPlayer(socket, () => this.createPrivateRoom(socket)));
+        onEvent(socket, 'race-join', schemas.raceJoin, (data) => this.withPlayer(socket, () => this.joinPrivateRoom(socket, data.code)));
+        onEvent(socket, 'race-ready', schemas.raceReady, (data) => this.setReady(socket, data.ready));
+        onEvent(socket, 'race-position', schemas.racePosition, (data) => this.relayPosition(socket, data));
+        socket.on('race-leave', () => this.leave(socket));
+        socket.on('disconnect', () => {
+            this.dequeue(socket);
+            this.leave(socket);
+        });
+    }
+
+    // Only signed-in wallets race, and only in one room or queue at a time
+    withPlayer(socket, action) {
+        if (!socket.data.address) {
+            return this.sendError(socket, 'Sign in with your wallet to race');
+        }
+        if (this.playerRooms.has(socket.id) || this.queue.includes(socket)) {
+            return this.sendError(socket, 'Already in a race room or queue');
+        }
+        action();
+    }
+
+    sendError(socket, message) {
+        socket.emit('race-error', { message });
+    }
+
+    /**
+     * Matchmaking: fill an open public room, or wait until enough players queue up
+     */
+    enqueue(socket) {
+        const open = [...this.rooms.values()].find(room =>
+            !room.isPrivate && room.status === 'waiting' && room.players.size < MAX_PLAYERS);
+        if (open) {
+            return this.addPlayer(open, socket);
+        }
+
+        this.queue.push(socket);
+        if (this.queue.length >= MIN_PLAYERS) {
+            const room = this.createRoom(false);
+            for (const queued of this.queue.splice(0, MAX_PLAYERS)) {
+                this.addPlayer(room, queued);
+            }
+        }
+        this.queue.forEach((queued, index) => queued.emit('race-queued', { position: index + 1 }));
+    }
+
+    dequeue(socket) {
+        const index = this.queue.indexOf(socket);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+            socket.emit('race-queued', { position: null });
+        }
+    }
+
+    createPrivateRoom(socket) {
+        this.addPlayer(this.createRoom(true), socket);
+    }
+
+    joinPrivateRoom(socket, code) {
+        const room = this.rooms.get(code.trim().toUpperCase());
+        if (!room || !room.isPrivate) {
+            return this.sendError(socket, 'Room not found');
+        }
+        if (room.status !== 'waiting') {
+            return this.sendError(socket, 'This race has already started');
+        }
+        if (room.players.size >= MAX_PLAYERS) {
+            return this.sendError(socket, 'Room is full');
+        }
+        this.addPlayer(room, socket);
+    }
+
+    createRoom(isPrivate) {
+        let code;
+        do {
+            code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+        } while (this.rooms.has(code));
+
+        const room = {
+            code: code,
+            isPrivate: isPrivate,
+            status: 'waiting',
+            seed: null,
+            startAt: null,
+            players: new Map(), // socket.id -> player
+            departed: [], // results of players who left mid-race
+            timer: null
+        };
+        this.rooms.set(code, room);
+        return room;
+    }
+
+    addPlayer(room, socket) {
+        room.players.set(socket.id, {
+            id: socket.id,
+            address: socket.data.address,
+            ready: false,
+            result: null
+        });
+        this.playerRooms.set(socket.id, room.code);
+        socket.join(this.channel(room));
+        this.broadcastRoom(room);
+    }
+
+    setReady(socket, ready) {
+        const room = this.getRoom(socket);
+        if (!room || room.status === 'racing') {
+            return;
+        }
+
+        room.players.get(socket.id).ready = ready;
+        this.updateCountdown(room);
+        this.broadcastRoom(room);
+    }
+
+    // Start the countdown once everyone is ready, cancel it if that stops being true
+    updateCountdown(room) {
+        const allReady = room.players.size >= MIN_PLAYERS &&
+            [...room.players.values()].every(player => player.ready);
+
+        if (allReady && room.status === 'waiting') {
+            room.status = 'countdown';
+            room.seed = crypto.randomBytes(4).readUInt32BE(0);
+            room.startAt = Date.now() + COUNTDOWN_MS;
+            room.timer = setTimeout(() => this.startRace(room), COUNTDOWN_MS);
+            this.io.to(this.channel(room)).emit('race-countdown', {
+                code: room.code,
+                startAt: room.startAt,
+                seconds: COUNTDOWN_MS / 1000
+            });
+        } else if (!allReady && room.status === 'countdown') {
+            clearTimeout(room.timer);
+            room.status = 'waiting';
+            room.seed = null;
+            room.startAt = null;
+        }
+    }
+
+    startRace(room) {
+        room.status = 'racing';
+        room.timer = setTimeout(() => this.finishRace(room), MAX_RACE_MS);
+        this.io.to(this.channel(room)).emit('race-start', {
+            code: room.code,
+            seed: room.seed,
+            startAt: room.startAt
+        });
+        this.broadcastRoom(room);
+    }
+
+    /**
+     * Relay a racer's car to the rest of the room
+     * Volatile: a dropped update is simply replaced by the next one.
+     */
+    relayPosition(socket, data) {
+        const room = this.getRoom(socket);
+        if (!room || room.status !== 'racing') {
+            return;
+        }
+
+        socket.to(this.channel(room)).volatile.emit('race-opponent', {
+            id: socket.id,
+            address: socket.data.address,
+            tick: data.tick,
+            x: data.x,
+            score: data.score,
+            crashed: !!data.crashed
+        });
+    }
+
+    /**
+     * Finish a racer with the server's verification of their run
+     * @param {string} socketId - Racer's socket
+     * @param {Object} verification - Result of ScoreVerifier.verifySubmission()
+     */
+    recordResult(socketId, verification) {
+        const room = this.rooms.get(this.playerRooms.get(socketId));
+        const player = room && room.players.get(socketId);
+        if (!player || room.status !== 'racing' || player.result) {
+            return;
+        }
+
+        if (verification.valid && verification.seed === room.seed) {
+            player.result = { status: 'finished', score: verification.score, ticks: verification.ticks };
+        } else {
+            player.result = {
+                status: 'disqualified',
+                reason: verification.valid ? 'Run was not on the race seed' : verification.reason
+            };
+        }
+
+        this.broadcastRoom(room);
+        if ([...room.players.values()].every(p => p.result)) {
+            this.finishRace(room);
+        }
+    }
+
+    finishRace(room) {
+        clearTimeout(room.timer);
+
+        const results = [...room.players.values()]
+            .map(player => ({ id: player.id, address: player.address, ...(player.result || { status: 'dnf' }) }))
+            .concat(room.departed);
+        const standings = results
+            .sort((a, b) => (RESULT_ORDER.indexOf(a.status) - RESULT_ORDER.indexOf(b.status)) ||
+                ((b.score || 0) - (a.score || 0)) ||
+                ((b.ticks || 0) - (a.ticks || 0)))
+            .map((result, index) => ({ position: index + 1, ...result }));
+
+        this.io.to(this.channel(room)).emit('race-standings', {
+            code: room.code,
+            seed: room.seed,
+            standings: standings
+        });
+
+        // Same players can ready up for a rematch
+        room.status = 'waiting';
+        room.seed = null;
+        room.startAt = null;
+        room.departed = [];
+        for (const player of room.players.values()) {
+            player.ready = false;
+            player.result = null;
+        }
+        this.broadcastRoom(room);
+    }
+
+    leave(socket) {
+        const room = this.getRoom(socket);
+        if (!room) {
+            return;
+        }
+
+        const player = room.players.get(socket.id);
+        room.players.delete(socket.id);
+        this.playerRooms.delete(socket.id);
+        socket.leave(this.channel(room));
+        socket.emit('race-room', null);
+
+        // Keep a racer in the standings, as finished if their run already verified
+        if (room.status === 'racing') {
+            room.departed.push({ id: player.id, address: player.address, ...(player.result || { status: 'left' }) });
+        }
+
+        if (room.players.size === 0) {
+            clearTimeout(room.timer);
+            this.rooms.delete(room.code);
+            return;
+        }
+
+        if (room.status === 'racing' && [...room.players.values()].every(p => p.result)) {
+            this.finishRace(room);
+        } else {
+            this.updateCountdown(room);
+            this.broadcastRoom(room);
+        }
+    }
+
+    getRoom(socket) {
+        return this.rooms.get(this.playerRooms.get(socket.id)) || null;
+    }
+
+    channel(room) {
+        return `race:${room.code}`;
+    }
+
+    /**
+     * Room as sent to its players (the seed is only revealed at the start)
+     */
+    toPublic(room) {
+        return {
+            code: room.code,
+            isPrivate: room.isPrivate,
+            status: room.status,
+            seed: room.status === 'racing' ? room.seed : null,
+            startAt: room.startAt,
+            minPlayers: MIN_PLAYERS,
+            maxPlayers: MAX_PLAYERS,
+            players: [...room.players.values()].map(player => ({
+                id: player.id,
+                address: player.address,
+                ready: player.ready,
+                status: player.result ? player.result.status : null
+            }))
+        };
+    }
+
+    broadcastRoom(room) {
+        this.io.to(this.channel(room)).emit('race-room', this.toPublic(room));
+    }
+}
+
+RaceRoomManager.MIN_PLAYERS = MIN_PLAYERS;
+RaceRoomManager.MAX_PLAYERS = MAX_PLAYERS;
+
+module.exports = RaceRoomManager;
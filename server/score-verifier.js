@@ -0,0 +1,312 @@
+const { ethers } = require('ethers');
+
+/**
+ * Server-authoritative score verification
+ * Re-runs the submitted seed + input log through the shared game core
+ * and only accepts the score the server computes itself. The result must
+ * also carry an EIP-712 signature from the wallet it is credited to,
+ * checked before the replay so unsigned runs cost no simulation.
+ */
+
+// Longest run we are willing to re-simulate (30 minutes of play)
+const MAX_REPLAY_TICKS = 60 * 60 * 30;
+const REPLAY_WINDOW_MS = 60 * 1000;
+const SUPPORTED_RECORDING_VERSIONS = [1];
+
+const REJECTION_REASONS = {
+    MISSING_REPLAY: 'MISSING_REPLAY',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    INVALID_REPLAY: 'INVALID_REPLAY',
+    REPLAY_TOO_LONG: 'REPLAY_TOO_LONG',
+    SEED_MISMATCH: 'SEED_MISMATCH',
+    RUN_INCOMPLETE: 'RUN_INCOMPLETE',
+    SCORE_MISMATCH: 'SCORE_MISMATCH',
+    MISSING_SIGNATURE: 'MISSING_SIGNATURE',
+    WRONG_CHAIN: 'WRONG_CHAIN',
+    SIGNED_RESULT_MISMATCH: 'SIGNED_RESULT_MISMATCH',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    PLAYER_MISMATCH: 'PLAYER_MISMATCH',
+    RATE_LIMITED: 'RATE_LIMITED',
+    DUPLICATE_SUBMISSION: 'DUPLICATE_SUBMISSION',
+    // Set by the game-over handler: the session's final channel state was not signed correctly
+    INVALID_CHANNEL_STATE: 'INVALID_CHANNEL_STATE',
+    // Set by the game-over handler: a guest socket has no wallet to credit the run to
+    NOT_SIGNED_IN: 'NOT_SIGNED_IN'
+};
+
+class ScoreVerifier {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.chainId] - Chain results must be signed on
+     * @param {number} [options.replaysPerMinute] - Replays one wallet may have simulated per minute
+     */
+    constructor({
+        chainId = process.env.CHAIN_ID || 11155111,
+        replaysPerMinute = process.env.SCORE_REPLAYS_PER_MINUTE || 10
+    } = {}) {
+        if (!(Number(replaysPerMinute) > 0)) {
+            throw new Error(`SCORE_REPLAYS_PER_MINUTE must be positive, got ${replaysPerMinute}`);
+        }
+        this.chainId = Number(chainId);
+        this.replaysPerMinute = Number(replaysPerMinute);
+        this.replayWindows = new Map(); // lowercased address -> { startedAt, count }
+        this.corePromise = null;
+        this.typedDataPromise = null;
+    }
+
+    /**
+     * Load the ES module game core once
+     * @returns {Promise<Object>} game-core module
+     */
+    loadCore() {
+        if (!this.corePromise) {
+            this.corePromise = import('../shared/game-core.js');
+        }
+        return this.corePromise;
+    }
+
+    /**
+     * Load the shared EIP-712 definitions once
+     * @returns {Promise<Object>} typed-data module
+     */
+    loadTypedData() {
+        if (!this.typedDataPromise) {
+            this.typedDataPromise = import('../shared/typed-data.js');
+        }
+        return this.typedDataPromise;
+    }
+
+    /**
+     * Full check of a submitted result: the wallet signature over the claimed
+     * result first, then the per-wallet replay budget, then the replay itself
+     * @param {Object} submission
+     * @param {Object} submission.proof - Score proof with recording
+     * @param {number} submission.score - Claimed score
+     * @param {Object} submission.signedResult - EIP-712 fields plus chainId and signature
+     * @param {string} submission.player - Address the score will be credited to
+     * @returns {Object} { valid, score, coins, ticks, seed, player, proofHash, reason, message }
+     */
+    async verifySubmission({ proof, score, signedResult, player }) {
+        if (!proof || !proof.recording) {
+            return this.reject(REJECTION_REASONS.MISSING_REPLAY, 'Score proof has no replay');
+        }
+
+        // The replay must reach the signed score, so signing the claim is as good as signing the result
+        const signature = await this.verifySignature(signedResult, proof, { score, seed: proof.recording.seed }, player);
+        if (!signature.valid) {
+            return signature;
+        }
+
+        if (!this.takeReplay(signature.player)) {
+            return this.reject(REJECTION_REASONS.RATE_LIMITED, `At most ${this.replaysPerMinute} runs per minute can be verified per wallet`);
+        }
+
+        const verification = await this.verify(proof, score);
+        if (!verification.valid) {
+            return verification;
+        }
+
+        return {
+            ...verification,
+            player: signature.player,
+            proofHash: signedResult.proofHash
+        };
+    }
+
+    /**
+     * Count a replay against a wallet's budget for the current minute
+     * @param {string} player - Wallet the replay is simulated for
+     * @returns {boolean} Whether the replay may run
+     */
+    takeReplay(player) {
+        const now = Date.now();
+        if (this.replayWindows.size > 10000) {
+            for (const [address, window] of this.replayWindows) {
+                if (now - window.startedAt >= REPLAY_WINDOW_MS) {
+                    this.replayWindows.delete(address);
+                }
+            }
+        }
+
+        const key = player.toLowerCase();
+        let window = this.replayWindows.get(key);
+        if (!window || now - window.startedAt >= REPLAY_WINDOW_MS) {
+            window = { startedAt: now, count: 0 };
+            this.replayWindows.set(key, window);
+        }
+        if (window.count >= this.replaysPerMinute) {
+            return false;
+        }
+        window.count++;
+        return true;
+    }
+
+    /**
+     * Check the EIP-712 signature over a result
+     * @param {Object} signedResult - Signed fields, chainId and signature
+     * @param {Object} proof - Score proof the signature must cover
+     * @param {Object} result - { score, seed } the signature must be for
+     * @param {string} expectedPlayer - Address the score will be credited to
+     * @returns {Object} { valid, player } or a rejection
+     */
+    async verifySignature(signedResult, proof, result, expectedPlayer) {
+        const { SCORE_TYPES, buildScoreDomain, serializeRecording } = await this.loadTypedData();
+
+        if (!signedResult || typeof signedResult.signature !== 'string') {
+            return this.reject(REJECTION_REASONS.MISSING_SIGNATURE, 'Result is not signed');
+        }
+
+        if (Number(signedResult.chainId) !== this.chainId) {
+            return this.reject(REJECTION_REASONS.WRONG_CHAIN, `Result must be signed on chain ${this.chainId}`);
+        }
+
+        const proofHash = ethers.keccak256(ethers.toUtf8Bytes(serializeRecording(proof.recording)));
+        if (signedResult.proofHash !== proofHash ||
+            signedResult.score !== result.score ||
+            signedResult.seed !== result.seed ||
+            signedResult.sessionId !== proof.sessionId) {
+            return this.reject(REJECTION_REASONS.SIGNED_RESULT_MISMATCH, 'Signed fields do not match the submitted run');
+        }
+
+        let signer;
+        try {
+            const value = {
+                player: signedResult.player,
+                score: signedResult.score,
+                sessionId: signedResult.sessionId,
+                seed: signedResult.seed,
+                proofHash: signedResult.proofHash
+            };
+            signer = ethers.verifyTypedData(buildScoreDomain(this.chainId), SCORE_TYPES, value, signedResult.signature);
+        } catch (error) {
+            return this.reject(REJECTION_REASONS.INVALID_SIGNATURE, 'Signature could not be verified: ' + error.message);
+        }
+
+        if (!this.sameAddress(signer, signedResult.player)) {
+            return this.reject(REJECTION_REASONS.INVALID_SIGNATURE, 'Signature was not made by the signed player');
+        }
+
+        if (!this.sameAddress(signer, expectedPlayer)) {
+            return this.reject(REJECTION_REASONS.PLAYER_MISMATCH, 'Signer does not match the submitting player');
+        }
+
+        return { valid: true, player: signer };
+    }
+
+    sameAddress(a, b) {
+        return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+    }
+
+    /**
+     * Verify a run by re-simulating it
+     * @param {Object} proof - Score proof from the client (must contain `recording`)
+     * @param {number} claimedScore - Score the client says it reached
+     * @returns {Object} { valid, score, coins, ticks, seed, reason, message }
+     */
+    async verify(proof, claimedScore) {
+        const core = await this.loadCore();
+        const recording = proof && proof.recording;
+
+        if (!recording) {
+            return this.reject(REJECTION_REASONS.MISSING_REPLAY, 'Score proof has no replay');
+        }
+
+        if (!SUPPORTED_RECORDING_VERSIONS.includes(recording.version)) {
+            return this.reject(REJECTION_REASONS.UNSUPPORTED_VERSION, `Unsupported replay version: ${recording.version}`);
+        }
+
+        if (recording.ticks > MAX_REPLAY_TICKS) {
+            return this.reject(REJECTION_REASONS.REPLAY_TOO_LONG, `Replay exceeds ${MAX_REPLAY_TICKS} ticks`);
+        }
+
+        const problem = this.checkRecording(recording, core);
+        if (problem) {
+            return this.reject(REJECTION_REASONS.INVALID_REPLAY, problem);
+        }
+
+        if (proof.seed !== undefined && proof.seed !== recording.seed) {
+            return this.reject(REJECTION_REASONS.SEED_MISMATCH, 'Proof seed does not match replay seed');
+        }
+
+        const result = core.simulateRecording(recording);
+
+        // A finished run ends with a crash exactly on its last recorded tick
+        if (!result.isOver || result.tick !== recording.ticks) {
+            return this.reject(REJECTION_REASONS.RUN_INCOMPLETE, 'Replay does not end in a crash on its last tick', result);
+        }
+
+        if (result.score !== claimedScore) {
+            return this.reject(
+                REJECTION_REASONS.SCORE_MISMATCH,
+                `Claimed score ${claimedScore} does not match simulated score ${result.score}`,
+                result
+            );
+        }
+
+        return {
+            valid: true,
+            score: result.score,
+            coins: result.gameSession.coinsCollected,
+            ticks: result.tick,
+            seed: recording.seed
+        };
+    }
+
+    /**
+     * Structural checks before spending CPU on a simulation
+     * @param {Object} recording - Submitted recording
+     * @param {Object} core - game-core module
+     * @returns {string|null} Problem description, or null when the shape is valid
+     */
+    checkRecording(recording, core) {
+        if (!Number.isInteger(recording.seed) || recording.seed < 0 || recording.seed > 0xFFFFFFFF) {
+            return 'Seed must be an unsigned 32-bit integer';
+        }
+        if (recording.tickRate !== core.TICK_RATE) {
+            return `Tick rate must be ${core.TICK_RATE}`;
+        }
+        if (recording.width !== core.DEFAULT_WIDTH || recording.height !== core.DEFAULT_HEIGHT) {
+            return `Track must be ${core.DEFAULT_WIDTH}x${core.DEFAULT_HEIGHT}`;
+        }
+        if (!Number.isInteger(recording.ticks) || recording.ticks < 1) {
+            return 'Tick count must be a positive integer';
+        }
+        if (!Array.isArray(recording.inputs) || recording.inputs.length > recording.ticks) {
+            return 'Inputs must be an array with at most one entry per tick';
+        }
+
+        // Same clamp as the client's sampleInput()
+        const maxTargetX = core.DEFAULT_WIDTH - core.CAR_WIDTH;
+        let lastTick = 0;
+        for (const entry of recording.inputs) {
+            if (!Array.isArray(entry) || entry.length !== 2) {
+                return 'Each input must be [tick, targetX]';
+            }
+            const [tick, targetX] = entry;
+            if (!Number.isInteger(tick) || tick <= lastTick || tick > recording.ticks) {
+                return 'Input ticks must be increasing and within the run';
+            }
+            if (!Number.isInteger(targetX) || targetX < 0 || targetX > maxTargetX) {
+                return `Input targetX must be an integer between 0 and ${maxTargetX}`;
+            }
+            lastTick = tick;
+        }
+
+        return null;
+    }
+
+    reject(reason, message, result = null) {
+        return {
+            valid: false,
+            reason: reason,
+            message: message,
+            score: result ? result.score : null,
+            ticks: result ? result.tick : null
+        };
+    }
+}
+
+ScoreVerifier.REJECTION_REASONS = REJECTION_REASONS;
+ScoreVerifier.MAX_REPLAY_TICKS = MAX_REPLAY_TICKS;
+
+module.exports = ScoreVerifier;
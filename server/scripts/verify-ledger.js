@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { verifyLedger } = require('../ledger');
+
+/**
+ * Check a prize pool ledger export for tampering
+ *
+ *   node scripts/verify-ledger.js <file | http://host/api/ledger/export> [--head <hash>] [--player <address>]
+ *
+ * Recomputes every hash and link and replays the pool balances. --head
+ * compares the last entry with a head hash published elsewhere, which also
+ * catches entries cut off the end. --player lists the fees, pending and
+ * confirmed payouts of one wallet.
+ */
+
+function parseArgs(argv) {
+    const args = { source: null, head: null, player: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--head') {
+            args.head = argv[++i];
+        } else if (argv[i] === '--player') {
+            args.player = (argv[++i] || '').toLowerCase();
+        } else {
+            args.source = argv[i];
+        }
+    }
+    return args;
+}
+
+async function readExport(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`${source} answered ${response.status}`);
+        }
+        return response.text();
+    }
+    return fs.promises.readFile(source, 'utf8');
+}
+
+function printPlayer(entries, player) {
+    console.log(`\nEntries for ${player}:`);
+    for (const entry of entries) {
+        if (entry.type === 'fee.accrued' && (entry.data.player || '').toLowerCase() === player) {
+            const [movement] = entry.data.movements;
+            console.log(`  #${entry.seq} ${new Date(entry.at).toISOString()} paid ${movement.amount} ETH into ${movement.pool}`);
+        }
+        if (entry.type === 'payout.pending') {
+            for (const payout of entry.data.payouts.filter(p => (p.player || '').toLowerCase() === player)) {
+                console.log(`  #${entry.seq} ${new Date(entry.at).toISOString()} is owed ${payout.amount} ETH from season ${entry.data.seasonId}`);
+            }
+        }
+        if (entry.type === 'payout.executed') {
+            const tx = entry.data.txHash ? ` (tx ${entry.data.txHash})` : '';
+            for (const payout of entry.data.payouts.filter(p => (p.player || '').toLowerCase() === player)) {
+                console.log(`  #${entry.seq} ${new Date(entry.at).toISOString()} won ${payout.amount} ETH in season ${entry.data.seasonId}${tx}`);
+            }
+        }
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.source) {
+        console.error('Usage: node scripts/verify-ledger.js <file | url> [--head <hash>] [--player <address>]');
+        process.exit(2);
+    }
+
+    const entries = (await readExport(args.source))
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    const result = verifyLedger(entries);
+
+    if (args.head && (!result.head || result.head.hash !== args.head)) {
+        result.valid = false;
+        result.errors.push({ seq: result.head ? result.head.seq : null, message: `last entry does not match head ${args.head}` });
+    }
+
+    console.log(`Checked ${entries.length} entries`);
+    if (result.head) {
+        console.log(`Head: #${result.head.seq} ${result.head.hash}`);
+    }
+    for (const [pool, wei] of result.balances) {
+        console.log(`  ${pool}: ${ethers.formatEther(wei)} ETH`);
+    }
+    if (args.player) {
+        printPlayer(entries, args.player);
+    }
+
+    if (!result.valid) {
+        console.error(`\n❌ Ledger does not verify (${result.errors.length} problems):`);
+        for (const error of result.errors) {
+            console.error(`  #${error.seq}: ${error.message}`);
+        }
+        process.exit(1);
+    }
+    console.log('\n✅ Ledger verified');
+}
+
+main().catch((error) => {
+    console.error('❌', error.message);
+    process.exit(2);
+});
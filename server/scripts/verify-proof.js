@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { verifyRun } = require('../settlement');
+const { TURBO_WHEEL_CHANNEL_ABI } = require('../channel-contract');
+
+/**
+ * Check that a run is part of a committed settlement epoch
+ *
+ *   node scripts/verify-proof.js <file | http://host/api/proofs/<channelId>> [--root <hash>] [--rpc <url> [--contract <address>]]
+ *
+ * Recomputes the run's leaf and folds its proof up to the epoch root.
+ * --root compares with a root published elsewhere. --rpc reads the root
+ * TurboWheelChannel holds for the epoch (from the proof's contract unless
+ * --contract is given), so nothing the server says has to be trusted.
+ */
+
+function parseArgs(argv) {
+    const args = { source: null, root: null, rpc: null, contract: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--root') {
+            args.root = argv[++i];
+        } else if (argv[i] === '--rpc') {
+            args.rpc = argv[++i];
+        } else if (argv[i] === '--contract') {
+            args.contract = argv[++i];
+        } else {
+            args.source = argv[i];
+        }
+    }
+    return args;
+}
+
+async function readProof(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(`${source} answered ${response.status}: ${body.error}`);
+        }
+        return body;
+    }
+    return JSON.parse(await fs.promises.readFile(source, 'utf8'));
+}
+
+async function readOnChainRoot(rpcUrl, contractAddress, epoch) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    try {
+        const contract = new ethers.Contract(contractAddress, TURBO_WHEEL_CHANNEL_ABI, provider);
+        return await contract.settlementRoots(epoch);
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.source) {
+        console.error('Usage: node scripts/verify-proof.js <file | url> [--root <hash>] [--rpc <url> [--contract <address>]]');
+        process.exit(2);
+    }
+
+    const { run, proof, root, epoch, contract } = await readProof(args.source);
+    const errors = [];
+
+    console.log(`Run ${run.channelId}`);
+    console.log(`  player ${run.player}, score ${run.score}, nonce ${run.nonce}`);
+    console.log(`Epoch ${epoch}: root ${root}, ${proof.length} proof hash(es)`);
+
+    if (!verifyRun(run, proof, root)) {
+        errors.push('proof does not lead from the run to the root');
+    }
+    if (args.root && args.root.toLowerCase() !== root.toLowerCase()) {
+        errors.push(`root does not match ${args.root}`);
+    }
+    if (args.rpc) {
+        const contractAddress = args.contract || contract;
+        if (!contractAddress) {
+            errors.push('no contract to read the root from, pass --contract');
+        } else {
+            const onChainRoot = await readOnChainRoot(args.rpc, contractAddress, epoch);
+            console.log(`On-chain root at ${contractAddress}: ${onChainRoot}`);
+            if (onChainRoot === ethers.ZeroHash) {
+                errors.push(`epoch ${epoch} is not committed on-chain`);
+            } else if (onChainRoot !== root.toLowerCase()) {
+                errors.push('root does not match the one committed on-chain');
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        console.error('\n❌ Run does not verify:');
+        for (const error of errors) {
+            console.error(`  ${error}`);
+        }
+        process.exit(1);
+    }
+    console.log('\n✅ Run verified');
+}
+
+main().catch((error) => {
+    console.error('❌', error.message);
+    process.exit(2);
+});
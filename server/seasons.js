@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const leaderboard = require('./leaderboard');
+const { seasonPool } = require('./ledger');
+
+/**
+ * Seasons: fixed-length competitions with their own leaderboard and prize pool
+ * Exactly one season is active at a time. When it ends it is closed
+ * automatically: its best-per-player standings are paid out, or the pool
+ * rolls over into the next season when too few players took part.
+ *
+ * A payout is recorded as pending when the season closes and only counts
+ * as paid once TurboWheelChannel.payoutSeason() is confirmed on-chain.
+ * Pending payouts are retried on startup.
+ *
+ * Seed policies:
+ *   random - any seed counts
+ *   fixed  - every run must use the season seed (a tournament)
+ *   daily  - a new shared seed every UTC day, derived from the season seed
+ *
+ * A season keeps the prize rules it started with (shared/prize-rules.js),
+ * so changing PRIZE_* only affects the seasons after it.
+ */
+
+const SEED_POLICIES = ['random', 'fixed', 'daily'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Verified replays always run at 60 ticks per second
+const TICK_MS = 1000 / 60;
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const RETRY_MS = 60 * 1000;
+
+class SeasonManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Game repository
+     * @param {Object} options.yellowSDK - Pays season prizes on-chain
+     * @param {Object} options.ledger - Records every pool movement
+     * @param {number} options.durationDays - Length of a season
+     * @param {string} options.seedPolicy - random | fixed | daily
+     * @param {Object} options.prizeRules - Rules for new seasons, checked in init()
+     */
+    constructor({
+        repository,
+        yellowSDK,
+        ledger,
+        durationDays = process.env.SEASON_DURATION_DAYS || 7,
+        seedPolicy = process.env.SEASON_SEED_POLICY || 'random',
+        prizeRules = prizeRulesFromEnv()
+    }) {
+        if (!SEED_POLICIES.includes(seedPolicy)) {
+            throw new Error(`Unknown season seed policy "${seedPolicy}", use one of: ${SEED_POLICIES.join(', ')}`);
+        }
+        if (!(Number(durationDays) > 0)) {
+            throw new Error('Season duration must be a positive number of days');
+        }
+
+        this.repository = repository;
+        this.yellowSDK = yellowSDK;
+        this.ledger = ledger;
+        this.durationMs = Number(durationDays) * DAY_MS;
+        this.seedPolicy = seedPolicy;
+        this.prizeRules = prizeRules;
+        this.prizeRulesPromise = null;
+        this.timer = null;
+        // Closes run one after another, so a season is never closed twice
+        this.closeQueue = Promise.resolve();
+        this.payingOut = new Set(); // season ids with a payout in flight
+
+        // Callbacks
+        this.onSeasonStarted = null;
+        this.onSeasonClosed = null;
+    }
+
+    async init() {
+        const { normalizePrizeRules } = await this.loadPrizeRules();
+        this.prizeRules = normalizePrizeRules(this.prizeRules);
+
+        await this.rollOver();
+        await this.schedule();
+        // Not awaited: a payout waits for its confirmations
+        this.settlePayouts().catch(error => console.error('❌ Failed to settle season payouts:', error));
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Load the ES module prize rules once
+     * @returns {Promise<Object>} prize-rules module
+     */
+    loadPrizeRules() {
+        if (!this.prizeRulesPromise) {
+            this.prizeRulesPromise = import('../shared/prize-rules.js');
+        }
+        return this.prizeRulesPromise;
+    }
+
+    /**
+     * @returns {Object|null} The running season
+     */
+    async getActiveSeason() {
+        const seasons = await this.repository.getSeasons();
+        return seasons.find(s => s.status === 'active') || null;
+    }
+
+    /**
+     * Close the active season if it is over and make sure one is running
+     * @param {number} now - Current time (ms)
+     * @returns {Object} Active season
+     */
+    async rollOver(now = Date.now()) {
+        let active = await this.getActiveSeason();
+        if (active && active.endsAt <= now) {
+            await this.closeSeason(active.id, now);
+            active = null;
+        }
+        if (!active) {
+            active = await this.startSeason(now);
+        }
+        return active;
+    }
+
+    /**
+     * End the active season early, pay it out and start the next one
+     * @param {number} now - Current time (ms)
+     * @param {Object} [options] - Passed on to closeSeason()
+     * @returns {Object} Closed season
+     */
+    async endActiveSeason(now = Date.now(), options = {}) {
+        const active = await this.getActiveSeason();
+        if (!active) {
+            throw new SeasonChangedError('No active season');
+        }
+
+        const closed = await this.closeSeason(active.id, now, options);
+        await this.startSeason(now);
+        await this.schedule();
+        return closed;
+    }
+
+    /**
+     * Start a new season, funded by whatever rolled over
+     * @param {number} now - Current time (ms)
+     * @returns {Object} New season
+     */
+    async startSeason(now = Date.now()) {
+        const seasons = await this.repository.getSeasons();
+        const previous = seasons[seasons.length - 1];
+        const id = previous ? previous.id + 1 : 1;
+
+        const season = {
+            id: id,
+            name: `Season ${id}`,
+            status: 'active',
+            startsAt: now,
+            endsAt: now + this.durationMs,
+            seedPolicy: this.seedPolicy,
+            seed: this.seedPolicy === 'random' ? null : crypto.randomBytes(4).readUInt32BE(0),
+            prizePool: '0.0',
+            prizeRules: this.prizeRules,
+            distribution: null,
+            closedAt: null
+        };
+
+        // The rollover moves into the new season in one step with its ledger entry
+        await this.ledger.append('pool.transfer', { reason: 'season_started', seasonId: id }, async () => {
+            const { rolloverPool } = await this.repository.getStats();
+            season.prizePool = rolloverPool;
+            await this.repository.setRolloverPool('0.0');
+            await this.repository.addSeason(season);
+
+            return parseFloat(rolloverPool) > 0 ? [
+                { pool: 'rollover', amount: negate(rolloverPool), balance: '0.0' },
+                { pool: seasonPool(id), amount: rolloverPool, balance: rolloverPool }
+            ] : null;
+        });
+        console.log(`🏁 ${season.name} started (${season.seedPolicy} seeds, ends ${new Date(season.endsAt).toISOString()})`);
+
+        if (this.onSeasonStarted) this.onSeasonStarted(season);
+        return season;
+    }
+
+    /**
+     * Close a season and distribute its pool over the best-per-player standings
+     * @param {number} seasonId - Season id
+     * @param {number} now - Current time (ms)
+     * @param {Object} [options]
+     * @param {Object} [options.expected] - previewClose() result the caller checked; the close is aborted when it no longer matches
+     * @returns {Object} Closed season
+     * @throws {SeasonChangedError} When the season is no longer active or differs from `expected`
+     */
+    closeSeason(seasonId, now = Date.now(), { expected = null } = {}) {
+        const closing = this.closeQueue.then(() => this.runClose(seasonId, now, expected));
+        this.closeQueue = closing.catch(() => {});
+        closing.then((closed) => {
+            if (closed.distribution) {
+                this.settlePayouts().catch(error => console.error('❌ Failed to settle season payouts:', error));
+            }
+        }, () => {});
+        return closing;
+    }
+
+    async runClose(seasonId, now, expected) {
+        const preview = await this.previewClose(seasonId);
+        if (expected && closeFingerprint(preview) !== closeFingerprint(expected)) {
+            throw new SeasonChangedError('Standings or prize pool changed since they were checked');
+        }
+        const { season, standings, distribution } = preview;
+
+        let pending = null;
+        if (distribution) {
+            // The pool stays in the season until the payout is confirmed on-chain
+            pending = { ...distribution, status: 'pending', computedAt: now, distributedAt: null, txHash: null, distributionId: null };
+            await this.repository.addDistribution(pending);
+            await this.ledger.append('distribution.computed', {
+                seasonId,
+                players: standings.length,
+                totalPrize: distribution.totalPrize,
+                prizes: distribution.prizes
+            });
+            await this.ledger.append('payout.pending', {
+                seasonId,
+                payouts: distribution.prizes.map(({ player, amount }) => ({ player, amount })),
+                houseFee: distribution.houseFee
+            });
+        } else {
+            // Nobody to pay out: the pool carries into the next season
+            await this.ledger.append('pool.transfer', { reason: 'season_closed', seasonId }, async () => {
+                const rolloverPool = await this.repository.addToRolloverPool(parseFloat(season.prizePool));
+                return parseFloat(season.prizePool) > 0 ? [
+                    { pool: seasonPool(seasonId), amount: negate(season.prizePool), balance: '0.0' },
+                    { pool: 'rollover', amount: season.prizePool, balance: rolloverPool }
+                ] : null;
+            });
+        }
+
+        const closed = await this.repository.updateSeason(seasonId, {
+            status: 'closed',
+            closedAt: now,
+            distribution: pending
+        });
+        console.log(`🏆 ${closed.name} closed with ${standings.length} players` +
+            (distribution ? `, ${closed.prizePool} ETH to pay out` : ', pool rolled over'));
+
+        if (this.onSeasonClosed) this.onSeasonClosed(closed);
+        return closed;
+    }
+
+    /**
+     * What closing a season would do right now, without changing anything
+     * @param {number} seasonId - Season id
+     * @returns {Object} { season, standings, distribution } - distribution is null when the pool rolls over
+     */
+    async previewClose(seasonId) {
+        const season = await this.repository.getSeason(seasonId);
+        if (!season || season.status !== 'active') {
+            throw new SeasonChangedError('Season is not active');
+        }
+
+        const standings = await this.getStandings(seasonId);
+        const { computePrizeDistribution } = await this.loadPrizeRules();
+        const distribution = computePrizeDistribution(standings, season.prizePool, season.prizeRules);
+
+        return { season, standings, distribution: distribution && { ...distribution, seasonId } };
+    }
+
+    /**
+     * Pay a closed season's pending payout on-chain and record it once confirmed
+     * @param {number} seasonId - Season id
+     * @returns {Object} Season with its paid distribution
+     * @throws {SeasonChangedError} When the season has no pending payout
+     * @throws {PayoutError} When the on-chain payout fails; it stays pending
+     */
+    async payOut(seasonId) {
+        if (this.payingOut.has(seasonId)) {
+            throw new SeasonChangedError(`Season ${seasonId} is already being paid out`);
+        }
+        this.payingOut.add(seasonId);
+        try {
+            const season = await this.repository.getSeason(seasonId);
+            const distribution = season && season.distribution;
+            if (!distribution || distribution.status !== 'pending') {
+                throw new SeasonChangedError(`Season ${seasonId} has no pending payout`);
+            }
+
+            let payout;
+            try {
+                payout = await this.yellowSDK.paySeason({ seasonId, prizes: distribution.prizes });
+            } catch (error) {
+                await this.recordDistribution(seasonId, { ...distribution, payoutError: error.message });
+                throw error;
+            }
+
+            await this.ledger.append('payout.executed', {
+                seasonId,
+                payouts: distribution.prizes.map(({ player, amount }) => ({ player, amount })),
+                houseFee: distribution.houseFee,
+                txHash: payout.txHash,
+                distributionId: payout.distributionId,
+                movements: [{ pool: seasonPool(seasonId), amount: negate(season.prizePool), balance: '0.0' }]
+            });
+            const paid = await this.recordDistribution(seasonId, {
+                ...distribution,
+                status: 'paid',
+                distributedAt: Date.now(),
+                txHash: payout.txHash,
+                distributionId: payout.distributionId,
+                payoutError: null
+            });
+            console.log(`💰 ${paid.name} paid out: ${distribution.totalPrize} ETH in ${payout.txHash}`);
+            return paid;
+        } finally {
+            this.payingOut.delete(seasonId);
+        }
+    }
+
+    /**
+     * Pay every pending season payout; failures are logged and stay pending
+     */
+    async settlePayouts() {
+        const seasons = await this.repository.getSeasons();
+        for (const season of seasons.filter(s => s.distribution && s.distribution.status === 'pending')) {
+            if (this.payingOut.has(season.id)) {
+                continue;
+            }
+            try {
+                await this.payOut(season.id);
+            } catch (error) {
+                console.warn(`⚠️ Season ${season.id} payout is still pending: ${error.message}`);
+            }
+        }
+    }
+
+    // A season's distribution is stored twice: in the season and in the distribution history
+    async recordDistribution(seasonId, distribution) {
+        await this.repository.updateDistribution(seasonId, distribution);
+        return this.repository.updateSeason(seasonId, { distribution });
+    }
+
+    /**
+     * Best run of each player in a season, in rank order
+     * @param {number} seasonId - Season id
+     * @returns {Array} Ranked scores
+     */
+    async getStandings(seasonId) {
+        return leaderboard.rankScores(await this.repository.getScores(), {
+            window: 'season',
+            seasonId: seasonId,
+            mode: 'best'
+        });
+    }
+
+    /**
+     * Seed a run must use to count for a season at a given time
+     * @param {Object} season - Season
+     * @param {number} time - Time the run started (ms)
+     * @returns {number|null} Seed, or null when any seed counts
+     */
+    seedForTime(season, time) {
+        switch (season.seedPolicy) {
+            case 'fixed':
+                return season.seed;
+            case 'daily': {
+                const day = Math.floor(time / DAY_MS);
+                return (season.seed ^ Math.imul(day, 2654435761)) >>> 0;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Season a verified run counts for
+     * @param {Object} run - Verified run ({ seed, ticks })
+     * @param {number} now - Time the run was submitted (ms)
+     * @returns {number|null} Season id, or null when it counts for none
+     */
+    async assignRun(run, now = Date.now()) {
+        const season = await this.getActiveSeason();
+        if (!season || now >= season.endsAt) {
+            return null;
+        }
+
+        const startedAt = now - run.ticks * TICK_MS;
+        if (startedAt < season.startsAt) {
+            return null;
+        }
+
+        const seed = this.seedForTime(season, startedAt);
+        if (seed !== null && run.seed !== seed) {
+            return null;
+        }
+        return season.id;
+    }
+
+    /**
+     * Season as returned by the API, with the seed to play right now
+     * @param {Object} season - Stored season
+     * @param {number} now - Current time (ms)
+     * @returns {Object} Public season
+     */
+    toPublic(season, now = Date.now()) {
+        return {
+            ...season,
+            currentSeed: season.status === 'active' ? this.seedForTime(season, now) : null
+        };
+    }
+
+    /**
+     * Wake up when the active season ends
+     */
+    async schedule() {
+        clearTimeout(this.timer);
+
+        const active = await this.getActiveSeason();
+        const delay = active ? Math.min(Math.max(0, active.endsAt - Date.now()), MAX_TIMER_MS) : 0;
+
+        this.timer = setTimeout(async () => {
+            try {
+                await this.rollOver();
+                await this.schedule();
+            } catch (error) {
+                console.error('❌ Failed to roll over season, retrying in a minute:', error);
+                this.timer = setTimeout(() => this.schedule(), RETRY_MS);
+                this.timer.unref();
+            }
+        }, delay);
+        // Do not keep the process alive just for the next season change
+        this.timer.unref();
+    }
+}
+
+/**
+ * Changes whenever closing a season would pay out differently
+ * @param {Object} preview - { season, standings, distribution } from previewClose()
+ * @returns {string} sha256 hex
+ */
+function closeFingerprint({ season, standings, distribution }) {
+    const payouts = distribution ? distribution.prizes.map(p => [p.player, p.score, p.amount]) : null;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([season.id, season.prizePool, standings.length, payouts]))
+        .digest('hex');
+}
+
+// '0.25' -> '-0.25'
+function negate(amount) {
+    return amount.startsWith('-') ? amount.slice(1) : `-${amount}`;
+}
+
+/**
+ * Prize rules for new seasons from PRIZE_PLACES, PRIZE_MIN_PLAYERS,
+ * PRIZE_HOUSE_FEE_PERCENT and PRIZE_TIE_RULE; unset ones keep their defaults
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial prize rules
+ */
+function prizeRulesFromEnv(env = process.env) {
+    const rules = {};
+    if (env.PRIZE_PLACES) {
+        rules.places = env.PRIZE_PLACES.split(',').map(Number);
+    }
+    if (env.PRIZE_MIN_PLAYERS) {
+        rules.minPlayers = Number(env.PRIZE_MIN_PLAYERS);
+    }
+    if (env.PRIZE_HOUSE_FEE_PERCENT) {
+        rules.houseFeePercent = Number(env.PRIZE_HOUSE_FEE_PERCENT);
+    }
+    if (env.PRIZE_TIE_RULE) {
+        rules.ties = env.PRIZE_TIE_RULE;
+    }
+    return rules;
+}
+
+/**
+ * A season that is not in the state a close was checked against
+ */
+class SeasonChangedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SeasonChangedError';
+    }
+}
+
+SeasonManager.SEED_POLICIES = SEED_POLICIES;
+SeasonManager.closeFingerprint = closeFingerprint;
+SeasonManager.SeasonChangedError = SeasonChangedError;
+
+module.exports = SeasonManager;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { sameAddress } = require('./leaderboard');
+
+/**
+ * Game session lifecycle
+ * A session belongs to the socket that started it. When that socket drops,
+ * the session is kept for a grace period so the player can reconnect and
+ * carry on: the client sends the session's resume token in the socket
+ * handshake and gets its channel, nonce and actions hash back, so it signs
+ * its next state update on top of the last one the server accepted.
+ *
+ * A session is abandoned when the grace period runs out, when it sees no
+ * activity for too long, or when the server restarts in the middle of it.
+ * Its channel is then closed with an "abandoned" final state.
+ */
+
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+class SessionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.yellowSDK - Owns the state channels
+     * @param {number} options.graceSeconds - How long a dropped session waits for its player
+     * @param {number} options.idleSeconds - How long a session may go without activity
+     */
+    constructor({
+        yellowSDK,
+        graceSeconds = process.env.SESSION_GRACE_SECONDS || 30,
+        idleSeconds = process.env.SESSION_IDLE_SECONDS || 300
+    }) {
+        if (!(Number(graceSeconds) >= 0)) {
+            throw new Error('Session grace period must be a non-negative number of seconds');
+        }
+        if (!(Number(idleSeconds) > 0)) {
+            throw new Error('Session idle timeout must be a positive number of seconds');
+        }
+
+        this.yellowSDK = yellowSDK;
+        this.graceMs = Number(graceSeconds) * 1000;
+        this.idleMs = Number(idleSeconds) * 1000;
+        this.sessions = new Map(); // channelId -> entry
+        this.socketSessions = new Map(); // socket.id -> channelId
+        this.resumeTokens = new Map(); // resume token -> channelId
+        this.sweepTimer = null;
+
+        // Callbacks
+        this.onSessionAbandoned = null;
+    }
+
+    /**
+     * Close the channels a previous run of the server left open, then start watching for idle sessions
+     */
+    async init() {
+        // Their players' sockets and resume tokens did not survive the restart
+        for (const channel of this.yellowSDK.getActiveChannels()) {
+            await this.yellowSDK.endGameSession(channel.id, channel.score, {
+                status: 'abandoned',
+                reason: 'server_restart'
+            });
+        }
+
+        this.sweepTimer = setInterval(() => this.sweepIdle(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        for (const entry of this.sessions.values()) {
+            clearTimeout(entry.graceTimer);
+        }
+    }
+
+    /**
+     * Start a session for a signed-in socket
+     * A session the socket was still playing is abandoned.
+     * @param {Object} socket - Player socket
+     * @param {string} gameId - Game identifier
+     * @param {Object} sessionKey - Session key authorized by the player's wallet
+     * @returns {Object} Session with its resume token
+     */
+    async start(socket, gameId, sessionKey) {
+        const previous = this.get(socket.id);
+        if (previous) {
+            await this.abandon(previous.channelId, 'replaced');
+        }
+
+        const session = await this.yellowSDK.startGameSession(socket.data.address, gameId, sessionKey);
+        const resumeToken = crypto.randomBytes(24).toString('base64url');
+
+        this.sessions.set(session.channelId, {
+            session,
+            socketId: socket.id,
+            resumeToken,
+            lastActivity: Date.now(),
+            graceTimer: null
+        });
+        this.socketSessions.set(socket.id, session.channelId);
+        this.resumeTokens.set(resumeToken, session.channelId);
+
+        return { ...session, resumeToken };
+    }
+
+    /**
+     * Session of a connected socket
+     * @param {string} socketId - Socket id
+     * @returns {Object|null} Session
+     */
+    get(socketId) {
+        const entry = this.sessions.get(this.socketSessions.get(socketId));
+        return entry ? entry.session : null;
+    }
+
+    /**
+     * Record player activity, which keeps the session from going idle
+     * @param {string} socketId - Socket id
+     */
+    touch(socketId) {
+        const entry = this.sessions.get(this.socketSessions.get(socketId));
+        if (entry) {
+            entry.lastActivity = Date.now();
+        }
+    }
+
+    /**
+     * Hand a session back to its player on a new socket
+     * @param {Object} socket - Reconnected player socket
+     * @param {string} resumeToken - Token from the original session
+     * @returns {Object} { session, nonce, actionsHash } or { error }
+     */
+    resume(socket, resumeToken) {
+        const channelId = this.resumeTokens.get(resumeToken);
+        const entry = this.sessions.get(channelId);
+        if (!entry) {
+            return { error: 'Session expired' };
+        }
+        if (!sameAddress(entry.session.player, socket.data.address)) {
+            return { error: 'Session belongs to another wallet' };
+        }
+
+        clearTimeout(entry.graceTimer);
+        entry.graceTimer = null;
+        this.socketSessions.delete(entry.socketId);
+        entry.socketId = socket.id;
+        entry.lastActivity = Date.now();
+        this.socketSessions.set(socket.id, channelId);
+
+        const channel = this.yellowSDK.getChannelState(channelId);
+        console.log(`Session resumed for channel ${channelId} at nonce ${channel.nonce}`);
+
+        return { session: { ...entry.session, resumeToken }, nonce: channel.nonce, actionsHash: channel.actionsHash };
+    }
+
+    /**
+     * The player's socket dropped: keep the session for the grace period
+     * @param {string} socketId - Socket id
+     */
+    detach(socketId) {
+        const channelId = this.socketSessions.get(socketId);
+        if (!channelId) {
+            return;
+        }
+        this.socketSessions.delete(socketId);
+
+        const entry = this.sessions.get(channelId);
+        entry.socketId = null;
+        entry.graceTimer = setTimeout(() => {
+            this.abandon(channelId, 'disconnected').catch((error) => {
+                console.error('Error abandoning session:', error);
+            });
+        }, this.graceMs);
+        entry.graceTimer.unref();
+    }
+
+    /**
+     * The run finished, the caller closes the channel
+     * @param {string} socketId - Socket id
+     * @returns {Object|null} The finished session
+     */
+    finish(socketId) {
+        const session = this.get(socketId);
+        if (session) {
+            this.remove(session.channelId);
+        }
+        return session;
+    }
+
+    /**
+     * Close a session the player never finished
+     * @param {string} channelId - Session channel
+     * @param {string} reason - disconnected | idle | replaced
+     */
+    async abandon(channelId, reason) {
+        const entry = this.sessions.get(channelId);
+        if (!entry) {
+            return;
+        }
+        this.remove(channelId);
+
+        const channel = this.yellowSDK.getChannelState(channelId);
+        await this.yellowSDK.endGameSession(channelId, channel.score, { status: 'abandoned', reason });
+
+        if (this.onSessionAbandoned) this.onSessionAbandoned(entry.session, entry.socketId, reason);
+    }
+
+    remove(channelId) {
+        const entry = this.sessions.get(channelId);
+        clearTimeout(entry.graceTimer);
+        this.sessions.delete(channelId);
+        this.resumeTokens.delete(entry.resumeToken);
+        if (entry.socketId) {
+            this.socketSessions.delete(entry.socketId);
+        }
+    }
+
+    async sweepIdle(now = Date.now()) {
+        for (const [channelId, entry] of this.sessions) {
+            if (now - entry.lastActivity > this.idleMs) {
+                try {
+                    await this.abandon(channelId, 'idle');
+                } catch (error) {
+                    console.error('Error abandoning idle session:', error);
+                }
+            }
+        }
+    }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,336 @@
+const { ethers } = require('ethers');
+const { TX_STATUS } = require('./transactions');
+
+/**
+ * Batched settlement of game sessions
+ * Instead of a submitScore transaction per run, the final states of the
+ * sessions closed during an epoch (SETTLEMENT_EPOCH_SECONDS) are put in a
+ * Merkle tree and only its root is committed, with
+ * TurboWheelChannel.commitSettlement(epoch, root, runCount).
+ *
+ * Only completed runs are settled, with their final game_end state, which
+ * both sides signed for the score the server re-simulated:
+ *   leaf = keccak256(keccak256(abi.encode(channelId, player, score, nonce, actionsHash)))
+ * Abandoned sessions are never settled: their last signed state is a live
+ * score update no replay ever checked. Pairs are hashed in sorted order,
+ * like OpenZeppelin's MerkleProof, and an odd node moves up a level
+ * unchanged; the contract's verifySettledRun() checks a proof the same way.
+ *
+ * Epoch status:
+ *   pending   - root built, not confirmed on-chain yet (retried every epoch)
+ *   committed - root confirmed on-chain
+ *   off-chain - no contract or wallet configured, the root is only published by the API
+ *   failed    - the contract already holds another root for the epoch
+ */
+
+const SETTLEMENT_STATUS = {
+    PENDING: 'pending',
+    COMMITTED: 'committed',
+    OFF_CHAIN: 'off-chain',
+    FAILED: 'failed'
+};
+
+const RUN_ABI_TYPES = ['bytes32', 'address', 'uint256', 'uint256', 'bytes32'];
+
+class SettlementManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Storage for channels and epochs
+     * @param {Object} options.yellowSDK - Owns the contract, wallet and transaction manager
+     * @param {number} [options.epochSeconds] - Length of an epoch
+     */
+    constructor({ repository, yellowSDK, epochSeconds = process.env.SETTLEMENT_EPOCH_SECONDS || 3600 }) {
+        if (!(Number(epochSeconds) > 0)) {
+            throw new Error('Settlement epoch must be a positive number of seconds');
+        }
+
+        this.repository = repository;
+        this.yellowSDK = yellowSDK;
+        this.epochMs = Number(epochSeconds) * 1000;
+        this.settled = new Map(); // channelId -> epoch id
+        this.nextEpochAt = null;
+        this.timer = null;
+
+        // Callbacks
+        this.onEpochClosed = null;
+    }
+
+    async init() {
+        for (const epoch of await this.repository.getSettlements()) {
+            for (const run of epoch.runs) {
+                this.settled.set(run.channelId, epoch.id);
+            }
+        }
+        console.log(`🌳 Settling runs every ${this.epochMs / 1000} s, ${this.canCommit() ? 'roots committed to TurboWheelChannel' : 'roots only published by the API (needs YELLOW_CHANNEL_CONTRACT, an RPC and PRIVATE_KEY)'}`);
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.nextEpochAt = Date.now() + this.epochMs;
+        this.timer = setTimeout(async () => {
+            try {
+                await this.closeEpoch();
+                await this.commitPending();
+            } catch (error) {
+                console.error('❌ Settlement epoch failed, retrying next epoch:', error);
+            }
+            this.schedule();
+        }, this.epochMs);
+        // Do not keep the process alive just for the next epoch
+        this.timer.unref();
+    }
+
+    /**
+     * Build the tree of every run closed since the last epoch
+     * @returns {Object|null} New epoch, null when no run was closed
+     */
+    async closeEpoch(now = Date.now()) {
+        const runs = (await this.repository.getChannels())
+            .filter(channel => isVerifiedRun(channel) && !this.settled.has(channel.id))
+            .sort((a, b) => (closedAt(a) - closedAt(b)) || a.id.localeCompare(b.id))
+            .map(toRun);
+        if (runs.length === 0) {
+            return null;
+        }
+
+        const epochs = await this.repository.getSettlements();
+        const previous = epochs[epochs.length - 1];
+        const leaves = runs.map(hashRun);
+        const epoch = {
+            id: previous ? previous.id + 1 : 1,
+            root: buildMerkleTree(leaves).root,
+            runCount: runs.length,
+            runs: runs.map((run, i) => ({ ...run, leaf: leaves[i] })),
+            closedAt: now,
+            status: this.canCommit() ? SETTLEMENT_STATUS.PENDING : SETTLEMENT_STATUS.OFF_CHAIN,
+            transactionId: null,
+            txHash: null,
+            blockNumber: null,
+            error: null
+        };
+        await this.repository.addSettlement(epoch);
+        for (const run of runs) {
+            this.settled.set(run.channelId, epoch.id);
+        }
+
+        console.log(`🌳 Settlement epoch ${epoch.id}: ${epoch.runCount} run(s), root ${epoch.root}`);
+        if (this.onEpochClosed) {
+            this.onEpochClosed(epoch);
+        }
+        return epoch;
+    }
+
+    /**
+     * @returns {boolean} Whether roots can be committed to the contract
+     */
+    canCommit() {
+        return Boolean(this.yellowSDK.channelContract && this.yellowSDK.wallet);
+    }
+
+    /**
+     * Commit the roots that are not on-chain yet, oldest first
+     */
+    async commitPending() {
+        if (!this.canCommit()) {
+            return;
+        }
+        const pending = (await this.repository.getSettlements()).filter(epoch => epoch.status === SETTLEMENT_STATUS.PENDING);
+        for (const epoch of pending) {
+            try {
+                await this.commit(epoch);
+            } catch (error) {
+                await this.repository.updateSettlement(epoch.id, { error: error.shortMessage || error.message });
+                console.warn(`⚠️ Could not commit settlement epoch ${epoch.id} (${error.shortMessage || error.message}), retrying next epoch`);
+            }
+        }
+    }
+
+    /**
+     * Send an epoch's root to TurboWheelChannel and wait for it to be confirmed
+     * A root that is already on-chain, from an earlier try, is not sent again.
+     * @param {Object} epoch - Pending epoch
+     * @returns {Object} Updated epoch
+     */
+    async commit(epoch) {
+        const { channelContract: contract, transactions, wallet, confirmations } = this.yellowSDK;
+
+        const onChainRoot = await contract.settlementRoots(epoch.id);
+        if (onChainRoot === epoch.root) {
+            return this.repository.updateSettlement(epoch.id, { status: SETTLEMENT_STATUS.COMMITTED, error: null });
+        }
+        if (onChainRoot !== ethers.ZeroHash) {
+            console.error(`❌ Contract holds root ${onChainRoot} for settlement epoch ${epoch.id}, not ${epoch.root}`);
+            return this.repository.updateSettlement(epoch.id, {
+                status: SETTLEMENT_STATUS.FAILED,
+                error: `Contract already holds root ${onChainRoot} for this epoch`
+            });
+        }
+
+        // A commit from an earlier try that is still pending (or being sped up) is waited for, not sent again
+        let transactionId = epoch.transactionId;
+        if (!transactionId || !await this.isInFlight(transactionId)) {
+            const tx = await transactions.send(wallet, await contract.commitSettlement.populateTransaction(epoch.id, epoch.root, epoch.runCount), {
+                kind: 'commitSettlement',
+                details: { epoch: epoch.id, root: epoch.root }
+            });
+            await this.repository.updateSettlement(epoch.id, { transactionId: tx.id, txHash: tx.hash });
+            transactionId = tx.id;
+        }
+
+        const receipt = await transactions.wait(transactionId, { confirmations });
+        console.log(`✅ Settlement epoch ${epoch.id} committed in ${receipt.hash}`);
+        return this.repository.updateSettlement(epoch.id, {
+            status: SETTLEMENT_STATUS.COMMITTED,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            error: null
+        });
+    }
+
+    /**
+     * @param {string} transactionId - Record id from the transaction manager
+     * @returns {boolean} Whether it, or a replacement with its nonce, is still pending
+     */
+    async isInFlight(transactionId) {
+        const record = await this.repository.getTransaction(transactionId);
+        if (!record) {
+            return false;
+        }
+        const { total } = await this.repository.getTransactions({ wallet: record.wallet, nonce: record.nonce, status: TX_STATUS.PENDING });
+        return total > 0;
+    }
+
+    /**
+     * Merkle proof of a settled run
+     * @param {string} channelId - Channel of the run
+     * @returns {Object|null} { epoch, root, status, txHash, run, leaf, proof }, null while the run is not settled
+     */
+    async getProof(channelId) {
+        const epochId = this.settled.get(channelId);
+        if (!epochId) {
+            return null;
+        }
+
+        const epoch = await this.repository.getSettlement(epochId);
+        const index = epoch.runs.findIndex(run => run.channelId === channelId);
+        const { leaf, ...run } = epoch.runs[index];
+        return {
+            epoch: epoch.id,
+            root: epoch.root,
+            status: epoch.status,
+            txHash: epoch.txHash,
+            contract: this.yellowSDK.contractAddress,
+            chainId: this.yellowSDK.chainId,
+            run,
+            leaf,
+            proof: getMerkleProof(epoch.runs.map(r => r.leaf), index)
+        };
+    }
+}
+
+// Completed, and closed on a final state with the score the server re-simulated
+function isVerifiedRun(channel) {
+    const { status, signedState, verifiedScore } = channel.state;
+    return status === 'completed' &&
+        Boolean(signedState) &&
+        verifiedScore !== null && verifiedScore !== undefined &&
+        signedState.score === verifiedScore;
+}
+
+// When the session ended: its game_end action
+function closedAt(channel) {
+    const last = channel.state.actions[channel.state.actions.length - 1];
+    return last ? last.timestamp : channel.startTime;
+}
+
+function toRun(channel) {
+    const { signedState } = channel.state;
+    return {
+        channelId: channel.id,
+        player: ethers.getAddress(channel.player),
+        score: signedState.score,
+        nonce: signedState.nonce,
+        actionsHash: signedState.actionsHash
+    };
+}
+
+/**
+ * @param {Object} run - { channelId, player, score, nonce, actionsHash }
+ * @returns {string} Leaf of the run
+ */
+function hashRun(run) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+        RUN_ABI_TYPES,
+        [run.channelId, run.player, run.score, run.nonce, run.actionsHash]
+    );
+    // Hashed twice so a leaf can never pass for an inner node
+    return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b)
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * @param {Array} leaves - Leaf hashes, in epoch order
+ * @returns {Object} { root, levels } where levels[0] are the leaves
+ */
+function buildMerkleTree(leaves) {
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return { root: levels[levels.length - 1][0], levels };
+}
+
+/**
+ * @param {Array} leaves - Leaf hashes of the epoch
+ * @param {number} index - Position of the run's leaf
+ * @returns {Array} Sibling hashes from the leaf up to the root
+ */
+function getMerkleProof(leaves, index) {
+    const { levels } = buildMerkleTree(leaves);
+    const proof = [];
+    for (const level of levels.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < level.length) {
+            proof.push(level[sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/**
+ * Check a run against a committed root
+ * @param {Object} run - { channelId, player, score, nonce, actionsHash }
+ * @param {Array} proof - Sibling hashes from getMerkleProof()
+ * @param {string} root - Epoch root
+ * @returns {boolean} Whether the run is part of the epoch
+ */
+function verifyRun(run, proof, root) {
+    const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashRun(run));
+    return computed === root;
+}
+
+SettlementManager.SETTLEMENT_STATUS = SETTLEMENT_STATUS;
+SettlementManager.isVerifiedRun = isVerifiedRun;
+SettlementManager.hashRun = hashRun;
+SettlementManager.buildMerkleTree = buildMerkleTree;
+SettlementManager.getMerkleProof = getMerkleProof;
+SettlementManager.verifyRun = verifyRun;
+
+module.exports = SettlementManager;
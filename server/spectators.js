@@ -0,0 +1,188 @@
+const { schemas, onEvent } = require('./validation');
+
+/**
+ * Spectator mode for live runs
+ * Anyone can open the `/spectate` namespace (no sign-in), see the sessions
+ * being played right now and watch one of them. The player's client streams
+ * a compact frame per tick while someone is watching; the server checks it
+ * and relays it to the session's spectators.
+ *
+ * Frame: { t: tick, x: car x, s: score, l: speed level,
+ *          c: [[x, y], ...] coins, o: [[x, y], ...] obstacles, over: crashed }
+ *
+ * Frames are for display only, scores still come from verified replays.
+ */
+
+const toPoints = (list) => list.map(([x, y]) => [Math.round(x), Math.round(y)]);
+
+/**
+ * Round a validated player frame to whole pixels
+ * @param {Object} frame - Frame matching schemas.spectateFrame
+ * @returns {Object} Frame as relayed to spectators
+ */
+function compactFrame(frame) {
+    return {
+        t: frame.t,
+        x: Math.round(frame.x),
+        s: frame.s,
+        l: frame.l || 1,
+        c: toPoints(frame.c),
+        o: toPoints(frame.o),
+        over: frame.over === true
+    };
+}
+
+class SpectatorHub {
+    /**
+     * @param {Object} io - socket.io server
+     * @param {Object} yellowSDK - Source of the active channels
+     */
+    constructor(io, yellowSDK) {
+        this.namespace = io.of('/spectate');
+        this.yellowSDK = yellowSDK;
+        this.sessions = new Map(); // channelId -> { socket, lastFrame }
+
+        this.namespace.on('connection', (socket) => this.handleConnection(socket));
+    }
+
+    handleConnection(socket) {
+        socket.emit('live-sessions', this.getLiveSessions());
+
+        onEvent(socket, 'watch', schemas.watch, (data) => this.watch(socket, data.channelId));
+        socket.on('unwatch', () => this.unwatch(socket));
+        socket.on('disconnect', () => this.updateSpectatorCount(socket.data.channelId));
+    }
+
+    watch(socket, channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session) {
+            socket.emit('watch-error', { channelId, message: 'This run is not live anymore' });
+            return;
+        }
+
+        this.unwatch(socket);
+        socket.join(channelId);
+        socket.data.channelId = channelId;
+        socket.emit('watch-started', {
+            channelId,
+            player: session.socket.data.address,
+            frame: session.lastFrame
+        });
+        this.updateSpectatorCount(channelId);
+    }
+
+    unwatch(socket) {
+        const channelId = socket.data.channelId;
+        if (!channelId) {
+            return;
+        }
+        socket.leave(channelId);
+        socket.data.channelId = null;
+        this.updateSpectatorCount(channelId);
+    }
+
+    /**
+     * A player started a session that can be watched
+     * @param {string} channelId - Session channel
+     * @param {Object} socket - Player socket
+     */
+    sessionStarted(channelId, socket) {
+        // A new run replaces whatever this socket was playing before
+        for (const [id, session] of this.sessions) {
+            if (session.socket === socket) {
+                this.sessionEnded(id, null);
+            }
+        }
+
+        this.sessions.set(channelId, { socket, lastFrame: null });
+        this.broadcastLiveSessions();
+    }
+
+    /**
+     * The player reconnected to their session on a new socket
+     * @param {string} channelId - Session channel
+     * @param {Object} socket - New player socket
+     */
+    sessionResumed(channelId, socket) {
+        const session = this.sessions.get(channelId);
+        if (session) {
+            session.socket = socket;
+            this.updateSpectatorCount(channelId);
+        }
+    }
+
+    /**
+     * The run ended (game over or abandoned)
+     * @param {string} channelId - Session channel
+     * @param {number|null} finalScore - Verified score, null when there is none
+     */
+    sessionEnded(channelId, finalScore) {
+        const session = this.sessions.get(channelId);
+        if (!session) {
+            return;
+        }
+        this.sessions.delete(channelId);
+        session.socket.emit('spectator-count', { count: 0 });
+        this.namespace.to(channelId).emit('session-ended', { channelId, finalScore });
+        this.namespace.in(channelId).socketsLeave(channelId);
+        this.broadcastLiveSessions();
+    }
+
+    /**
+     * Relay a player's frame to the session's spectators
+     * @param {string} channelId - Session channel
+     * @param {Object} frame - Validated frame from the player's client
+     */
+    publishFrame(channelId, frame) {
+        const session = this.sessions.get(channelId);
+        if (!session) {
+            return;
+        }
+        const clean = compactFrame(frame);
+        // Frames are volatile on the way in, drop any that arrive late
+        if (session.lastFrame && clean.t < session.lastFrame.t) {
+            return;
+        }
+
+        session.lastFrame = clean;
+        this.namespace.to(channelId).volatile.emit('frame', clean);
+    }
+
+    countSpectators(channelId) {
+        const room = this.namespace.adapter.rooms.get(channelId);
+        return room ? room.size : 0;
+    }
+
+    // The player only streams frames while someone is watching
+    updateSpectatorCount(channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session) {
+            return;
+        }
+        session.socket.emit('spectator-count', { count: this.countSpectators(channelId) });
+        this.broadcastLiveSessions();
+    }
+
+    /**
+     * Sessions being played right now
+     * @returns {Array} { channelId, player, gameId, score, startTime, spectators }
+     */
+    getLiveSessions() {
+        return this.yellowSDK.getActiveChannels()
+            .filter(channel => this.sessions.has(channel.id))
+            .map(channel => ({
+                channelId: channel.id,
+                player: channel.player,
+                gameId: channel.gameId,
+                score: channel.score,
+                startTime: channel.startTime,
+                spectators: this.countSpectators(channel.id)
+            }));
+    }
+
+    broadcastLiveSessions() {
+        this.namespace.emit('live-sessions', this.getLiveSessions());
+    }
+}
+
+module.exports = SpectatorHub;
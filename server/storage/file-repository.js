@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MemoryRepository = require('./memory-repository');
+const { migrate } = require('./migrations');
+
+/**
+ * File-backed game repository
+ * Keeps the document in memory like MemoryRepository and writes it to a
+ * JSON file after every change. Writes go to a temporary file that is then
+ * renamed over the old one, so a crash never leaves a half-written file.
+ * Changes made while a write is in flight are coalesced into one next write.
+ *
+ * The bulky and busy records live next to the document instead of in it,
+ * so neither makes every write rewrite everything:
+ *   <name>.replays/<scoreId>.json    - a score's replay, written once
+ *   <name>.channels/<channelId>.json - a state channel, rewritten on its own updates
+ * Data files from before the split are moved out on the first start.
+ */
+class FileRepository extends MemoryRepository {
+    /**
+     * @param {string} filePath - Path of the JSON data file
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = path.resolve(filePath);
+        const base = this.filePath.replace(/\.json$/, '');
+        this.replayDir = `${base}.replays`;
+        this.channelDir = `${base}.channels`;
+        this.writeQueue = Promise.resolve();
+        this.pendingWrite = null;
+        this.channelQueue = Promise.resolve();
+        this.pendingChannelWrite = null;
+        this.dirtyChannels = new Set();
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.mkdir(this.replayDir, { recursive: true });
+        await fs.promises.mkdir(this.channelDir, { recursive: true });
+
+        let data = { schemaVersion: 0 };
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read data file ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        // Channels stored in the document by older servers are moved to their own files below
+        const inlineChannels = Object.keys(data.channels || {}).length;
+        data.channels = { ...(await this.readChannels()), ...data.channels };
+
+        this.data = data;
+        const migrated = migrate(this.data);
+        const movedReplays = await this.moveReplays();
+        if (migrated > 0 || inlineChannels > 0) {
+            // Migrations may have changed any channel
+            await Promise.all(Object.keys(this.data.channels).map(id => this.persistChannel(id)));
+        }
+        if (migrated > 0 || inlineChannels > 0 || movedReplays > 0) {
+            await this.persist();
+        }
+        console.log(`🗄️ Storage: ${this.filePath} (${this.data.scores.length} scores)`);
+    }
+
+    async readChannels() {
+        const channels = {};
+        for (const name of await fs.promises.readdir(this.channelDir)) {
+            if (name.endsWith('.json')) {
+                const channel = JSON.parse(await fs.promises.readFile(path.join(this.channelDir, name), 'utf8'));
+                channels[channel.id] = channel;
+            }
+        }
+        return channels;
+    }
+
+    // Replays stored in the document by older servers go to their own files
+    async moveReplays() {
+        let moved = 0;
+        for (const score of this.data.scores.filter(s => s.replay)) {
+            await writeJsonFile(this.replayPath(score.id), score.replay);
+            delete score.replay;
+            moved++;
+        }
+        return moved;
+    }
+
+    /**
+     * Store a verified score; its replay goes to its own file
+     * @param {Object} score - Score record, including its `replay`
+     * @returns {Object} Stored score without the replay
+     */
+    async addScore(score) {
+        const { replay, ...record } = score;
+        record.id = record.id || crypto.randomUUID();
+        if (replay) {
+            await writeJsonFile(this.replayPath(record.id), replay);
+        }
+        return super.addScore(record);
+    }
+
+    async removeScore(scoreId) {
+        const removed = await super.removeScore(scoreId);
+        if (removed) {
+            await fs.promises.rm(this.replayPath(scoreId), { force: true });
+        }
+        return removed;
+    }
+
+    async getScoreReplay(scoreId) {
+        if (!this.data.scores.some(s => s.id === scoreId)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.replayPath(scoreId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or replace a state channel; only its own file is written
+     * @param {Object} channel - Channel from YellowSDK
+     */
+    async saveChannel(channel) {
+        this.data.channels[channel.id] = structuredClone(channel);
+        await this.persistChannel(channel.id);
+    }
+
+    persist() {
+        if (!this.pendingWrite) {
+            this.pendingWrite = this.writeQueue.then(() => {
+                // Anything changed from here on needs another write
+                this.pendingWrite = null;
+                return this.writeFile();
+            });
+            this.writeQueue = this.pendingWrite.catch((error) => {
+                console.error('❌ Failed to write data file:', error);
+            });
+        }
+        return this.pendingWrite;
+    }
+
+    async writeFile() {
+        // Channels have their own files
+        await writeJsonFile(this.filePath, { ...this.data, channels: undefined });
+    }
+
+    /**
+     * Write a channel's file, coalesced like persist()
+     * @param {string} channelId - Channel identifier
+     */
+    persistChannel(channelId) {
+        this.dirtyChannels.add(channelId);
+        if (!this.pendingChannelWrite) {
+            this.pendingChannelWrite = this.channelQueue.then(() => {
+                this.pendingChannelWrite = null;
+                const channelIds = [...this.dirtyChannels];
+                this.dirtyChannels.clear();
+                return Promise.all(channelIds.map(id => writeJsonFile(this.channelPath(id), this.data.channels[id])));
+            });
+            this.channelQueue = this.pendingChannelWrite.catch((error) => {
+                console.error('❌ Failed to write channel file:', error);
+            });
+        }
+        return this.pendingChannelWrite;
+    }
+
+    replayPath(scoreId) {
+        return path.join(this.replayDir, `${safeFileName(scoreId)}.json`);
+    }
+
+    channelPath(channelId) {
+        return path.join(this.channelDir, `${safeFileName(channelId)}.json`);
+    }
+
+    /**
+     * Wait for queued writes to reach the disk
+     */
+    async close() {
+        await Promise.all([this.writeQueue, this.channelQueue]);
+    }
+}
+
+// Ids become file names: keep them to characters that cannot leave the directory
+function safeFileName(id) {
+    const name = String(id);
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error(`Cannot store a record with id "${name}"`);
+    }
+    return name;
+}
+
+// Write through a temporary file so a crash never leaves a half-written one
+async function writeJsonFile(filePath, value) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(value));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = FileRepository;
@@ -0,0 +1,38 @@
+const MemoryRepository = require('./memory-repository');
+const FileRepository = require('./file-repository');
+
+/**
+ * Create the game repository selected by DATABASE_URL
+ *   memory:                    in-memory, lost on restart (tests)
+ *   file:./data/turbowheel.json JSON file, relative to the working directory, with
+ *                              replays and channels in directories next to it
+ * Without a DATABASE_URL the server falls back to memory and warns.
+ * @param {string} [databaseUrl] - Storage URL
+ * @returns {MemoryRepository} Repository (call init() before use)
+ */
+function createRepository(databaseUrl) {
+    if (!databaseUrl) {
+        console.warn('⚠️ DATABASE_URL not set, scores will be kept in memory and lost on restart');
+        return new MemoryRepository();
+    }
+
+    if (databaseUrl === 'memory:' || databaseUrl.startsWith('memory://')) {
+        return new MemoryRepository();
+    }
+
+    if (databaseUrl.startsWith('file:')) {
+        const filePath = databaseUrl.slice('file:'.length).replace(/^\/\//, '');
+        if (!filePath) {
+            throw new Error('DATABASE_URL file: needs a path, e.g. file:./data/turbowheel.json');
+        }
+        return new FileRepository(filePath);
+    }
+
+    throw new Error(`Unsupported DATABASE_URL "${databaseUrl}", use memory: or file:<path>`);
+}
+
+module.exports = {
+    createRepository,
+    MemoryRepository,
+    FileRepository
+};
@@ -0,0 +1,511 @@
+const crypto = require('crypto');
+const { migrate } = require('./migrations');
+
+/**
+ * In-memory game repository
+ * Holds high scores, game stats, seasons, prize distributions, state
+ * channels, bans, the admin audit log, the prize pool ledger, indexed
+ * contract events, the server wallet's transactions and settlement epochs
+ * in a single document.
+ * Nothing survives a restart, which makes it the backend for tests and
+ * throwaway local runs. FileRepository extends it to persist the document.
+ *
+ * Every method is async so callers do not depend on the backend, and
+ * returns copies so stored records cannot be mutated from outside.
+ */
+class MemoryRepository {
+    constructor() {
+        this.data = null;
+    }
+
+    async init() {
+        this.data = { schemaVersion: 0 };
+        migrate(this.data);
+    }
+
+    /**
+     * Store a verified score
+     * @param {Object} score - Score record, including its `replay`
+     * @returns {Object} Stored score without the replay
+     */
+    async addScore(score) {
+        const record = clone(score);
+        record.id = record.id || crypto.randomUUID();
+        this.data.scores.push(record);
+        await this.persist();
+        return withoutReplay(record);
+    }
+
+    /**
+     * Stored scores in insertion order, without their replays
+     * Flagged scores are under review and left out unless asked for.
+     * @param {Object} [options]
+     * @param {boolean} [options.includeFlagged] - Also return flagged scores
+     * @returns {Array} Scores
+     */
+    async getScores({ includeFlagged = false } = {}) {
+        return this.data.scores
+            .filter(s => includeFlagged || !s.flag)
+            .map(withoutReplay);
+    }
+
+    /**
+     * @param {string} scoreId - Score id
+     * @returns {Object|null} Score without its replay, flagged or not
+     */
+    async getScore(scoreId) {
+        const score = this.data.scores.find(s => s.id === scoreId);
+        return score ? withoutReplay(score) : null;
+    }
+
+    /**
+     * @param {string} scoreId - Score id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} Updated score without its replay
+     */
+    async updateScore(scoreId, changes) {
+        const score = this.data.scores.find(s => s.id === scoreId);
+        if (!score) {
+            return null;
+        }
+        Object.assign(score, clone(changes));
+        await this.persist();
+        return withoutReplay(score);
+    }
+
+    /**
+     * Delete a score and its replay
+     * @param {string} scoreId - Score id
+     * @returns {Object|null} Removed score without its replay
+     */
+    async removeScore(scoreId) {
+        const index = this.data.scores.findIndex(s => s.id === scoreId);
+        if (index === -1) {
+            return null;
+        }
+        const [removed] = this.data.scores.splice(index, 1);
+        await this.persist();
+        return withoutReplay(removed);
+    }
+
+    /**
+     * Find the score recorded for a signed run
+     * @param {string} proofHash - keccak256 of the run's recording
+     * @returns {Object|null} Score without its replay
+     */
+    async findScoreByProofHash(proofHash) {
+        const score = this.data.scores.find(s => s.proofHash === proofHash);
+        return score ? withoutReplay(score) : null;
+    }
+
+    /**
+     * Recording that proves a stored score
+     * @param {string} scoreId - Score id
+     * @returns {Object|null} Recording
+     */
+    async getScoreReplay(scoreId) {
+        const score = this.data.scores.find(s => s.id === scoreId);
+        return score && score.replay ? clone(score.replay) : null;
+    }
+
+    /**
+     * @returns {Object} { rolloverPool, totalGames }
+     */
+    async getStats() {
+        return clone(this.data.stats);
+    }
+
+    /**
+     * Add to the pool carried into the next season
+     * @param {number} amount - ETH to add
+     * @returns {string} New rollover total
+     */
+    async addToRolloverPool(amount) {
+        const rolloverPool = addEth(this.data.stats.rolloverPool, amount);
+        this.data.stats.rolloverPool = rolloverPool;
+        await this.persist();
+        return rolloverPool;
+    }
+
+    /**
+     * @param {string} rolloverPool - New rollover total in ETH
+     */
+    async setRolloverPool(rolloverPool) {
+        this.data.stats.rolloverPool = rolloverPool;
+        await this.persist();
+    }
+
+    async incrementTotalGames() {
+        this.data.stats.totalGames++;
+        await this.persist();
+        return this.data.stats.totalGames;
+    }
+
+    /**
+     * @param {Object} season - New season (its `id` must be unique)
+     */
+    async addSeason(season) {
+        this.data.seasons.push(clone(season));
+        await this.persist();
+    }
+
+    /**
+     * @param {number} seasonId - Season id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} Updated season
+     */
+    async updateSeason(seasonId, changes) {
+        const season = this.data.seasons.find(s => s.id === seasonId);
+        if (!season) {
+            return null;
+        }
+        Object.assign(season, clone(changes));
+        await this.persist();
+        return clone(season);
+    }
+
+    /**
+     * @param {number} seasonId - Season id
+     * @returns {Object|null} Season
+     */
+    async getSeason(seasonId) {
+        const season = this.data.seasons.find(s => s.id === seasonId);
+        return season ? clone(season) : null;
+    }
+
+    /**
+     * @returns {Array} Every season, oldest first
+     */
+    async getSeasons() {
+        return this.data.seasons.map(clone);
+    }
+
+    /**
+     * Add to a season's prize pool
+     * @param {number} seasonId - Season id
+     * @param {number} amount - ETH to add
+     * @returns {string} New season prize pool
+     */
+    async addToSeasonPrizePool(seasonId, amount) {
+        const season = this.data.seasons.find(s => s.id === seasonId);
+        const prizePool = addEth(season.prizePool, amount);
+        season.prizePool = prizePool;
+        await this.persist();
+        return prizePool;
+    }
+
+    /**
+     * Record a season's prize distribution
+     * @param {Object} distribution - { seasonId, status, totalPrize, prizes: [{ position, player, score, amount }], distributedAt }
+     */
+    async addDistribution(distribution) {
+        this.data.distributions.push(clone(distribution));
+        await this.persist();
+    }
+
+    /**
+     * Replace a season's distribution, e.g. once its payout is confirmed
+     * @param {number} seasonId - Season id
+     * @param {Object} distribution - New distribution
+     * @returns {Object|null} Stored distribution
+     */
+    async updateDistribution(seasonId, distribution) {
+        const index = this.data.distributions.findIndex(d => d.seasonId === seasonId);
+        if (index === -1) {
+            return null;
+        }
+        this.data.distributions[index] = clone(distribution);
+        await this.persist();
+        return clone(distribution);
+    }
+
+    /**
+     * @returns {Array} Past prize distributions, oldest first
+     */
+    async getDistributions() {
+        return this.data.distributions.map(clone);
+    }
+
+    /**
+     * Insert or replace a state channel, including its action log
+     * @param {Object} channel - Channel from YellowSDK
+     */
+    async saveChannel(channel) {
+        this.data.channels[channel.id] = clone(channel);
+        await this.persist();
+    }
+
+    /**
+     * @param {string} channelId - Channel identifier
+     * @returns {Object|null} Channel
+     */
+    async getChannel(channelId) {
+        const channel = this.data.channels[channelId];
+        return channel ? clone(channel) : null;
+    }
+
+    /**
+     * @returns {Array} Every stored channel
+     */
+    async getChannels() {
+        return Object.values(this.data.channels).map(clone);
+    }
+
+    /**
+     * @returns {Array} Banned addresses ({ address, reason, bannedBy, bannedAt })
+     */
+    async getBans() {
+        return this.data.bans.map(clone);
+    }
+
+    /**
+     * @param {Object} ban - { address (lowercase), reason, bannedBy, bannedAt }
+     */
+    async addBan(ban) {
+        this.data.bans.push(clone(ban));
+        await this.persist();
+    }
+
+    /**
+     * @param {string} address - Lowercase address
+     * @returns {boolean} Whether the address was banned
+     */
+    async removeBan(address) {
+        const index = this.data.bans.findIndex(b => b.address === address);
+        if (index === -1) {
+            return false;
+        }
+        this.data.bans.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Append an admin action to the audit log; entries are never changed afterwards
+     * @param {Object} entry - { id, action, actor, details, at }
+     */
+    async addAuditEntry(entry) {
+        this.data.auditLog.push(clone(entry));
+        await this.persist();
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.offset] - Entries to skip
+     * @returns {Object} { entries (newest first), total }
+     */
+    async getAuditLog({ limit = 50, offset = 0 } = {}) {
+        const newestFirst = [...this.data.auditLog].reverse();
+        return {
+            entries: newestFirst.slice(offset, offset + limit).map(clone),
+            total: newestFirst.length
+        };
+    }
+
+    /**
+     * Append an entry to the prize pool ledger; entries are never changed afterwards
+     * @param {Object} entry - Hashed ledger entry (see ledger.js)
+     */
+    async appendLedgerEntry(entry) {
+        this.data.ledger.push(clone(entry));
+        await this.persist();
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.from] - First sequence number
+     * @param {number} [options.limit] - Maximum entries, all by default
+     * @returns {Array} Ledger entries in order
+     */
+    async getLedgerEntries({ from = 0, limit = Infinity } = {}) {
+        return this.data.ledger
+            .filter(entry => entry.seq >= from)
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    /**
+     * @returns {Object|null} Latest ledger entry
+     */
+    async getLedgerHead() {
+        const head = this.data.ledger[this.data.ledger.length - 1];
+        return head ? clone(head) : null;
+    }
+
+    /**
+     * Insert contract events, replacing the ones already indexed
+     * @param {Array} events - Events from the chain indexer, each with a unique `id`
+     */
+    async upsertChainEvents(events) {
+        if (events.length === 0) {
+            return;
+        }
+        for (const event of events) {
+            const index = this.data.chainEvents.findIndex(e => e.id === event.id);
+            if (index === -1) {
+                this.data.chainEvents.push(clone(event));
+            } else {
+                this.data.chainEvents[index] = clone(event);
+            }
+        }
+        await this.persist();
+    }
+
+    /**
+     * Drop a contract's events above a block, after a reorg
+     * @param {string} contract - Lowercase contract address
+     * @param {number} blockNumber - Last block to keep
+     * @returns {number} Events removed
+     */
+    async removeChainEventsAfter(contract, blockNumber) {
+        const kept = this.data.chainEvents.filter(e => e.contract !== contract || e.blockNumber <= blockNumber);
+        const removed = this.data.chainEvents.length - kept.length;
+        this.data.chainEvents = kept;
+        await this.persist();
+        return removed;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.contract] - Lowercase contract address
+     * @param {string} [options.type] - Event name
+     * @returns {Array} Indexed events in chain order
+     */
+    async getChainEvents({ contract = null, type = null } = {}) {
+        return this.data.chainEvents
+            .filter(e => (!contract || e.contract === contract) && (!type || e.type === type))
+            .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+            .map(clone);
+    }
+
+    /**
+     * @returns {Object|null} { contract, block, blockHash } of the last indexed block
+     */
+    async getIndexerCursor() {
+        return this.data.indexerCursor ? clone(this.data.indexerCursor) : null;
+    }
+
+    /**
+     * @param {Object} cursor - { contract, block, blockHash }
+     */
+    async setIndexerCursor(cursor) {
+        this.data.indexerCursor = clone(cursor);
+        await this.persist();
+    }
+
+    /**
+     * @param {Object} record - Transaction record (see transactions.js)
+     */
+    async addTransaction(record) {
+        this.data.transactions.push(clone(record));
+        await this.persist();
+    }
+
+    /**
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} Updated record
+     */
+    async updateTransaction(id, changes) {
+        const record = this.data.transactions.find(t => t.id === id);
+        if (!record) {
+            return null;
+        }
+        Object.assign(record, clone(changes));
+        await this.persist();
+        return clone(record);
+    }
+
+    /**
+     * @param {string} id - Record id
+     * @returns {Object|null} Transaction record
+     */
+    async getTransaction(id) {
+        const record = this.data.transactions.find(t => t.id === id);
+        return record ? clone(record) : null;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.wallet] - Sender address
+     * @param {number} [options.nonce] - Nonce
+     * @param {string} [options.status] - pending | mined | failed | replaced
+     * @param {number} [options.limit] - Page size, all by default
+     * @param {number} [options.offset] - Records to skip
+     * @returns {Object} { entries (newest first), total }
+     */
+    async getTransactions({ wallet = null, nonce = null, status = null, limit = Infinity, offset = 0 } = {}) {
+        const matching = this.data.transactions
+            .filter(t => (!wallet || t.wallet.toLowerCase() === wallet.toLowerCase()) &&
+                (nonce === null || t.nonce === nonce) &&
+                (!status || t.status === status))
+            .reverse();
+        return {
+            entries: matching.slice(offset, offset + limit).map(clone),
+            total: matching.length
+        };
+    }
+
+    /**
+     * @param {Object} epoch - Settlement epoch (see settlement.js), its `id` must be unique
+     */
+    async addSettlement(epoch) {
+        this.data.settlements.push(clone(epoch));
+        await this.persist();
+    }
+
+    /**
+     * @param {number} epochId - Epoch id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} Updated epoch
+     */
+    async updateSettlement(epochId, changes) {
+        const epoch = this.data.settlements.find(e => e.id === epochId);
+        if (!epoch) {
+            return null;
+        }
+        Object.assign(epoch, clone(changes));
+        await this.persist();
+        return clone(epoch);
+    }
+
+    /**
+     * @param {number} epochId - Epoch id
+     * @returns {Object|null} Epoch with its runs
+     */
+    async getSettlement(epochId) {
+        const epoch = this.data.settlements.find(e => e.id === epochId);
+        return epoch ? clone(epoch) : null;
+    }
+
+    /**
+     * @returns {Array} Every settlement epoch, oldest first
+     */
+    async getSettlements() {
+        return this.data.settlements.map(clone);
+    }
+
+    /**
+     * Write pending changes; a no-op for the in-memory backend
+     */
+    async persist() {}
+
+    async close() {}
+}
+
+function clone(value) {
+    return structuredClone(value);
+}
+
+// Pool amounts are ETH strings with three decimals
+function addEth(total, amount) {
+    return (parseFloat(total) + amount).toFixed(3);
+}
+
+function withoutReplay(score) {
+    const { replay, ...rest } = score;
+    return clone(rest);
+}
+
+module.exports = MemoryRepository;
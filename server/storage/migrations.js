@@ -0,0 +1,154 @@
+/**
+ * Schema migrations for the stored game data
+ * Each migration upgrades the document from the previous version. They run
+ * in order on startup, so a data file written by an older server is brought
+ * up to date before it is used. Append new migrations, never edit old ones.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'High scores, game stats and state channels',
+        up(data) {
+            data.scores = [];
+            data.stats = {
+                prizePool: '0.0',
+                totalGames: 0
+            };
+            data.channels = {};
+        }
+    },
+    {
+        version: 2,
+        description: 'Coins per score and prize distribution history',
+        up(data) {
+            // Every coin was worth 10 points when these scores were recorded
+            for (const score of data.scores) {
+                if (score.coins === undefined) {
+                    score.coins = Math.floor(score.score / 10);
+                }
+            }
+            data.distributions = [];
+        }
+    },
+    {
+        version: 3,
+        description: 'Seasons; the global prize pool becomes the rollover into the next season',
+        up(data) {
+            data.seasons = [];
+            data.stats.rolloverPool = data.stats.prizePool;
+            delete data.stats.prizePool;
+        }
+    },
+    {
+        version: 4,
+        description: 'Channel status (active, completed or abandoned)',
+        up(data) {
+            for (const channel of Object.values(data.channels)) {
+                channel.state.status = channel.state.isActive ? 'active' : 'completed';
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Moderation: banned addresses and the admin audit log',
+        up(data) {
+            data.bans = [];
+            data.auditLog = [];
+        }
+    },
+    {
+        version: 6,
+        description: 'Hash-chained prize pool ledger',
+        up(data) {
+            // Opened with the balances of the day by the Ledger on its first start
+            data.ledger = [];
+        }
+    },
+    {
+        version: 7,
+        description: 'Prize rules per season',
+        up(data) {
+            // The split every season used until rules became configurable
+            for (const season of data.seasons) {
+                season.prizeRules = { places: [50, 30, 20], minPlayers: 3, houseFeePercent: 0, ties: 'earliest' };
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Signed channel states',
+        up(data) {
+            // Older channels were never signed: no session key and no state both sides agreed on
+            for (const channel of Object.values(data.channels)) {
+                channel.sessionKey = null;
+                channel.state.actionsHash = '0x' + '0'.repeat(64);
+                channel.state.signedState = null;
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Indexed TurboWheelChannel events',
+        up(data) {
+            data.chainEvents = [];
+            data.indexerCursor = null;
+        }
+    },
+    {
+        version: 10,
+        description: 'Server wallet transactions',
+        up(data) {
+            data.transactions = [];
+        }
+    },
+    {
+        version: 11,
+        description: 'Settlement epochs',
+        up(data) {
+            data.settlements = [];
+        }
+    },
+    {
+        version: 12,
+        description: 'Season payouts are pending until paid on-chain',
+        up(data) {
+            // Earlier distributions were recorded without any payout being sent; never retry them
+            for (const distribution of data.distributions) {
+                distribution.status = distribution.status || 'unconfirmed';
+            }
+            for (const season of data.seasons) {
+                if (season.distribution) {
+                    season.distribution.status = season.distribution.status || 'unconfirmed';
+                }
+            }
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than the document's schema version
+ * @param {Object} data - Stored document (mutated in place)
+ * @returns {number} Number of migrations applied
+ */
+function migrate(data) {
+    const current = data.schemaVersion || 0;
+
+    if (current > LATEST_VERSION) {
+        throw new Error(`Data schema version ${current} is newer than this server supports (${LATEST_VERSION})`);
+    }
+
+    let applied = 0;
+    for (const migration of MIGRATIONS) {
+        if (migration.version > current) {
+            migration.up(data);
+            data.schemaVersion = migration.version;
+            applied++;
+            console.log(`🗄️ Applied migration ${migration.version}: ${migration.description}`);
+        }
+    }
+    return applied;
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrate };
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ChainIndexer = require('../chain-indexer');
+const { MemoryRepository } = require('../storage');
+
+const CONTRACT = '0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6';
+
+function scoreSubmitted(id, channelId, player, score) {
+    return {
+        id: `0x${'ab'.repeat(32)}:${id}`,
+        contract: CONTRACT.toLowerCase(),
+        type: 'ScoreSubmitted',
+        blockNumber: 10,
+        blockHash: ethers.ZeroHash,
+        transactionHash: `0x${'ab'.repeat(32)}`,
+        logIndex: id,
+        args: { channelId, player, score: String(score) }
+    };
+}
+
+describe('ChainIndexer.withVerification', () => {
+    let repository;
+    let indexer;
+    const player = ethers.Wallet.createRandom().address;
+    const run = ethers.id('run');
+    const otherRun = ethers.id('other run');
+
+    beforeEach(async () => {
+        repository = new MemoryRepository();
+        await repository.init();
+        indexer = new ChainIndexer({ repository, yellowSDK: { contractAddress: CONTRACT } });
+    });
+
+    it('verifies only the run whose channel was submitted on-chain', async () => {
+        await repository.upsertChainEvents([scoreSubmitted(0, run, player, 120)]);
+
+        const scores = await indexer.withVerification([
+            { id: 'a', player, score: 120, channelId: otherRun, timestamp: 1 },
+            { id: 'b', player: player.toLowerCase(), score: 120, channelId: run.toUpperCase().replace('0X', '0x'), timestamp: 2 },
+            { id: 'c', player, score: 120, channelId: null, timestamp: 3 }
+        ]);
+        assert.deepEqual(scores.map(s => [s.id, s.verified]), [['a', false], ['b', true], ['c', false]]);
+    });
+
+    it('does not verify a run from a submission to a shared channel or with another score', async () => {
+        await repository.upsertChainEvents([
+            scoreSubmitted(0, ethers.id('prize channel'), player, 120),
+            scoreSubmitted(1, run, player, 90)
+        ]);
+
+        const [score] = await indexer.withVerification([{ id: 'a', player, score: 120, channelId: run, timestamp: 1 }]);
+        assert.equal(score.verified, false);
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Ledger = require('../ledger');
+const SeasonManager = require('../seasons');
+const { PayoutError, PAYOUT_ERRORS } = require('../yellow-sdk');
+const { MemoryRepository } = require('../storage');
+
+const { verifyLedger, hashEntry, seasonPool } = Ledger;
+
+// Pays `amount` into the rollover pool
+function accrue(ledger, repository, amount) {
+    return ledger.append('fee.accrued', { player: '0xa' }, async () => {
+        const balance = await repository.addToRolloverPool(parseFloat(amount));
+        return [{ pool: 'rollover', amount, balance }];
+    });
+}
+
+describe('Ledger verification', () => {
+    let repository;
+    let ledger;
+    let entries;
+
+    beforeEach(async () => {
+        repository = new MemoryRepository();
+        await repository.init();
+        ledger = new Ledger({ repository });
+        await ledger.init();
+        for (const amount of ['0.001', '0.002', '0.003']) {
+            await accrue(ledger, repository, amount);
+        }
+        entries = await ledger.getEntries({});
+    });
+
+    it('accepts an untouched chain and replays its balances', () => {
+        const report = verifyLedger(entries);
+
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.errors, []);
+        assert.deepEqual(report.head, { seq: 3, hash: entries[3].hash });
+        assert.equal(report.balances.get('rollover'), 6000000000000000n);
+    });
+
+    it('detects a changed entry', () => {
+        entries[2].data.movements[0].amount = '0.02';
+
+        const { valid, errors } = verifyLedger(entries);
+        assert.equal(valid, false);
+        assert.ok(errors.some(e => e.seq === 2 && /hash does not match/.test(e.message)));
+    });
+
+    it('detects a changed entry whose hash was recomputed', () => {
+        entries[1].data.player = '0xb';
+        entries[1].hash = hashEntry(entries[1]);
+
+        const { errors } = verifyLedger(entries);
+        assert.deepEqual(errors.map(e => e.seq), [2]);
+        assert.match(errors[0].message, /does not link/);
+    });
+
+    it('detects removed and reordered entries', () => {
+        assert.equal(verifyLedger([entries[0], entries[2], entries[3]]).valid, false);
+        assert.equal(verifyLedger([entries[0], entries[2], entries[1], entries[3]]).valid, false);
+    });
+
+    it('detects a balance that does not add up even when the hashes do', () => {
+        entries[3].data.movements[0].balance = '1.0';
+        entries[3].hash = hashEntry(entries[3]);
+
+        const { errors } = verifyLedger(entries);
+        assert.deepEqual(errors, [{ seq: 3, message: 'rollover balance 1.0 does not add up' }]);
+    });
+});
+
+describe('Season payouts in the ledger', () => {
+    let repository;
+    let ledger;
+    let seasons;
+    let paySeason;
+
+    // Closing a season starts its payout in the background; wait for that attempt to end
+    async function closeSeason() {
+        const closed = await seasons.endActiveSeason();
+        while (seasons.payingOut.size > 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return closed;
+    }
+
+    beforeEach(async () => {
+        repository = new MemoryRepository();
+        await repository.init();
+        ledger = new Ledger({ repository });
+        await ledger.init();
+        paySeason = async () => {
+            throw new PayoutError(PAYOUT_ERRORS.NOT_CONFIGURED, 'No contract');
+        };
+        seasons = new SeasonManager({
+            repository,
+            ledger,
+            yellowSDK: { paySeason: (distribution) => paySeason(distribution) },
+            prizeRules: {}
+        });
+        await seasons.init();
+        seasons.stop();
+
+        const { id } = await seasons.getActiveSeason();
+        for (const [player, score] of [['0xa', 30], ['0xb', 20], ['0xc', 10]]) {
+            const { id: scoreId } = await repository.addScore({ player, score, seasonId: id, timestamp: score });
+            await ledger.append('fee.accrued', { scoreId, player }, async () => {
+                const balance = await repository.addToSeasonPrizePool(id, 0.001);
+                return [{ pool: seasonPool(id), amount: '0.001', balance }];
+            });
+        }
+    });
+
+    it('keeps the pool until the payout is confirmed', async () => {
+        const closed = await closeSeason();
+        await assert.rejects(seasons.payOut(closed.id), { code: PAYOUT_ERRORS.NOT_CONFIGURED });
+
+        const entries = await ledger.getEntries({});
+        const types = entries.map(e => e.type);
+        assert.ok(types.includes('payout.pending'));
+        assert.ok(!types.includes('payout.executed'));
+        assert.equal((await repository.getSeason(closed.id)).distribution.status, 'pending');
+        assert.equal(verifyLedger(entries).balances.get(seasonPool(closed.id)), 3000000000000000n);
+    });
+
+    it('records the confirmed transaction with the executed payout', async () => {
+        const closed = await closeSeason();
+        paySeason = async ({ seasonId }) => ({ seasonId, txHash: '0x' + 'ab'.repeat(32), distributionId: '7' });
+
+        const paid = await seasons.payOut(closed.id);
+        assert.equal(paid.distribution.status, 'paid');
+
+        const entries = await ledger.getEntries({});
+        const executed = entries.find(e => e.type === 'payout.executed');
+        assert.equal(executed.data.txHash, '0x' + 'ab'.repeat(32));
+        assert.equal(executed.data.distributionId, '7');
+        assert.deepEqual(executed.data.payouts.map(p => p.player), ['0xa', '0xb', '0xc']);
+
+        const report = verifyLedger(entries);
+        assert.equal(report.valid, true);
+        assert.equal(report.balances.get(seasonPool(closed.id)), 0n);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('Prize rules', () => {
+    let rules;
+
+    before(async () => {
+        rules = await import('../../shared/prize-rules.js');
+    });
+
+    // Adds up prize amounts and the house fee in wei
+    function total(distribution) {
+        return distribution.prizes.reduce((sum, p) => sum + rules.parseEth(p.amount), rules.parseEth(distribution.houseFee));
+    }
+
+    const standings = [
+        { player: '0xa', score: 300, timestamp: 1 },
+        { player: '0xb', score: 200, timestamp: 2 },
+        { player: '0xc', score: 100, timestamp: 3 },
+        { player: '0xd', score: 50, timestamp: 4 }
+    ];
+
+    it('pays the default places best first', () => {
+        const distribution = rules.computePrizeDistribution([...standings].reverse(), '1.0', {});
+
+        assert.deepEqual(distribution.prizes.map(p => [p.position, p.player, p.amount, p.percentage]), [
+            [1, '0xa', '0.5', '50%'],
+            [2, '0xb', '0.3', '30%'],
+            [3, '0xc', '0.2', '20%']
+        ]);
+        assert.equal(distribution.houseFee, '0.0');
+    });
+
+    it('pays nothing below the minimum players or from an empty pool', () => {
+        assert.equal(rules.computePrizeDistribution(standings.slice(0, 2), '1.0', {}), null);
+        assert.equal(rules.computePrizeDistribution(standings, '0.0', {}), null);
+        assert.notEqual(rules.computePrizeDistribution(standings.slice(0, 2), '1.0', { minPlayers: 2 }), null);
+    });
+
+    it('takes the house fee before the places are paid', () => {
+        const distribution = rules.computePrizeDistribution(standings, '1.0', { houseFeePercent: 10 });
+
+        assert.equal(distribution.houseFee, '0.1');
+        assert.deepEqual(distribution.prizes.map(p => p.amount), ['0.45', '0.27', '0.18']);
+        assert.equal(total(distribution), rules.parseEth('1.0'));
+    });
+
+    it('gives the wei left over by rounding to the winner', () => {
+        const distribution = rules.computePrizeDistribution(standings, '0.000000000000000007', {});
+
+        assert.deepEqual(distribution.prizes.map(p => p.amount), [
+            '0.000000000000000004',
+            '0.000000000000000002',
+            '0.000000000000000001'
+        ]);
+        assert.equal(total(distribution), 7n);
+    });
+
+    it('ranks the earlier run higher on equal scores by default', () => {
+        const tied = [
+            { player: '0xlate', score: 100, timestamp: 20 },
+            { player: '0xearly', score: 100, timestamp: 10 },
+            { player: '0xc', score: 50, timestamp: 5 }
+        ];
+        const distribution = rules.computePrizeDistribution(tied, '1.0', { ties: 'earliest' });
+
+        assert.deepEqual(distribution.prizes.map(p => [p.player, p.amount]), [
+            ['0xearly', '0.5'],
+            ['0xlate', '0.3'],
+            ['0xc', '0.2']
+        ]);
+    });
+
+    it('splits the places of tied players evenly', () => {
+        const tied = [
+            { player: '0xa', score: 100, timestamp: 1 },
+            { player: '0xb', score: 100, timestamp: 2 },
+            { player: '0xc', score: 50, timestamp: 3 }
+        ];
+        const distribution = rules.computePrizeDistribution(tied, '1.0', { ties: 'split' });
+
+        assert.deepEqual(distribution.prizes.map(p => [p.position, p.player, p.amount, p.percentage]), [
+            [1, '0xa', '0.4', '40%'],
+            [1, '0xb', '0.4', '40%'],
+            [3, '0xc', '0.2', '20%']
+        ]);
+    });
+
+    it('shares the last paid places among everyone tied on them', () => {
+        const tied = [
+            { player: '0xa', score: 100, timestamp: 1 },
+            { player: '0xb', score: 50, timestamp: 2 },
+            { player: '0xc', score: 50, timestamp: 3 },
+            { player: '0xd', score: 50, timestamp: 4 }
+        ];
+        const distribution = rules.computePrizeDistribution(tied, '1.0', { ties: 'split' });
+
+        assert.deepEqual(distribution.prizes.map(p => [p.position, p.player, p.amount]), [
+            [1, '0xa', '0.5'],
+            [2, '0xb', '0.166666666666666668'],
+            [2, '0xc', '0.166666666666666666'],
+            [2, '0xd', '0.166666666666666666']
+        ]);
+        assert.equal(distribution.prizes[1].percentage, '16.67%');
+        assert.equal(total(distribution), rules.parseEth('1.0'));
+    });
+
+    it('refuses rules that do not add up', () => {
+        assert.throws(() => rules.normalizePrizeRules({ places: [50, 30] }), /add up to 100%/);
+        assert.throws(() => rules.normalizePrizeRules({ houseFeePercent: 100 }), /House fee/);
+        assert.throws(() => rules.normalizePrizeRules({ ties: 'coin-flip' }), /Unknown tie rule/);
+    });
+});
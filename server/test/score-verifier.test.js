@@ -0,0 +1,139 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ScoreVerifier = require('../score-verifier');
+
+const { REJECTION_REASONS } = ScoreVerifier;
+const CHAIN_ID = 11155111;
+
+describe('Score verification', () => {
+    let GameCore;
+    let typedData;
+    let player;
+    let verifier;
+
+    before(async () => {
+        ({ GameCore } = await import('../../shared/game-core.js'));
+        typedData = await import('../../shared/typed-data.js');
+        player = ethers.Wallet.createRandom();
+    });
+
+    beforeEach(() => {
+        verifier = new ScoreVerifier({ chainId: CHAIN_ID });
+    });
+
+    // Drives straight ahead until the first crash, like an idle player
+    function playRun(seed = 12345) {
+        const core = new GameCore();
+        core.reset(seed);
+        while (!core.isOver) {
+            core.update({ targetX: core.car.x });
+        }
+        return core.generateScoreProof();
+    }
+
+    // Signs a result the way the client does before submitting it
+    async function signResult(wallet, proof, score) {
+        const { SCORE_TYPES, buildScoreDomain, serializeRecording } = typedData;
+        const value = {
+            player: wallet.address,
+            score,
+            sessionId: proof.sessionId,
+            seed: proof.recording.seed,
+            proofHash: ethers.keccak256(ethers.toUtf8Bytes(serializeRecording(proof.recording)))
+        };
+        const signature = await wallet.signTypedData(buildScoreDomain(CHAIN_ID), SCORE_TYPES, value);
+        return { ...value, chainId: CHAIN_ID, signature };
+    }
+
+    async function submit(proof, score, signedResult = null) {
+        return verifier.verifySubmission({
+            proof,
+            score,
+            signedResult: signedResult || await signResult(player, proof, score),
+            player: player.address
+        });
+    }
+
+    it('accepts a genuine run', async () => {
+        const proof = playRun();
+        const result = await submit(proof, proof.score);
+
+        assert.equal(result.valid, true, result.message);
+        assert.equal(result.score, proof.score);
+        assert.equal(result.seed, 12345);
+        assert.equal(result.player, player.address);
+    });
+
+    it('rejects a higher score even when it is signed', async () => {
+        const proof = playRun();
+        const result = await submit(proof, proof.score + 10);
+
+        assert.equal(result.reason, REJECTION_REASONS.SCORE_MISMATCH);
+        assert.equal(result.score, proof.score);
+    });
+
+    it('rejects a score that differs from the signed one', async () => {
+        const proof = playRun();
+        const signedResult = await signResult(player, proof, proof.score);
+        const result = await submit(proof, proof.score + 10, signedResult);
+
+        assert.equal(result.reason, REJECTION_REASONS.SIGNED_RESULT_MISMATCH);
+    });
+
+    it('rejects a run replayed on another seed', async () => {
+        const proof = playRun();
+        proof.recording = { ...proof.recording, seed: 54321 };
+        const result = await submit(proof, proof.score);
+
+        assert.equal(result.reason, REJECTION_REASONS.SEED_MISMATCH);
+    });
+
+    it('rejects a changed recording', async () => {
+        const proof = playRun();
+        proof.recording = { ...proof.recording, ticks: proof.recording.ticks + 60 };
+        const result = await submit(proof, proof.score);
+
+        assert.equal(result.reason, REJECTION_REASONS.RUN_INCOMPLETE);
+    });
+
+    it('rejects a recording changed after signing', async () => {
+        const proof = playRun();
+        const signedResult = await signResult(player, proof, proof.score);
+        proof.recording = { ...proof.recording, inputs: [[1, 0]] };
+        const result = await submit(proof, proof.score, signedResult);
+
+        assert.equal(result.reason, REJECTION_REASONS.SIGNED_RESULT_MISMATCH);
+    });
+
+    it('rejects a forged or foreign signature', async () => {
+        const proof = playRun();
+        const signedResult = await signResult(player, proof, proof.score);
+
+        const forged = { ...signedResult, signature: signedResult.signature.slice(0, -4) + '0000' };
+        assert.equal((await submit(proof, proof.score, forged)).reason, REJECTION_REASONS.INVALID_SIGNATURE);
+
+        const otherChain = { ...signedResult, chainId: 1 };
+        assert.equal((await submit(proof, proof.score, otherChain)).reason, REJECTION_REASONS.WRONG_CHAIN);
+
+        const foreign = await signResult(ethers.Wallet.createRandom(), proof, proof.score);
+        assert.equal((await submit(proof, proof.score, foreign)).reason, REJECTION_REASONS.PLAYER_MISMATCH);
+
+        const unsigned = { ...signedResult, signature: undefined };
+        assert.equal((await submit(proof, proof.score, unsigned)).reason, REJECTION_REASONS.MISSING_SIGNATURE);
+    });
+
+    it('limits how many runs a wallet can have replayed per minute', async () => {
+        verifier = new ScoreVerifier({ chainId: CHAIN_ID, replaysPerMinute: 2 });
+        const proof = playRun();
+        const signedResult = await signResult(player, proof, proof.score);
+
+        assert.equal((await submit(proof, proof.score, signedResult)).valid, true);
+        assert.equal((await submit(proof, proof.score, signedResult)).valid, true);
+        assert.equal((await submit(proof, proof.score, signedResult)).reason, REJECTION_REASONS.RATE_LIMITED);
+
+        // The signature is checked before the budget, so a wrong signer is still told why
+        const foreign = await signResult(ethers.Wallet.createRandom(), proof, proof.score);
+        assert.equal((await submit(proof, proof.score, foreign)).reason, REJECTION_REASONS.PLAYER_MISMATCH);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { hashRun, buildMerkleTree, getMerkleProof, verifyRun } = require('../settlement');
+
+function makeRuns(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        channelId: ethers.id(`session-${i}`),
+        player: ethers.Wallet.createRandom().address,
+        score: 100 * (i + 1),
+        nonce: i + 1,
+        actionsHash: ethers.id(`actions-${i}`)
+    }));
+}
+
+// Same sorted-pair hashing as OpenZeppelin's MerkleProof
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b)
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+describe('Settlement Merkle tree', () => {
+    it('uses the only leaf as the root', () => {
+        const [run] = makeRuns(1);
+        const { root } = buildMerkleTree([hashRun(run)]);
+
+        assert.equal(root, hashRun(run));
+        assert.deepEqual(getMerkleProof([hashRun(run)], 0), []);
+        assert.equal(verifyRun(run, [], root), true);
+    });
+
+    it('moves the odd leaf up a level unchanged', () => {
+        const leaves = makeRuns(3).map(hashRun);
+        const { root, levels } = buildMerkleTree(leaves);
+
+        assert.equal(root, hashPair(hashPair(leaves[0], leaves[1]), leaves[2]));
+        assert.deepEqual(levels.map(level => level.length), [3, 2, 1]);
+        assert.deepEqual(getMerkleProof(leaves, 2), [hashPair(leaves[0], leaves[1])]);
+    });
+
+    it('proves every run for even and odd leaf counts', () => {
+        for (let count = 1; count <= 9; count++) {
+            const runs = makeRuns(count);
+            const leaves = runs.map(hashRun);
+            const { root } = buildMerkleTree(leaves);
+
+            runs.forEach((run, index) => {
+                const proof = getMerkleProof(leaves, index);
+                assert.equal(verifyRun(run, proof, root), true, `run ${index} of ${count}`);
+            });
+        }
+    });
+
+    it('rejects altered runs, foreign proofs and other roots', () => {
+        const runs = makeRuns(5);
+        const leaves = runs.map(hashRun);
+        const { root } = buildMerkleTree(leaves);
+        const proof = getMerkleProof(leaves, 1);
+
+        assert.equal(verifyRun({ ...runs[1], score: runs[1].score + 1 }, proof, root), false);
+        assert.equal(verifyRun({ ...runs[1], nonce: runs[1].nonce + 1 }, proof, root), false);
+        assert.equal(verifyRun({ ...runs[1], player: runs[2].player }, proof, root), false);
+        assert.equal(verifyRun(runs[1], getMerkleProof(leaves, 3), root), false);
+        assert.equal(verifyRun(runs[1], proof, buildMerkleTree(leaves.slice(0, 4)).root), false);
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const YellowSDK = require('../yellow-sdk');
+const { ChainMismatchError } = require('../chain');
+const { MemoryRepository } = require('../storage');
+
+const NETWORK = { name: 'localhost', chainId: 1337, rpcUrl: 'http://127.0.0.1:8545' };
+
+// Answers eth_chainId like a node on `chainId`, anything else is a test bug
+function stubProvider(chainId) {
+    return {
+        calls: [],
+        async send(method) {
+            this.calls.push(method);
+            if (method === 'eth_chainId') {
+                return ethers.toQuantity(chainId);
+            }
+            throw new Error(`Unexpected RPC call ${method}`);
+        }
+    };
+}
+
+describe('YellowSDK with an injected provider', () => {
+    let repository;
+
+    before(() => {
+        // Keep a local .env from giving the SDK a wallet
+        process.env.PRIVATE_KEY = '';
+    });
+
+    beforeEach(async () => {
+        repository = new MemoryRepository();
+        await repository.init();
+    });
+
+    it('refuses a node on another chain', async () => {
+        const provider = stubProvider(11155111);
+        const sdk = new YellowSDK({ repository, network: NETWORK, provider, contractAddress: null });
+
+        assert.equal(await sdk.init(), false);
+        assert.equal(sdk.isInitialized, false);
+        assert.deepEqual(provider.calls, ['eth_chainId']);
+        await assert.rejects(sdk.checkProvider(), (error) => {
+            assert.ok(error instanceof ChainMismatchError);
+            assert.equal(error.expected, 1337);
+            assert.equal(error.actual, 11155111);
+            return true;
+        });
+    });
+
+    it('starts on a node on the configured chain and stores its channels', async () => {
+        const provider = stubProvider(1337);
+        const sdk = new YellowSDK({ repository, network: NETWORK, provider, contractAddress: null });
+
+        assert.equal(await sdk.init(), true);
+        assert.equal(sdk.provider, provider);
+        assert.equal(sdk.chainId, 1337);
+        assert.equal(sdk.channelContract, null);
+
+        const { SESSION_KEY_TYPES, buildChannelDomain } = await import('../../shared/channel-state.js');
+        const player = ethers.Wallet.createRandom();
+        const value = {
+            player: player.address,
+            sessionKey: ethers.Wallet.createRandom().address,
+            expiresAt: Math.floor(Date.now() / 1000) + 3600
+        };
+        const signature = await player.signTypedData(buildChannelDomain(1337), SESSION_KEY_TYPES, value);
+
+        const session = await sdk.startGameSession(player.address, 'turbowheel_v1', { ...value, chainId: 1337, signature });
+        assert.equal(session.chainId, 1337);
+
+        const stored = await repository.getChannel(session.channelId);
+        assert.equal(stored.player, player.address);
+        assert.equal(stored.state.isActive, true);
+        assert.equal(stored.sessionKey.address, value.sessionKey);
+    });
+
+    it('reports a channel closed under a run as CHANNEL_CLOSED', async () => {
+        const sdk = new YellowSDK({ repository, network: NETWORK, provider: stubProvider(1337), contractAddress: null });
+        await sdk.init();
+
+        const { SESSION_KEY_TYPES, buildChannelDomain } = await import('../../shared/channel-state.js');
+        const player = ethers.Wallet.createRandom();
+        const value = {
+            player: player.address,
+            sessionKey: ethers.Wallet.createRandom().address,
+            expiresAt: Math.floor(Date.now() / 1000) + 3600
+        };
+        const signature = await player.signTypedData(buildChannelDomain(1337), SESSION_KEY_TYPES, value);
+        const session = await sdk.startGameSession(player.address, 'turbowheel_v1', { ...value, chainId: 1337, signature });
+
+        // The idle sweep abandons the session while its final run is being verified
+        await sdk.endGameSession(session.channelId, 0, { status: 'abandoned', reason: 'idle' });
+        await assert.rejects(sdk.endGameSession(session.channelId, 120, { verified: true }), (error) => {
+            assert.ok(error instanceof YellowSDK.ChannelStateError);
+            assert.equal(error.code, YellowSDK.CHANNEL_ERRORS.CHANNEL_CLOSED);
+            return true;
+        });
+        await assert.rejects(sdk.endGameSession('0xunknown', 120, { verified: true }), {
+            code: YellowSDK.CHANNEL_ERRORS.CHANNEL_NOT_FOUND
+        });
+    });
+});
+
+describe('YellowSDK season payouts', () => {
+    const { TURBO_WHEEL_CHANNEL_ABI } = require('../channel-contract');
+    const CONTRACT = '0x00000000000000000000000000000000000000c0';
+    const contractInterface = new ethers.Interface(TURBO_WHEEL_CHANNEL_ABI);
+    const players = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+    // A contract and transaction manager that confirm every payoutSeason call
+    function stubPayouts(sdk) {
+        const sent = [];
+        sdk.contractAddress = CONTRACT;
+        sdk.wallet = ethers.Wallet.createRandom();
+        sdk.channelContract = {
+            interface: contractInterface,
+            async seasonPayouts() {
+                return 0n;
+            },
+            payoutSeason: {
+                async populateTransaction(...args) {
+                    return { to: CONTRACT, data: contractInterface.encodeFunctionData('payoutSeason', args) };
+                }
+            }
+        };
+        sdk.transactions = {
+            async send(wallet, request, { kind }) {
+                sent.push({ kind, args: contractInterface.decodeFunctionData('payoutSeason', request.data) });
+                return { id: 'tx-1', hash: '0x' + '1'.repeat(64) };
+            },
+            async wait() {
+                const [seasonId, payees, amounts] = sent[sent.length - 1].args;
+                const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+                const log = contractInterface.encodeEventLog('SeasonPaidOut', [4n, seasonId, payees, amounts, total]);
+                return { hash: '0x' + '1'.repeat(64), blockNumber: 12, logs: [{ address: CONTRACT, ...log }] };
+            }
+        };
+        return sent;
+    }
+
+    before(() => {
+        process.env.PRIVATE_KEY = '';
+    });
+
+    it('sends the computed payees and amounts in wei', async () => {
+        const sdk = new YellowSDK({ network: NETWORK, provider: stubProvider(1337), contractAddress: null });
+        const sent = stubPayouts(sdk);
+
+        const payout = await sdk.paySeason({
+            seasonId: 3,
+            prizes: [{ player: players[0], amount: '0.54' }, { player: players[1], amount: '0.000000000000000001' }]
+        });
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].kind, 'payoutSeason');
+        assert.deepEqual([...sent[0].args[2]], [ethers.parseEther('0.54'), 1n]);
+        assert.equal(payout.seasonId, 3);
+        assert.equal(payout.distributionId, '4');
+        assert.equal(payout.totalPrize, '0.540000000000000001');
+        assert.deepEqual(payout.prizes, [
+            { player: players[0], amount: '0.54' },
+            { player: players[1], amount: '0.000000000000000001' }
+        ]);
+    });
+
+    it('refuses to pay without a contract', async () => {
+        const sdk = new YellowSDK({ network: NETWORK, provider: stubProvider(1337), contractAddress: null });
+        await assert.rejects(sdk.paySeason({ seasonId: 3, prizes: [] }), {
+            code: YellowSDK.PAYOUT_ERRORS.NOT_CONFIGURED
+        });
+    });
+});
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+
+/**
+ * Transaction manager for the server wallet
+ * Sends go through one queue per wallet, so concurrent payouts never pick
+ * the same nonce: the next nonce is the larger of the node's pending count
+ * and the last one this process used. Fees are estimated as EIP-1559
+ * maxFeePerGas / maxPriorityFeePerGas, or a legacy gasPrice on chains
+ * without a base fee.
+ *
+ * A transaction still pending after TX_STUCK_SECONDS is replaced by one with
+ * the same nonce and fees raised by TX_FEE_BUMP_PERCENT (or the current
+ * estimate, if higher), up to TX_MAX_REPLACEMENTS times. Every transaction
+ * sent, replacements included, is stored with its status:
+ *   pending  - broadcast, not mined yet
+ *   mined    - mined and succeeded
+ *   failed   - mined and reverted, or its nonce was used by a transaction we did not send
+ *   replaced - superseded by a replacement with the same nonce
+ */
+
+const TX_STATUS = {
+    PENDING: 'pending',
+    MINED: 'mined',
+    FAILED: 'failed',
+    REPLACED: 'replaced'
+};
+
+const TX_ERRORS = {
+    FAILED: 'FAILED',
+    TIMEOUT: 'TIMEOUT'
+};
+
+// Estimates are for the state the node sees now, leave room for it to change
+const GAS_LIMIT_HEADROOM_PERCENT = 20n;
+
+class TransactionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Storage for transaction records
+     * @param {number} [options.stuckSeconds] - How long a transaction may stay pending before it is sped up
+     * @param {number} [options.feeBumpPercent] - Fee increase of a replacement (nodes want at least 10%)
+     * @param {number} [options.maxReplacements] - Replacements per nonce before we leave it alone
+     * @param {number} [options.pollSeconds] - Time between checks on pending transactions
+     */
+    constructor({
+        repository,
+        stuckSeconds = process.env.TX_STUCK_SECONDS || 180,
+        feeBumpPercent = process.env.TX_FEE_BUMP_PERCENT || 20,
+        maxReplacements = process.env.TX_MAX_REPLACEMENTS || 3,
+        pollSeconds = process.env.TX_POLL_SECONDS || 15
+    }) {
+        if (!(Number(stuckSeconds) > 0)) {
+            throw new Error('Stuck transaction timeout must be a positive number of seconds');
+        }
+        if (!(Number.isInteger(Number(feeBumpPercent)) && Number(feeBumpPercent) >= 10)) {
+            throw new Error('Fee bump must be an integer percentage of at least 10');
+        }
+        if (!(Number.isInteger(Number(maxReplacements)) && Number(maxReplacements) >= 0)) {
+            throw new Error('Maximum replacements must be a non-negative integer');
+        }
+        if (!(Number(pollSeconds) > 0)) {
+            throw new Error('Transaction poll interval must be a positive number of seconds');
+        }
+
+        this.repository = repository;
+        this.stuckMs = Number(stuckSeconds) * 1000;
+        this.feeBumpPercent = BigInt(feeBumpPercent);
+        this.maxReplacements = Number(maxReplacements);
+        this.pollMs = Number(pollSeconds) * 1000;
+        this.wallets = new Map(); // lowercase address -> { wallet, queue, nextNonce }
+        this.timer = null;
+    }
+
+    /**
+     * Start watching pending transactions, including the ones a previous run left behind
+     */
+    async init() {
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            try {
+                await this.checkPending();
+            } catch (error) {
+                console.warn(`⚠️ Checking pending transactions failed (${error.shortMessage || error.message}), retrying`);
+            }
+            this.schedule();
+        }, this.pollMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Let the manager send and speed up transactions for a wallet
+     * A wallet registered again (same address) keeps its queue and nonce.
+     * @param {Object} wallet - ethers Wallet connected to a provider
+     */
+    addWallet(wallet) {
+        const address = wallet.address.toLowerCase();
+        const entry = this.wallets.get(address);
+        if (entry) {
+            entry.wallet = wallet;
+            return entry;
+        }
+        const created = { wallet, queue: Promise.resolve(), nextNonce: null };
+        this.wallets.set(address, created);
+        return created;
+    }
+
+    /**
+     * Run a wallet's sends one after another
+     * @param {Object} entry - Wallet entry
+     * @param {Function} task - Sends a transaction
+     * @returns {Promise} Result of the task
+     */
+    enqueue(entry, task) {
+        const result = entry.queue.then(task);
+        // A failed send must not block the ones after it
+        entry.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Estimate, sign and broadcast a transaction
+     * Reverts found while estimating gas are thrown as is; nothing is sent
+     * or recorded then.
+     * @param {Object} wallet - ethers Wallet connected to a provider
+     * @param {Object} request - { to, data, value }, e.g. from contract.method.populateTransaction()
+     * @param {Object} [meta]
+     * @param {string} [meta.kind] - What the transaction does, e.g. distributePrizes
+     * @param {Object} [meta.details] - Anything worth keeping with the record
+     * @returns {Object} Stored transaction record
+     */
+    send(wallet, request, { kind = 'transaction', details = {} } = {}) {
+        const entry = this.addWallet(wallet);
+        return this.enqueue(entry, async () => {
+            const provider = entry.wallet.provider;
+            const [gasEstimate, fees, pendingNonce] = await Promise.all([
+                entry.wallet.estimateGas(request),
+                this.estimateFees(provider),
+                provider.getTransactionCount(entry.wallet.address, 'pending')
+            ]);
+            const nonce = Math.max(pendingNonce, entry.nextNonce || 0);
+            const gasLimit = gasEstimate * (100n + GAS_LIMIT_HEADROOM_PERCENT) / 100n;
+
+            let tx;
+            try {
+                tx = await entry.wallet.sendTransaction({ ...request, nonce, gasLimit, ...fees });
+            } catch (error) {
+                // Ask the node again next time, our count may be what was wrong
+                entry.nextNonce = null;
+                throw error;
+            }
+            entry.nextNonce = nonce + 1;
+
+            const now = Date.now();
+            const record = {
+                id: crypto.randomUUID(),
+                wallet: entry.wallet.address,
+                nonce: nonce,
+                kind: kind,
+                details: details,
+                to: request.to,
+                data: request.data || '0x',
+                value: (request.value || 0n).toString(),
+                gasLimit: gasLimit.toString(),
+                fees: stringifyFees(fees),
+                hash: tx.hash,
+                status: TX_STATUS.PENDING,
+                replaces: null,
+                replacedBy: null,
+                replacements: 0,
+                blockNumber: null,
+                gasUsed: null,
+                error: null,
+                sentAt: now,
+                updatedAt: now
+            };
+            await this.repository.addTransaction(record);
+            console.log(`📤 ${kind} sent from ${record.wallet} with nonce ${nonce}: ${tx.hash}`);
+            return record;
+        });
+    }
+
+    /**
+     * EIP-1559 fees for a new transaction, a gas price on legacy chains
+     * @param {Object} provider - ethers provider
+     * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } in wei
+     */
+    async estimateFees(provider) {
+        const feeData = await provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Wait until a transaction, or the replacement that took its nonce, has enough confirmations
+     * @param {string} id - Record id from send()
+     * @param {Object} [options]
+     * @param {number} [options.confirmations] - Blocks to wait for
+     * @param {number} [options.timeoutMs] - When to give up
+     * @returns {Object} ethers TransactionReceipt of the transaction that was mined
+     * @throws {TransactionError} FAILED when it reverted or its nonce went elsewhere, TIMEOUT when not confirmed in time
+     */
+    async wait(id, { confirmations = 1, timeoutMs = this.stuckMs * (this.maxReplacements + 1) } = {}) {
+        const record = await this.repository.getTransaction(id);
+        const deadline = Date.now() + timeoutMs;
+
+        for (;;) {
+            const settled = await this.settle(record.wallet, record.nonce);
+            if (settled) {
+                if (settled.record.status === TX_STATUS.FAILED) {
+                    throw new TransactionError(TX_ERRORS.FAILED, settled.record.error);
+                }
+                if (await settled.receipt.confirmations() >= confirmations) {
+                    return settled.receipt;
+                }
+            }
+            if (Date.now() >= deadline) {
+                throw new TransactionError(TX_ERRORS.TIMEOUT, `Transaction ${record.hash} was not confirmed in time, check it before retrying`);
+            }
+            await sleep(Math.min(this.pollMs, Math.max(deadline - Date.now(), 0)));
+        }
+    }
+
+    /**
+     * Look for a receipt among the transactions sent with a nonce and record the outcome
+     * @param {string} wallet - Sender address
+     * @param {number} nonce - Nonce
+     * @returns {Object|null} { record, receipt } once the nonce is used, null while it is not
+     */
+    async settle(wallet, nonce) {
+        const { entries } = await this.repository.getTransactions({ wallet, nonce });
+        const entry = this.wallets.get(wallet.toLowerCase());
+        if (!entry || entries.length === 0) {
+            return null;
+        }
+        const provider = entry.wallet.provider;
+
+        for (const record of entries) {
+            const receipt = await provider.getTransactionReceipt(record.hash);
+            if (!receipt) {
+                continue;
+            }
+            if (record.status === TX_STATUS.MINED || record.status === TX_STATUS.FAILED) {
+                return { record, receipt };
+            }
+
+            const mined = receipt.status === 1;
+            const settled = await this.update(record, {
+                status: mined ? TX_STATUS.MINED : TX_STATUS.FAILED,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                error: mined ? null : `Transaction ${record.hash} reverted`
+            });
+            for (const other of entries) {
+                if (other.id !== record.id && other.status === TX_STATUS.PENDING) {
+                    await this.update(other, { status: TX_STATUS.REPLACED, replacedBy: record.id });
+                }
+            }
+            return { record: settled, receipt };
+        }
+
+        // No receipt for any of ours, yet the nonce is used: someone else sent with this wallet
+        const minedNonce = await provider.getTransactionCount(wallet, 'latest');
+        if (minedNonce > nonce) {
+            let failed = null;
+            for (const record of entries.filter(r => r.status === TX_STATUS.PENDING)) {
+                failed = await this.update(record, {
+                    status: TX_STATUS.FAILED,
+                    error: `Nonce ${nonce} was used by a transaction this server did not send`
+                });
+            }
+            return failed ? { record: failed, receipt: null } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Settle pending transactions and speed up the ones that are stuck
+     */
+    async checkPending(now = Date.now()) {
+        const { entries } = await this.repository.getTransactions({ status: TX_STATUS.PENDING });
+        for (const record of entries) {
+            if (!this.wallets.has(record.wallet.toLowerCase())) {
+                continue;
+            }
+            const settled = await this.settle(record.wallet, record.nonce);
+            if (!settled && now - record.sentAt >= this.stuckMs) {
+                await this.speedUp(record);
+            }
+        }
+    }
+
+    /**
+     * Replace a pending transaction with the same one at higher fees
+     * @param {Object} record - Pending record
+     * @returns {Object|null} Record of the replacement, null when none was sent
+     */
+    speedUp(record) {
+        if (record.replacements >= this.maxReplacements) {
+            return null;
+        }
+        const entry = this.wallets.get(record.wallet.toLowerCase());
+
+        return this.enqueue(entry, async () => {
+            const current = await this.estimateFees(entry.wallet.provider);
+            const fees = {};
+            for (const [field, value] of Object.entries(current)) {
+                const bumped = BigInt(record.fees[field] || 0) * (100n + this.feeBumpPercent) / 100n;
+                fees[field] = bumped > value ? bumped : value;
+            }
+
+            let tx;
+            try {
+                tx = await entry.wallet.sendTransaction({
+                    to: record.to,
+                    data: record.data,
+                    value: BigInt(record.value),
+                    nonce: record.nonce,
+                    gasLimit: BigInt(record.gasLimit),
+                    ...fees
+                });
+            } catch (error) {
+                // Usually the original was mined in the meantime; the next check records it
+                console.warn(`⚠️ Could not speed up ${record.hash} (${error.shortMessage || error.message})`);
+                return null;
+            }
+
+            const now = Date.now();
+            const replacement = {
+                ...record,
+                id: crypto.randomUUID(),
+                fees: stringifyFees(fees),
+                hash: tx.hash,
+                replaces: record.id,
+                replacements: record.replacements + 1,
+                sentAt: now,
+                updatedAt: now
+            };
+            await this.repository.addTransaction(replacement);
+            await this.update(record, { status: TX_STATUS.REPLACED, replacedBy: replacement.id });
+            console.log(`⏫ Sped up ${record.kind} nonce ${record.nonce}: ${record.hash} -> ${tx.hash}`);
+            return replacement;
+        });
+    }
+
+    async update(record, changes) {
+        return this.repository.updateTransaction(record.id, { ...changes, updatedAt: Date.now() });
+    }
+}
+
+function stringifyFees(fees) {
+    return Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, value.toString()]));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A transaction that did not end up mined and successful
+ */
+class TransactionError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'TransactionError';
+        this.code = code;
+    }
+}
+
+TransactionManager.TX_STATUS = TX_STATUS;
+TransactionManager.TX_ERRORS = TX_ERRORS;
+TransactionManager.TransactionError = TransactionError;
+
+module.exports = TransactionManager;
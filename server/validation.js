@@ -0,0 +1,341 @@
+const { MAX_REPLAY_TICKS } = require('./score-verifier');
+
+/**
+ * Schema validation for REST bodies and socket payloads
+ * A schema describes the accepted shape of a client message. validate()
+ * checks a value against it and returns a copy that holds only the declared
+ * fields, so nothing a client adds on its own reaches storage or other
+ * players. Problems are reported per field:
+ *   [{ field: 'proof.recording.seed', message: 'must be an integer' }]
+ */
+
+// Enough to fix a request, without echoing a whole malformed replay back
+const MAX_ERRORS = 20;
+// Objects a spectator frame may carry (see spectators.js)
+const MAX_FRAME_OBJECTS = 50;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+const GAME_ID_PATTERN = /^[\w.-]{1,64}$/;
+// Signed ETH amount, at the 3 decimals pools are kept at
+const ETH_DELTA_PATTERN = /^-?\d{1,9}(\.\d{1,3})?$/;
+
+/**
+ * Schema builders
+ * Every type accepts { optional, nullable }; strings take maxLength,
+ * pattern and values, numbers min and max, arrays maxItems.
+ */
+const types = {
+    string: (options = {}) => ({ type: 'string', ...options }),
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    number: (options = {}) => ({ type: 'number', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    object: (fields, options = {}) => ({ type: 'object', fields, ...options }),
+    array: (items, options = {}) => ({ type: 'array', items, ...options }),
+    tuple: (items, options = {}) => ({ type: 'tuple', items, ...options })
+};
+
+const address = (options = {}) => types.string({ pattern: ADDRESS_PATTERN, patternMessage: 'must be a 0x address', ...options });
+const bytes32 = (options = {}) => types.string({ pattern: BYTES32_PATTERN, patternMessage: 'must be a 0x-prefixed 32-byte hex string', ...options });
+const gameId = () => types.string({ optional: true, pattern: GAME_ID_PATTERN, patternMessage: 'must be 1-64 letters, digits, dots, dashes or underscores' });
+
+function checkNumber(schema, value, report) {
+    const isValid = schema.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+    if (!isValid) {
+        return report(schema.type === 'integer' ? 'must be an integer' : 'must be a number');
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        return report(`must be at least ${schema.min}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        return report(`must be at most ${schema.max}`);
+    }
+    return value;
+}
+
+function checkString(schema, value, report) {
+    if (typeof value !== 'string') {
+        return report('must be a string');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return report(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return report(schema.patternMessage || 'has an invalid format');
+    }
+    if (schema.values && !schema.values.includes(value)) {
+        return report(`must be one of: ${schema.values.join(', ')}`);
+    }
+    return value;
+}
+
+// ['proof', 'recording', 'inputs', 3] -> 'proof.recording.inputs[3]'
+function formatPath(path) {
+    return path.reduce((field, key) => {
+        if (typeof key === 'number') {
+            return `${field}[${key}]`;
+        }
+        return field ? `${field}.${key}` : key;
+    }, '');
+}
+
+function check(schema, value, path, errors) {
+    const report = (message) => {
+        if (errors.length < MAX_ERRORS) {
+            errors.push({ field: formatPath(path), message });
+        }
+        return undefined;
+    };
+
+    if (value === undefined) {
+        return schema.optional ? undefined : report('is required');
+    }
+    if (value === null) {
+        return schema.nullable ? null : report('must not be null');
+    }
+
+    switch (schema.type) {
+        case 'string':
+            return checkString(schema, value, report);
+        case 'integer':
+        case 'number':
+            return checkNumber(schema, value, report);
+        case 'boolean':
+            return typeof value === 'boolean' ? value : report('must be true or false');
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return report('must be an object');
+            }
+            // Only declared fields are copied, anything else is dropped
+            const result = {};
+            for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                const checked = check(fieldSchema, value[name], [...path, name], errors);
+                if (checked !== undefined) {
+                    result[name] = checked;
+                }
+            }
+            return result;
+        }
+        case 'array':
+        case 'tuple': {
+            if (!Array.isArray(value)) {
+                return report('must be an array');
+            }
+            if (schema.type === 'tuple' && value.length !== schema.items.length) {
+                return report(`must have exactly ${schema.items.length} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return report(`must have at most ${schema.maxItems} items`);
+            }
+            const result = [];
+            for (let i = 0; i < value.length && errors.length < MAX_ERRORS; i++) {
+                const itemSchema = schema.type === 'tuple' ? schema.items[i] : schema.items;
+                result.push(check(itemSchema, value[i], [...path, i], errors));
+            }
+            return result;
+        }
+        default:
+            throw new Error(`Unknown schema type "${schema.type}"`);
+    }
+}
+
+/**
+ * Validate a value and strip the fields its schema does not declare
+ * @param {Object} schema - Built with `types`
+ * @param {*} value - Untrusted input
+ * @param {string} root - Name reported for a problem with the value itself
+ * @returns {Object} { value } or { errors: [{ field, message }] }
+ */
+function validate(schema, value, root = 'body') {
+    const errors = [];
+    const result = check(schema, value, [], errors);
+    if (errors.length > 0) {
+        return { errors: errors.map(error => ({ ...error, field: error.field || root })) };
+    }
+    return { value: result };
+}
+
+// Replays are re-simulated by the score verifier, this only checks their shape
+const recording = types.object({
+    version: types.integer(),
+    seed: types.integer({ min: 0, max: 0xFFFFFFFF }),
+    tickRate: types.integer(),
+    width: types.integer(),
+    height: types.integer(),
+    ticks: types.integer({ min: 0 }),
+    score: types.integer({ min: 0, optional: true }),
+    inputs: types.array(types.tuple([types.integer(), types.integer()]), { maxItems: MAX_REPLAY_TICKS }),
+    events: types.array(types.tuple([types.integer(), types.string({ values: ['pause', 'resume'] })]), { optional: true, maxItems: MAX_REPLAY_TICKS }),
+    scores: types.array(types.tuple([types.integer(), types.integer()]), { optional: true, maxItems: MAX_REPLAY_TICKS })
+}, { optional: true });
+
+const proof = types.object({
+    sessionId: types.string({ optional: true, maxLength: 128 }),
+    seed: types.integer({ optional: true }),
+    recording
+}, { optional: true, nullable: true });
+
+// The EIP-712 fields signed by the wallet, see shared/typed-data.js
+const signedResult = types.object({
+    player: address(),
+    score: types.integer({ min: 0 }),
+    sessionId: types.string({ maxLength: 128 }),
+    seed: types.integer({ min: 0 }),
+    proofHash: bytes32(),
+    chainId: types.integer({ min: 1 }),
+    signature: types.string({ maxLength: 1024, pattern: HEX_PATTERN, patternMessage: 'must be a 0x-prefixed hex string' })
+}, { optional: true, nullable: true });
+
+const signature = () => types.string({ maxLength: 1024, pattern: HEX_PATTERN, patternMessage: 'must be a 0x-prefixed hex string' });
+
+// State updates signed by the session key, see shared/channel-state.js
+const channelUpdate = (options = {}) => types.object({
+    nonce: types.integer({ min: 1 }),
+    signature: signature()
+}, options);
+
+const reason = (options = {}) => types.string({ maxLength: 500, ...options });
+
+const framePoints = types.array(types.tuple([types.number(), types.number()]), { maxItems: MAX_FRAME_OBJECTS });
+
+const schemas = {
+    // REST bodies
+    authVerify: types.object({
+        message: types.string({ maxLength: 4096 }),
+        signature: types.string({ maxLength: 1024, pattern: HEX_PATTERN, patternMessage: 'must be a 0x-prefixed hex string' })
+    }),
+    scoreSubmission: types.object({
+        player: address({ optional: true }),
+        score: types.integer({ min: 0 }),
+        gameId: gameId(),
+        proof,
+        signedResult
+    }),
+    empty: types.object({}),
+
+    // Admin REST bodies
+    adminReason: types.object({
+        reason: reason({ optional: true })
+    }),
+    adminBan: types.object({
+        address: address(),
+        reason: reason({ optional: true })
+    }),
+    adminExecuteDistribution: types.object({
+        previewId: types.string({ maxLength: 64 })
+    }),
+    adminOnChainDistribution: types.object({
+        channelId: bytes32({ optional: true }),
+        dryRun: types.boolean({ optional: true })
+    }),
+    adminAdjustPrizePool: types.object({
+        target: types.string({ values: ['season', 'rollover'] }),
+        amount: types.string({ pattern: ETH_DELTA_PATTERN, patternMessage: 'must be a signed ETH amount with at most 3 decimals, like "-0.25"' }),
+        reason: reason()
+    }),
+
+    // Socket events
+    joinGame: types.object({
+        gameId: gameId(),
+        walletAddress: address({ optional: true, nullable: true }),
+        sessionKey: types.object({
+            player: address(),
+            sessionKey: address(),
+            expiresAt: types.integer({ min: 0 }),
+            chainId: types.integer({ min: 1 }),
+            signature: signature()
+        })
+    }),
+    scoreUpdate: types.object({
+        score: types.integer({ min: 0 }),
+        gameState: types.object({
+            speedLevel: types.integer({ min: 1, optional: true })
+        }, { optional: true }),
+        channelState: channelUpdate()
+    }),
+    gameOver: types.object({
+        score: types.integer({ min: 0 }),
+        player: address({ optional: true, nullable: true }),
+        gameId: gameId(),
+        proof,
+        signedResult,
+        channelState: channelUpdate({ optional: true, nullable: true }),
+        isValid: types.boolean({ optional: true })
+    }),
+    spectateFrame: types.object({
+        t: types.integer({ min: 0 }),
+        x: types.number(),
+        s: types.integer({ min: 0 }),
+        l: types.integer({ min: 1, optional: true }),
+        c: framePoints,
+        o: framePoints,
+        over: types.boolean({ optional: true })
+    }),
+    raceJoin: types.object({
+        code: types.string({ maxLength: 16 })
+    }),
+    raceReady: types.object({
+        ready: types.boolean()
+    }),
+    racePosition: types.object({
+        tick: types.integer({ min: 0 }),
+        x: types.number(),
+        score: types.integer({ min: 0 }),
+        crashed: types.boolean({ optional: true })
+    }),
+    watch: types.object({
+        channelId: bytes32()
+    })
+};
+
+/**
+ * Express middleware: reject a body that does not match, otherwise replace it with the stripped copy
+ * @param {Object} schema - Body schema
+ * @returns {Function} Middleware
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        const result = validate(schema, req.body, 'body');
+        if (result.errors) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request body',
+                details: result.errors
+            });
+        }
+        req.body = result.value;
+        next();
+    };
+}
+
+/**
+ * Register a socket event handler that only ever sees a valid, stripped payload
+ * An invalid payload is answered with an `error` event listing the problems.
+ * @param {Object} socket - socket.io socket
+ * @param {string} event - Event name
+ * @param {Object} schema - Payload schema
+ * @param {Function} handler - Called with the stripped payload
+ */
+function onEvent(socket, event, schema, handler) {
+    socket.on(event, (payload) => {
+        const result = validate(schema, payload, 'payload');
+        if (result.errors) {
+            socket.emit('error', {
+                message: `Invalid ${event} payload`,
+                event: event,
+                details: result.errors
+            });
+            return;
+        }
+        return handler(result.value);
+    });
+}
+
+module.exports = {
+    types,
+    schemas,
+    validate,
+    validateBody,
+    onEvent
+};
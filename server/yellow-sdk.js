@@ -1,14 +1,93 @@
 const { ethers } = require('ethers');
+const { sameAddress } = require('./leaderboard');
+const { resolveNetwork, createProvider, checkChain, describeRpcUrl, ChainMismatchError } = require('./chain');
+const { TURBO_WHEEL_CHANNEL_ABI } = require('./channel-contract');
+const TransactionManager = require('./transactions');
+
+const { TransactionError, TX_ERRORS } = TransactionManager;
 
 /**
  * Yellow Nitrolite SDK Integration
  * ERC-7824 State Channel Implementation for TurboWheel
+ *
+ * Every state update of a channel is signed twice: by the player's session
+ * key and by the server wallet (see shared/channel-state.js). An update must
+ * carry the next nonce and a valid session key signature, otherwise it is
+ * rejected and the channel stays where it was. The server only countersigns
+ * scores it can stand behind: never below the last signed score, never above
+ * what the run could plausibly have reached by now, and a final game_end
+ * state only with the score the server re-simulated. The last doubly-signed
+ * state, together with the wallet's session key authorization, is what would
+ * be submitted to TurboWheelChannel.
  */
+
+const CHANNEL_ERRORS = {
+    INVALID_SESSION_KEY: 'INVALID_SESSION_KEY',
+    STALE_NONCE: 'STALE_NONCE',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    MISSING_SIGNATURE: 'MISSING_SIGNATURE',
+    SCORE_DECREASED: 'SCORE_DECREASED',
+    IMPLAUSIBLE_SCORE: 'IMPLAUSIBLE_SCORE',
+    UNVERIFIED_FINAL_STATE: 'UNVERIFIED_FINAL_STATE',
+    CHANNEL_NOT_FOUND: 'CHANNEL_NOT_FOUND',
+    CHANNEL_CLOSED: 'CHANNEL_CLOSED'
+};
+
+// Longest a wallet may authorize a session key for
+const MAX_SESSION_KEY_SECONDS = 24 * 60 * 60;
+
+const PAYOUT_ERRORS = {
+    NOT_CONFIGURED: 'NOT_CONFIGURED',
+    NO_WALLET: 'NO_WALLET',
+    REVERTED: 'REVERTED',
+    TIMEOUT: 'TIMEOUT',
+    MISSING_EVENT: 'MISSING_EVENT'
+};
+
+// How long a payout may take to reach its confirmations before we stop waiting
+const PAYOUT_TIMEOUT_MS = 5 * 60 * 1000;
+
 class YellowSDK {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.repository] - Storage for channels and their action logs
+     * @param {Object} [options.network] - { name, chainId, rpcUrl } from chain.js, channel states are signed for its chain
+     * @param {Object} [options.provider] - Provider to use instead of one for network.rpcUrl (tests, forks)
+     * @param {string} [options.contractAddress] - Deployed TurboWheelChannel
+     * @param {string} [options.prizeChannelId] - Contract channel whose pool distributePrizes() pays out by default
+     * @param {number} [options.confirmations] - Blocks to wait for before a payout counts
+     * @param {Object} [options.transactions] - TransactionManager that sends for the server wallet
+     */
+    constructor({
+        repository = null,
+        network = resolveNetwork(),
+        provider = null,
+        contractAddress = process.env.YELLOW_CHANNEL_CONTRACT,
+        prizeChannelId = process.env.YELLOW_PRIZE_CHANNEL_ID,
+        confirmations = process.env.PAYOUT_CONFIRMATIONS || 1,
+        transactions = new TransactionManager({ repository })
+    } = {}) {
+        if (!(Number.isInteger(Number(confirmations)) && Number(confirmations) >= 1)) {
+            throw new Error('Payout confirmations must be a positive integer');
+        }
+
+        this.network = network;
+        this.injectedProvider = provider;
         this.provider = null;
+        this.contractAddress = contractAddress || null;
+        this.channelContract = null; // TurboWheelChannel, when configured and a provider is available
+        this.prizeChannelId = prizeChannelId || null;
+        this.confirmations = Number(confirmations);
+        this.prizeSharesPromise = null;
         this.wallet = null;
-        this.channels = new Map(); // Active state channels
+        this.transactions = transactions;
+        this.signer = null; // Countersigns channel states
+        this.chainId = network.chainId;
+        this.channels = new Map(); // State channels, written through to the repository
+        this.channelQueues = new Map(); // channelId -> tail of its pending state changes
+        this.repository = repository;
+        this.channelStatePromise = null;
+        this.corePromise = null;
         this.isInitialized = false;
     }
 
@@ -17,26 +96,39 @@ class YellowSDK {
             // Load environment variables
             require('dotenv').config();
             
-            // Initialize provider for Sepolia testnet
-            this.provider = new ethers.JsonRpcProvider(
-                process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161'
-            );
+            this.provider = this.injectedProvider || createProvider(this.network);
+            await this.checkProvider();
 
             // Initialize wallet if private key is provided
             if (process.env.PRIVATE_KEY) {
                 this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+                this.transactions.addWallet(this.wallet);
                 console.log('✅ Yellow SDK initialized with wallet:', this.wallet.address);
             } else {
                 console.log('⚠️ Yellow SDK initialized without wallet (read-only mode)');
             }
 
+            // Without a wallet, states are countersigned by a key that only lives as long as the process
+            this.signer = this.wallet || ethers.Wallet.createRandom();
+            if (!this.wallet) {
+                console.warn('⚠️ PRIVATE_KEY not set, channel states are countersigned by a temporary key:', this.signer.address);
+            }
+
+            this.channelContract = this.createChannelContract();
+
             // Log configuration
             console.log('🔧 Yellow SDK Configuration:');
-            console.log('   Network:', process.env.YELLOW_NETWORK || 'sepolia');
+            console.log('   Network:', `${this.network.name} (chain ${this.chainId})`);
+            console.log('   RPC:', this.injectedProvider ? 'injected provider' : (this.network.rpcUrl ? describeRpcUrl(this.network.rpcUrl) : 'none (off-chain)'));
             console.log('   API Key:', process.env.YELLOW_API_KEY ? '✅ Set' : '❌ Missing');
-            console.log('   Channel Contract:', process.env.YELLOW_CHANNEL_CONTRACT || 'Not set');
+            console.log('   Channel Contract:', this.contractAddress || 'Not set');
+            console.log('   On-chain Payouts:', this.channelContract && this.wallet
+                ? `✅ ${this.prizeChannelId ? `channel ${this.prizeChannelId}` : 'no default channel'}, ${this.confirmations} confirmation(s)`
+                : '❌ Needs YELLOW_CHANNEL_CONTRACT, an RPC and PRIVATE_KEY');
             console.log('   Game ID:', process.env.GAME_ID || 'turbowheel_v1');
 
+            await this.loadChannels();
+
             this.isInitialized = true;
             return true;
         } catch (error) {
@@ -45,33 +137,155 @@ class YellowSDK {
         }
     }
 
+    /**
+     * Make sure the provider's node is on the configured chain
+     * A node that does not answer is only reported, it may come up later.
+     * @throws {ChainMismatchError} When it is on another chain
+     */
+    async checkProvider() {
+        if (!this.provider) {
+            console.log(`⚠️ No RPC configured for ${this.network.name}, running off-chain`);
+            return;
+        }
+
+        try {
+            await checkChain(this.provider, this.chainId);
+            console.log(`✅ Connected to ${this.network.name} (chain ${this.chainId})`);
+        } catch (error) {
+            if (error instanceof ChainMismatchError) {
+                throw error;
+            }
+            console.warn(`⚠️ ${this.network.name} RPC is not reachable (${error.shortMessage || error.message}), on-chain calls will fail until it is`);
+        }
+    }
+
+    /**
+     * @returns {Object|null} TurboWheelChannel contract, signing with the server wallet when there is one
+     */
+    createChannelContract() {
+        if (!this.contractAddress || !this.provider) {
+            return null;
+        }
+        if (!ethers.isAddress(this.contractAddress)) {
+            console.warn(`⚠️ YELLOW_CHANNEL_CONTRACT "${this.contractAddress}" is not an address, on-chain payouts are disabled`);
+            return null;
+        }
+        return new ethers.Contract(this.contractAddress, TURBO_WHEEL_CHANNEL_ABI, this.wallet || this.provider);
+    }
+
+    /**
+     * Restore stored channels so sessions survive a restart
+     */
+    async loadChannels() {
+        if (!this.repository) {
+            return;
+        }
+
+        this.channels.clear();
+        for (const channel of await this.repository.getChannels()) {
+            this.channels.set(channel.id, channel);
+        }
+        console.log(`   Channels restored: ${this.channels.size}`);
+    }
+
+    /**
+     * Load the shared channel state definitions once
+     * @returns {Promise<Object>} channel-state module
+     */
+    loadChannelState() {
+        if (!this.channelStatePromise) {
+            this.channelStatePromise = import('../shared/channel-state.js');
+        }
+        return this.channelStatePromise;
+    }
+
+    /**
+     * Load the shared game core once
+     * @returns {Promise<Object>} game-core module
+     */
+    loadCore() {
+        if (!this.corePromise) {
+            this.corePromise = import('../shared/game-core.js');
+        }
+        return this.corePromise;
+    }
+
+    async getDomain() {
+        const { buildChannelDomain } = await this.loadChannelState();
+        return buildChannelDomain(this.chainId);
+    }
+
+    /**
+     * Run the state changes of a channel one after another, in the order they arrived
+     * @param {string} channelId - Channel identifier
+     * @param {Function} change - Makes the change
+     * @returns {Promise} Result of the change
+     */
+    enqueue(channelId, change) {
+        const previous = this.channelQueues.get(channelId) || Promise.resolve();
+        const result = previous.then(change);
+        // A rejected update must not block the ones after it
+        const tail = result.catch(() => {});
+        this.channelQueues.set(channelId, tail);
+        tail.then(() => {
+            if (this.channelQueues.get(channelId) === tail) {
+                this.channelQueues.delete(channelId);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Persist a channel after a state change
+     * @param {Object} channel - Channel to store
+     */
+    async saveChannel(channel) {
+        if (this.repository) {
+            await this.repository.saveChannel(channel);
+        }
+    }
+
     /**
      * Start a new game session with state channel
      * @param {string} playerAddress - Player's wallet address
      * @param {string} gameId - Unique game identifier
+     * @param {Object} sessionKey - Wallet-signed session key: { player, sessionKey, expiresAt, chainId, signature }
      * @returns {Object} Channel information
+     * @throws {ChannelStateError} When the session key is not authorized by the player
      */
-    async startGameSession(playerAddress, gameId = 'turbowheel_v1') {
+    async startGameSession(playerAddress, gameId = 'turbowheel_v1', sessionKey) {
         if (!this.isInitialized) {
             throw new Error('Yellow SDK not initialized');
         }
+        await this.verifySessionKey(playerAddress, sessionKey);
 
+        const { INITIAL_ACTIONS_HASH } = await this.loadChannelState();
         const channelId = this.generateChannelId(playerAddress, gameId);
         const channel = {
             id: channelId,
             player: playerAddress,
             gameId: gameId,
             startTime: Date.now(),
+            sessionKey: {
+                address: sessionKey.sessionKey,
+                expiresAt: sessionKey.expiresAt,
+                signature: sessionKey.signature
+            },
             state: {
                 nonce: 0,
                 score: 0,
+                actionsHash: INITIAL_ACTIONS_HASH,
+                signedState: null, // Latest state signed by both sides
+                verifiedScore: null, // Re-simulated score a completed run closed on
                 actions: [],
-                isActive: true
+                isActive: true,
+                status: 'active'
             },
             contract: null // Will be set when deploying to testnet
         };
 
         this.channels.set(channelId, channel);
+        await this.saveChannel(channel);
         
         console.log(`Game session started for player ${playerAddress}, channel: ${channelId}`);
         
@@ -79,91 +293,233 @@ class YellowSDK {
             channelId: channelId,
             player: playerAddress,
             gameId: gameId,
-            startTime: channel.startTime
+            startTime: channel.startTime,
+            chainId: this.chainId,
+            sessionKey: channel.sessionKey.address,
+            counterparty: this.signer.address
         };
     }
 
     /**
-     * Log score update to state channel
-     * @param {string} channelId - Channel identifier
-     * @param {number} score - Current score
-     * @param {Object} gameState - Additional game state
+     * Check that the player's wallet authorized a session key
+     * @param {string} playerAddress - Player's wallet address
+     * @param {Object} sessionKey - { player, sessionKey, expiresAt, chainId, signature }
+     * @throws {ChannelStateError} When it is not authorized, expired or for another chain
+     */
+    async verifySessionKey(playerAddress, sessionKey) {
+        const { SESSION_KEY_TYPES } = await this.loadChannelState();
+        const reject = (message) => {
+            throw new ChannelStateError(CHANNEL_ERRORS.INVALID_SESSION_KEY, message);
+        };
+
+        if (!sessionKey) {
+            reject('A session key signed by the wallet is required');
+        }
+        if (Number(sessionKey.chainId) !== this.chainId) {
+            reject(`Session key must be authorized on chain ${this.chainId}`);
+        }
+        if (!sameAddress(sessionKey.player, playerAddress)) {
+            reject('Session key was authorized for another wallet');
+        }
+        const now = Math.floor(Date.now() / 1000);
+        if (sessionKey.expiresAt <= now || sessionKey.expiresAt > now + MAX_SESSION_KEY_SECONDS) {
+            reject('Session key is expired or valid for too long');
+        }
+
+        const value = {
+            player: sessionKey.player,
+            sessionKey: sessionKey.sessionKey,
+            expiresAt: sessionKey.expiresAt
+        };
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(await this.getDomain(), SESSION_KEY_TYPES, value, sessionKey.signature);
+        } catch (error) {
+            reject('Session key signature is malformed');
+        }
+        if (!sameAddress(signer, playerAddress)) {
+            reject('Session key is not signed by the player');
+        }
+    }
+
+    /**
+     * The state an action moves a channel to
+     * @param {Object} channel - Channel
+     * @param {number} nonce - Nonce of the new state
+     * @param {Object} action - { type, score }
+     * @returns {Object} { channelId, nonce, score, actionsHash }
+     */
+    async nextState(channel, nonce, action) {
+        const { ACTION_ABI_TYPES, actionValues } = await this.loadChannelState();
+        const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+            ACTION_ABI_TYPES,
+            actionValues(channel.state.actionsHash, nonce, action)
+        );
+        return {
+            channelId: channel.id,
+            nonce: nonce,
+            score: action.score,
+            actionsHash: ethers.keccak256(encoded)
+        };
+    }
+
+    /**
+     * Check a player's state update and countersign it
+     * @param {Object} channel - Active channel
+     * @param {Object} action - { type, score }
+     * @param {Object} update - { nonce, signature } from the player
+     * @param {Object} [options]
+     * @param {boolean} [options.verified] - The score was re-simulated by the server, required for game_end
+     * @returns {Object} Doubly-signed state
+     * @throws {ChannelStateError} On a stale nonce, a bad signature or a score the server does not vouch for
+     */
+    async applyUpdate(channel, action, update, { verified = false } = {}) {
+        if (!update || !update.signature) {
+            throw new ChannelStateError(CHANNEL_ERRORS.MISSING_SIGNATURE, 'State update must be signed by the session key');
+        }
+        const expectedNonce = channel.state.nonce + 1;
+        if (update.nonce !== expectedNonce) {
+            throw new ChannelStateError(CHANNEL_ERRORS.STALE_NONCE, `Expected nonce ${expectedNonce}, got ${update.nonce}`);
+        }
+        await this.checkScore(channel, action, verified);
+
+        const state = await this.nextState(channel, update.nonce, action);
+        if (!await this.verifyChannelSignature(channel.id, state, update.signature)) {
+            throw new ChannelStateError(CHANNEL_ERRORS.INVALID_SIGNATURE, 'State is not signed by the session key');
+        }
+
+        const { CHANNEL_STATE_TYPES } = await this.loadChannelState();
+        const serverSignature = await this.signer.signTypedData(await this.getDomain(), CHANNEL_STATE_TYPES, state);
+
+        channel.state.nonce = state.nonce;
+        channel.state.score = state.score;
+        channel.state.actionsHash = state.actionsHash;
+        channel.state.signedState = {
+            ...state,
+            playerSignature: update.signature,
+            serverSignature: serverSignature
+        };
+        return channel.state.signedState;
+    }
+
+    /**
+     * Make sure the server can vouch for the score of an update
+     * A score never goes down. Live updates are bounded by what the time since
+     * the session started allows; a final state must carry the re-simulated score.
+     * @param {Object} channel - Active channel
+     * @param {Object} action - { type, score }
+     * @param {boolean} verified - The score was re-simulated by the server
+     * @throws {ChannelStateError} When it cannot
      */
-    async logScoreUpdate(channelId, score, gameState = {}) {
+    async checkScore(channel, action, verified) {
+        if (action.type === 'game_end' && !verified) {
+            throw new ChannelStateError(CHANNEL_ERRORS.UNVERIFIED_FINAL_STATE, 'A final state is only countersigned with the verified score of the run');
+        }
+        if (action.score < channel.state.score) {
+            throw new ChannelStateError(CHANNEL_ERRORS.SCORE_DECREASED, `Score cannot go down from ${channel.state.score} to ${action.score}`);
+        }
+        if (!verified) {
+            const { TICK_RATE, maxPlausibleScore } = await this.loadCore();
+            const ticks = Math.floor((Date.now() - channel.startTime) * TICK_RATE / 1000);
+            if (action.score > maxPlausibleScore(ticks)) {
+                throw new ChannelStateError(CHANNEL_ERRORS.IMPLAUSIBLE_SCORE, `Score ${action.score} is not reachable in ${ticks} ticks`);
+            }
+        }
+    }
+
+    getActiveChannel(channelId) {
         const channel = this.channels.get(channelId);
         if (!channel) {
-            throw new Error('Channel not found');
+            throw new ChannelStateError(CHANNEL_ERRORS.CHANNEL_NOT_FOUND, 'Channel not found');
         }
 
         if (!channel.state.isActive) {
-            throw new Error('Channel is not active');
+            throw new ChannelStateError(CHANNEL_ERRORS.CHANNEL_CLOSED, `Channel is already ${channel.state.status || 'closed'}`);
         }
+        return channel;
+    }
 
-        // Update channel state
-        channel.state.nonce++;
-        channel.state.score = score;
-        channel.state.actions.push({
-            type: 'score_update',
-            score: score,
-            timestamp: Date.now(),
-            gameState: gameState
-        });
+    /**
+     * Log score update to state channel
+     * @param {string} channelId - Channel identifier
+     * @param {number} score - Current score
+     * @param {Object} gameState - Additional game state
+     * @param {Object} update - { nonce, signature } signed by the session key
+     * @returns {Object} Doubly-signed state
+     * @throws {ChannelStateError} When the update is rejected
+     */
+    logScoreUpdate(channelId, score, gameState = {}, update = null) {
+        return this.enqueue(channelId, async () => {
+            const channel = this.getActiveChannel(channelId);
+            const signedState = await this.applyUpdate(channel, { type: 'score_update', score }, update);
 
-        console.log(`Score updated in channel ${channelId}: ${score} points`);
-        
-        // In a real implementation, this would update the ERC-7824 state channel
-        // For now, we'll simulate the state channel update
-        return {
-            channelId: channelId,
-            nonce: channel.state.nonce,
-            score: score,
-            timestamp: Date.now()
-        };
+            channel.state.actions.push({
+                type: 'score_update',
+                score: score,
+                nonce: signedState.nonce,
+                timestamp: Date.now(),
+                gameState: gameState
+            });
+            await this.saveChannel(channel);
+
+            console.log(`Score updated in channel ${channelId}: ${score} points (nonce ${signedState.nonce})`);
+            return signedState;
+        });
     }
 
     /**
      * End game session and close state channel
+     * A completed run ends with a final `game_end` state signed by both sides.
+     * An abandoned one never gets the player's signature, so it closes on
+     * the last state both sides signed.
      * @param {string} channelId - Channel identifier
      * @param {number} finalScore - Final game score
-     * @returns {Object} Final channel state
+     * @param {Object} [options]
+     * @param {string} [options.status] - completed, or abandoned when the run never finished
+     * @param {string} [options.reason] - Why an abandoned session was closed
+     * @param {Object} [options.update] - { nonce, signature } of the final state, required for completed runs
+     * @param {boolean} [options.verified] - finalScore is the score the server re-simulated, required for completed runs
+     * @returns {Object} Final channel state, with the doubly-signed state in signedState
+     * @throws {ChannelStateError} When the channel is already closed (CHANNEL_CLOSED), or the final
+     *   state of a completed run is rejected; the channel then stays open
      */
-    async endGameSession(channelId, finalScore) {
-        const channel = this.channels.get(channelId);
-        if (!channel) {
-            throw new Error('Channel not found');
-        }
-
-        // Final state update
-        channel.state.nonce++;
-        channel.state.score = finalScore;
-        channel.state.isActive = false;
-        channel.state.actions.push({
-            type: 'game_end',
-            score: finalScore,
-            timestamp: Date.now(),
-            duration: Date.now() - channel.startTime
-        });
+    endGameSession(channelId, finalScore, { status = 'completed', reason = null, update = null, verified = false } = {}) {
+        return this.enqueue(channelId, async () => {
+            const channel = this.getActiveChannel(channelId);
+            if (status === 'completed') {
+                await this.applyUpdate(channel, { type: 'game_end', score: finalScore }, update, { verified });
+                channel.state.verifiedScore = finalScore;
+            }
 
-        console.log(`Game session ended for channel ${channelId}, final score: ${finalScore}`);
+            channel.state.isActive = false;
+            channel.state.status = status;
+            channel.state.actions.push({
+                type: 'game_end',
+                status: status,
+                reason: reason,
+                score: finalScore,
+                nonce: channel.state.nonce,
+                timestamp: Date.now(),
+                duration: Date.now() - channel.startTime
+            });
+            await this.saveChannel(channel);
 
-        // In a real implementation, this would:
-        // 1. Submit the final state to the ERC-7824 contract
-        // 2. Trigger settlement if needed
-        // 3. Distribute any prizes
+            console.log(`Game session ${status} for channel ${channelId}, final score: ${finalScore}${reason ? ` (${reason})` : ''}`);
 
-        const finalState = {
-            channelId: channelId,
-            player: channel.player,
-            gameId: channel.gameId,
-            finalScore: finalScore,
-            duration: Date.now() - channel.startTime,
-            totalActions: channel.state.actions.length,
-            nonce: channel.state.nonce
-        };
-
-        // Keep channel data for prize distribution
-        // In production, this would be stored in a database
-        return finalState;
+            // Channel data stays in the repository for prize distribution
+            return {
+                channelId: channelId,
+                player: channel.player,
+                gameId: channel.gameId,
+                finalScore: finalScore,
+                status: status,
+                duration: Date.now() - channel.startTime,
+                totalActions: channel.state.actions.length,
+                nonce: channel.state.nonce,
+                signedState: channel.state.signedState,
+                sessionKey: channel.sessionKey
+            };
+        });
     }
 
     /**
@@ -182,8 +538,10 @@ class YellowSDK {
             player: channel.player,
             gameId: channel.gameId,
             isActive: channel.state.isActive,
+            status: channel.state.status,
             score: channel.state.score,
             nonce: channel.state.nonce,
+            actionsHash: channel.state.actionsHash,
             startTime: channel.startTime,
             actionCount: channel.state.actions.length
         };
@@ -204,50 +562,178 @@ class YellowSDK {
     }
 
     /**
-     * Simulate prize distribution using top scores
-     * @param {Array} topScores - Array of top scores
-     * @returns {Object} Prize distribution
+     * Pay out a contract channel's prize pool with TurboWheelChannel.distributePrizes()
+     * The contract picks the top 3 of its own channel and splits the pool by
+     * its own percentages; the amounts returned are the ones it paid.
+     * A dry run simulates the call with staticCall and sends nothing; a real
+     * one goes through the transaction manager, which speeds it up if it gets stuck.
+     * @param {Object} [options]
+     * @param {string} [options.channelId] - Contract channel, defaults to YELLOW_PRIZE_CHANNEL_ID
+     * @param {boolean} [options.dryRun] - Only simulate
+     * @returns {Object} { dryRun, channelId, txHash, transactionId, blockNumber, distributionId, totalPrize, prizes: [{ position, player, amount, percentage }] }
+     * @throws {PayoutError} When payouts are not configured, the call reverts or is not confirmed in time
      */
-    async simulatePrizeDistribution(topScores) {
-        if (topScores.length < 3) {
-            throw new Error('Need at least 3 players for prize distribution');
-        }
-
-        const totalPrize = ethers.parseEther('0.1'); // 0.1 ETH total prize pool
-        const firstPrize = totalPrize * 50n / 100n; // 50%
-        const secondPrize = totalPrize * 30n / 100n; // 30%
-        const thirdPrize = totalPrize * 20n / 100n; // 20%
-
-        const distribution = {
-            totalPrize: ethers.formatEther(totalPrize),
-            prizes: [
-                {
-                    position: 1,
-                    player: topScores[0].player,
-                    score: topScores[0].score,
-                    amount: ethers.formatEther(firstPrize),
-                    percentage: '50%'
-                },
-                {
-                    position: 2,
-                    player: topScores[1].player,
-                    score: topScores[1].score,
-                    amount: ethers.formatEther(secondPrize),
-                    percentage: '30%'
-                },
-                {
-                    position: 3,
-                    player: topScores[2].player,
-                    score: topScores[2].score,
-                    amount: ethers.formatEther(thirdPrize),
-                    percentage: '20%'
+    async distributePrizes({ channelId = this.prizeChannelId, dryRun = false } = {}) {
+        const contract = this.channelContract;
+        if (!contract) {
+            throw new PayoutError(PAYOUT_ERRORS.NOT_CONFIGURED, 'On-chain payouts need YELLOW_CHANNEL_CONTRACT and an RPC');
+        }
+        if (!channelId) {
+            throw new PayoutError(PAYOUT_ERRORS.NOT_CONFIGURED, 'No channel given and YELLOW_PRIZE_CHANNEL_ID is not set');
+        }
+        if (!dryRun && !this.wallet) {
+            throw new PayoutError(PAYOUT_ERRORS.NO_WALLET, 'On-chain payouts are sent by the server wallet, set PRIVATE_KEY');
+        }
+
+        try {
+            const shares = await this.getPrizeShares();
+
+            if (dryRun) {
+                // Reverts exactly like the real call would
+                await contract.distributePrizes.staticCall(channelId);
+                const [channel, topScores] = await Promise.all([
+                    contract.channels(channelId),
+                    contract.getTopScores(channelId, shares.length)
+                ]);
+                return {
+                    dryRun: true,
+                    channelId: channelId,
+                    totalPrize: ethers.formatEther(channel.prizePool),
+                    prizes: describePayouts(topScores.map(score => score.player), channel.prizePool, shares)
+                };
+            }
+
+            const tx = await this.transactions.send(this.wallet, await contract.distributePrizes.populateTransaction(channelId), {
+                kind: 'distributePrizes',
+                details: { channelId }
+            });
+            console.log(`💸 Prize distribution sent for channel ${channelId}: ${tx.hash}`);
+            const receipt = await this.transactions.wait(tx.id, {
+                confirmations: this.confirmations,
+                timeoutMs: PAYOUT_TIMEOUT_MS
+            });
+
+            const event = receipt.logs
+                .filter(log => sameAddress(log.address, this.contractAddress))
+                .map(log => contract.interface.parseLog(log))
+                .find(parsed => parsed && parsed.name === 'PrizeDistributed');
+            if (!event) {
+                throw new PayoutError(PAYOUT_ERRORS.MISSING_EVENT, `Transaction ${receipt.hash} did not emit PrizeDistributed`);
+            }
+
+            const { distributionId, first, second, third, totalAmount } = event.args;
+            const payout = {
+                dryRun: false,
+                channelId: channelId,
+                txHash: receipt.hash,
+                transactionId: tx.id,
+                blockNumber: receipt.blockNumber,
+                confirmations: this.confirmations,
+                distributionId: distributionId.toString(),
+                totalPrize: ethers.formatEther(totalAmount),
+                prizes: describePayouts([first, second, third], totalAmount, shares)
+            };
+            console.log(`✅ Prize distribution #${payout.distributionId} confirmed: ${payout.totalPrize} ETH in ${receipt.hash}`);
+            return payout;
+        } catch (error) {
+            if (error instanceof PayoutError) {
+                throw error;
+            }
+            if (error.code === 'CALL_EXCEPTION') {
+                throw new PayoutError(PAYOUT_ERRORS.REVERTED, `distributePrizes reverted: ${error.reason || error.shortMessage}`);
+            }
+            if (error instanceof TransactionError) {
+                const code = error.code === TX_ERRORS.TIMEOUT ? PAYOUT_ERRORS.TIMEOUT : PAYOUT_ERRORS.REVERTED;
+                throw new PayoutError(code, error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Pay a season's computed distribution with TurboWheelChannel.payoutSeason()
+     * The contract pays exactly the payees and amounts given, so every prize
+     * rule (places, ties, house fee) holds on-chain too. A season the contract
+     * already paid, e.g. before a restart, is not sent again: the earlier
+     * payout is read back from its SeasonPaidOut event.
+     * @param {Object} distribution - { seasonId, prizes: [{ player, amount }] } from shared/prize-rules.js
+     * @returns {Object} { seasonId, txHash, transactionId, blockNumber, distributionId, totalPrize, prizes: [{ player, amount }] }
+     * @throws {PayoutError} When payouts are not configured, the call reverts or is not confirmed in time
+     */
+    async paySeason({ seasonId, prizes }) {
+        const contract = this.channelContract;
+        if (!contract) {
+            throw new PayoutError(PAYOUT_ERRORS.NOT_CONFIGURED, 'On-chain payouts need YELLOW_CHANNEL_CONTRACT and an RPC');
+        }
+        if (!this.wallet) {
+            throw new PayoutError(PAYOUT_ERRORS.NO_WALLET, 'On-chain payouts are sent by the server wallet, set PRIVATE_KEY');
+        }
+
+        try {
+            if (await contract.seasonPayouts(seasonId) > 0n) {
+                const [event] = await contract.queryFilter(contract.filters.SeasonPaidOut(null, seasonId));
+                if (!event) {
+                    throw new PayoutError(PAYOUT_ERRORS.MISSING_EVENT, `Season ${seasonId} is paid out but its SeasonPaidOut event was not found`);
                 }
-            ],
-            distributedAt: Date.now()
-        };
+                console.log(`✅ Season ${seasonId} was already paid out in ${event.transactionHash}`);
+                return describeSeasonPayout(seasonId, event, { transactionId: null });
+            }
 
-        console.log('Prize distribution simulated:', distribution);
-        return distribution;
+            const payees = prizes.map(prize => prize.player);
+            const amounts = prizes.map(prize => ethers.parseEther(prize.amount));
+            const tx = await this.transactions.send(this.wallet, await contract.payoutSeason.populateTransaction(seasonId, payees, amounts), {
+                kind: 'payoutSeason',
+                details: { seasonId }
+            });
+            console.log(`💸 Season ${seasonId} payout sent: ${tx.hash}`);
+            const receipt = await this.transactions.wait(tx.id, {
+                confirmations: this.confirmations,
+                timeoutMs: PAYOUT_TIMEOUT_MS
+            });
+
+            const event = receipt.logs
+                .filter(log => sameAddress(log.address, this.contractAddress))
+                .map(log => contract.interface.parseLog(log))
+                .find(parsed => parsed && parsed.name === 'SeasonPaidOut');
+            if (!event) {
+                throw new PayoutError(PAYOUT_ERRORS.MISSING_EVENT, `Transaction ${receipt.hash} did not emit SeasonPaidOut`);
+            }
+
+            const payout = describeSeasonPayout(seasonId, { args: event.args, transactionHash: receipt.hash, blockNumber: receipt.blockNumber }, { transactionId: tx.id });
+            console.log(`✅ Season ${seasonId} paid out as distribution #${payout.distributionId}: ${payout.totalPrize} ETH in ${receipt.hash}`);
+            return payout;
+        } catch (error) {
+            if (error instanceof PayoutError) {
+                throw error;
+            }
+            if (error.code === 'CALL_EXCEPTION') {
+                throw new PayoutError(PAYOUT_ERRORS.REVERTED, `payoutSeason reverted: ${error.reason || error.shortMessage}`);
+            }
+            if (error instanceof TransactionError) {
+                const code = error.code === TX_ERRORS.TIMEOUT ? PAYOUT_ERRORS.TIMEOUT : PAYOUT_ERRORS.REVERTED;
+                throw new PayoutError(code, error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The contract's prize percentages, read once
+     * @returns {Promise<Array>} [first, second, third] as bigint percents
+     */
+    getPrizeShares() {
+        if (!this.prizeSharesPromise) {
+            const contract = this.channelContract;
+            this.prizeSharesPromise = Promise.all([
+                contract.FIRST_PRIZE_PERCENT(),
+                contract.SECOND_PRIZE_PERCENT(),
+                contract.THIRD_PRIZE_PERCENT()
+            ]).catch((error) => {
+                this.prizeSharesPromise = null;
+                throw error;
+            });
+        }
+        return this.prizeSharesPromise;
     }
 
     /**
@@ -265,17 +751,25 @@ class YellowSDK {
     }
 
     /**
-     * Verify channel signature (placeholder for ERC-7824 verification)
+     * Verify that a channel state is signed by the channel's session key
      * @param {string} channelId - Channel ID
-     * @param {Object} state - Channel state
-     * @param {string} signature - Player signature
+     * @param {Object} state - { channelId, nonce, score, actionsHash }
+     * @param {string} signature - Session key signature
      * @returns {boolean} Verification result
      */
     async verifyChannelSignature(channelId, state, signature) {
-        // In a real implementation, this would verify the ERC-7824 signature
-        // For now, we'll return true as a placeholder
-        console.log(`Verifying signature for channel ${channelId}`);
-        return true;
+        const channel = this.channels.get(channelId);
+        if (!channel || !channel.sessionKey || state.channelId !== channelId) {
+            return false;
+        }
+
+        const { CHANNEL_STATE_TYPES } = await this.loadChannelState();
+        try {
+            const signer = ethers.verifyTypedData(await this.getDomain(), CHANNEL_STATE_TYPES, state, signature);
+            return sameAddress(signer, channel.sessionKey.address);
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -287,17 +781,67 @@ class YellowSDK {
             throw new Error('Provider not initialized');
         }
 
-        const network = await this.provider.getNetwork();
         const blockNumber = await this.provider.getBlockNumber();
         const gasPrice = await this.provider.getFeeData();
 
         return {
-            name: network.name,
-            chainId: network.chainId.toString(),
+            name: this.network.name,
+            chainId: this.chainId.toString(),
             blockNumber: blockNumber,
             gasPrice: ethers.formatUnits(gasPrice.gasPrice, 'gwei') + ' gwei'
         };
     }
 }
 
+// The contract's own arithmetic: each place gets pool * percent / 100
+function describePayouts(players, totalPrize, shares) {
+    return players.slice(0, shares.length).map((player, i) => ({
+        position: i + 1,
+        player: player,
+        amount: ethers.formatEther(totalPrize * shares[i] / 100n),
+        percentage: `${shares[i]}%`
+    }));
+}
+
+// A SeasonPaidOut event as returned by paySeason()
+function describeSeasonPayout(seasonId, { args, transactionHash, blockNumber }, { transactionId }) {
+    const { distributionId, payees, amounts, totalAmount } = args;
+    return {
+        seasonId: seasonId,
+        txHash: transactionHash,
+        transactionId: transactionId,
+        blockNumber: blockNumber,
+        distributionId: distributionId.toString(),
+        totalPrize: ethers.formatEther(totalAmount),
+        prizes: payees.map((player, i) => ({ player, amount: ethers.formatEther(amounts[i]) }))
+    };
+}
+
+/**
+ * A state update or session key the channel does not accept
+ */
+class ChannelStateError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ChannelStateError';
+        this.code = code;
+    }
+}
+
+/**
+ * An on-chain payout that could not be made
+ */
+class PayoutError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PayoutError';
+        this.code = code;
+    }
+}
+
+YellowSDK.ChannelStateError = ChannelStateError;
+YellowSDK.CHANNEL_ERRORS = CHANNEL_ERRORS;
+YellowSDK.PayoutError = PayoutError;
+YellowSDK.PAYOUT_ERRORS = PAYOUT_ERRORS;
+
 module.exports = YellowSDK;
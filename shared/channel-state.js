@@ -0,0 +1,57 @@
+/**
+ * EIP-712 definitions of a game session's state channel
+ * Every state update is signed by both sides: by the player through a
+ * session key and countersigned by the server wallet. The player's wallet
+ * signs the session key once, so a run needs no wallet prompt per update.
+ *
+ * actionsHash chains every action of the channel:
+ *   actionsHash = keccak256(abi.encode(previousActionsHash, nonce, type, score))
+ * starting from INITIAL_ACTIONS_HASH, so a state commits to its whole history.
+ */
+
+export const CHANNEL_DOMAIN_NAME = 'TurboWheelChannel';
+export const CHANNEL_DOMAIN_VERSION = '1';
+
+export const INITIAL_ACTIONS_HASH = '0x' + '0'.repeat(64);
+export const ACTION_ABI_TYPES = ['bytes32', 'uint256', 'string', 'uint256'];
+
+export const CHANNEL_STATE_TYPES = {
+    ChannelState: [
+        { name: 'channelId', type: 'bytes32' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'score', type: 'uint256' },
+        { name: 'actionsHash', type: 'bytes32' }
+    ]
+};
+
+export const SESSION_KEY_TYPES = {
+    SessionKey: [
+        { name: 'player', type: 'address' },
+        { name: 'sessionKey', type: 'address' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+/**
+ * EIP-712 domain for a chain
+ * @param {number|string} chainId - Chain the states are signed for
+ * @returns {Object} Typed-data domain
+ */
+export function buildChannelDomain(chainId) {
+    return {
+        name: CHANNEL_DOMAIN_NAME,
+        version: CHANNEL_DOMAIN_VERSION,
+        chainId: Number(chainId)
+    };
+}
+
+/**
+ * Values abi-encoded (with ACTION_ABI_TYPES) and hashed into the next actionsHash
+ * @param {string} previousHash - actionsHash of the previous state
+ * @param {number} nonce - Nonce of the new state
+ * @param {Object} action - { type: score_update | game_end, score }
+ * @returns {Array} Values to encode
+ */
+export function actionValues(previousHash, nonce, action) {
+    return [previousHash, nonce, action.type, action.score];
+}
@@ -0,0 +1,321 @@
+import { SeededRandom } from './random.js';
+import { InputRecorder, InputCursor } from './recording.js';
+
+// Fixed simulation rate, independent of the display refresh rate
+export const TICK_RATE = 60;
+// Fraction of the distance to the target the car covers each tick
+export const CAR_STEERING = 0.1;
+export const DEFAULT_WIDTH = 800;
+export const DEFAULT_HEIGHT = 400;
+export const CAR_WIDTH = 50;
+export const COIN_SIZE = 30;
+export const OBSTACLE_SIZE = 40;
+
+const COIN_POINTS = 10;
+const COIN_SPAWN_CHANCE = 0.02;
+const OBSTACLE_SPAWN_CHANCE = 0.01;
+
+// A run collecting coins this many times faster than they spawn on average is not believed
+const PLAUSIBLE_COIN_RATE_FACTOR = 4;
+const PLAUSIBLE_COIN_MARGIN = 5;
+
+/**
+ * Headless TurboWheel simulation: state, fixed-tick update, collisions,
+ * scoring and the anti-cheat session log. No DOM, canvas or storage access,
+ * so it runs the same in the browser, on the server and in Node scripts.
+ */
+export class GameCore {
+    constructor({ width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Car properties
+        this.car = {
+            x: this.width / 2 - CAR_WIDTH / 2,
+            y: this.height - 80,
+            width: CAR_WIDTH,
+            height: 80,
+            speed: 5
+        };
+        
+        // Callbacks
+        this.onScoreUpdate = null;
+        this.onGameOver = null;
+        
+        this.reset(SeededRandom.generateSeed(), { record: false });
+    }
+
+    /**
+     * Put the world back to its initial state for a seed
+     * @param {number} seed - RNG seed
+     * @param {Object} [options]
+     * @param {boolean} [options.record=true] - Record the input stream of this run
+     * @param {string} [options.player='anonymous'] - Player identity for the session hash
+     */
+    reset(seed, { record = true, player = 'anonymous' } = {}) {
+        this.rng = new SeededRandom(seed);
+        this.isOver = false;
+        this.tick = 0;
+        this.score = 0;
+        this.speedLevel = 1;
+        this.gameSpeed = 2;
+        this.coins = [];
+        this.obstacles = [];
+        this.particles = [];
+        this.car.x = this.width / 2 - CAR_WIDTH / 2;
+        this.car.prevX = this.car.x;
+        
+        // Initialize anti-cheat session
+        this.gameSession = {
+            startTime: Date.now(),
+            seed: this.rng.seed,
+            actions: [],
+            coinsCollected: 0,
+            obstaclesAvoided: 0,
+            sessionId: this.generateSessionId(),
+            playerHash: this.simpleHash(player + Date.now())
+        };
+        
+        this.recorder = record
+            ? new InputRecorder(this.rng.seed, { tickRate: TICK_RATE, width: this.width, height: this.height })
+            : null;
+    }
+
+    /**
+     * Advance the world by one fixed tick
+     * @param {Object} input - Input for this tick ({ targetX })
+     */
+    update(input) {
+        if (this.isOver) return;
+        
+        this.tick++;
+        this.recorder?.recordInput(this.tick, input);
+        
+        // Remember last positions for interpolated rendering
+        this.car.prevX = this.car.x;
+        [...this.coins, ...this.obstacles, ...this.particles].forEach(object => {
+            object.prevX = object.x;
+            object.prevY = object.y;
+        });
+        
+        // Update car position (smooth following the target)
+        this.car.x += (input.targetX - this.car.x) * CAR_STEERING;
+        
+        // Spawn coins and obstacles
+        if (this.rng.next() < COIN_SPAWN_CHANCE) {
+            this.spawnCoin();
+        }
+        if (this.rng.next() < OBSTACLE_SPAWN_CHANCE) {
+            this.spawnObstacle();
+        }
+        
+        // Update coins
+        for (let i = this.coins.length - 1; i >= 0; i--) {
+            const coin = this.coins[i];
+            coin.y += this.gameSpeed;
+            
+            // Check collision with car
+            if (this.checkCollision(this.car, coin)) {
+                this.coins.splice(i, 1);
+                this.score += COIN_POINTS;
+                this.recorder?.recordScore(this.tick, this.score);
+                this.gameSession.coinsCollected++;
+                this.logAction('coin_collected', { coinX: coin.x, coinY: coin.y });
+                this.createParticles(coin.x + coin.width/2, coin.y + coin.height/2, '#FFD700');
+                if (this.onScoreUpdate) this.onScoreUpdate(this.score);
+                
+                // Increase speed every 50 points (every 5 coins)
+                if (this.score > 0 && this.score % 50 === 0) {
+                    this.speedLevel++;
+                    this.gameSpeed += 0.3;
+                }
+            }
+            
+            // Remove coins that are off screen
+            if (coin.y > this.height) {
+                this.coins.splice(i, 1);
+            }
+        }
+        
+        // Update obstacles
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            obstacle.y += this.gameSpeed;
+            
+            // Check collision with car
+            if (this.checkCollision(this.car, obstacle)) {
+                this.gameOver();
+                return;
+            }
+            
+            // Remove obstacles that are off screen
+            if (obstacle.y > this.height) {
+                this.obstacles.splice(i, 1);
+            }
+        }
+        
+        // Update particles
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+            particle.x += particle.vx;
+            particle.y += particle.vy;
+            particle.life--;
+            particle.alpha = particle.life / particle.maxLife;
+            
+            if (particle.life <= 0) {
+                this.particles.splice(i, 1);
+            }
+        }
+    }
+
+    spawnCoin() {
+        const coin = {
+            x: this.rng.next() * (this.width - COIN_SIZE),
+            y: -COIN_SIZE,
+            width: COIN_SIZE,
+            height: COIN_SIZE
+        };
+        this.coins.push(coin);
+    }
+
+    spawnObstacle() {
+        const obstacle = {
+            x: this.rng.next() * (this.width - OBSTACLE_SIZE),
+            y: -OBSTACLE_SIZE,
+            width: OBSTACLE_SIZE,
+            height: OBSTACLE_SIZE
+        };
+        this.obstacles.push(obstacle);
+    }
+
+    checkCollision(rect1, rect2) {
+        return rect1.x < rect2.x + rect2.width &&
+               rect1.x + rect1.width > rect2.x &&
+               rect1.y < rect2.y + rect2.height &&
+               rect1.y + rect1.height > rect2.y;
+    }
+
+    createParticles(x, y, color) {
+        for (let i = 0; i < 10; i++) {
+            this.particles.push({
+                x: x,
+                y: y,
+                vx: (this.rng.next() - 0.5) * 4,
+                vy: (this.rng.next() - 0.5) * 4,
+                size: this.rng.next() * 3 + 1,
+                color: color,
+                life: 30,
+                maxLife: 30,
+                alpha: 1
+            });
+        }
+    }
+
+    gameOver() {
+        this.isOver = true;
+        this.recorder?.finish(this.score);
+        
+        if (this.onGameOver) this.onGameOver(this.score);
+    }
+
+    /**
+     * Input recording of the current run
+     * @returns {Object|null} Recording
+     */
+    getRecording() {
+        return this.recorder ? this.recorder.recording : null;
+    }
+
+    // Anti-cheat functions
+    generateSessionId() {
+        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    simpleHash(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32bit integer
+        }
+        return hash.toString(16);
+    }
+
+    logAction(action, data = {}) {
+        if (!this.gameSession) return;
+        
+        this.gameSession.actions.push({
+            tick: this.tick,
+            action: action,
+            data: data,
+            gameState: {
+                score: this.score,
+                speedLevel: this.speedLevel,
+                carX: this.car.x
+            }
+        });
+    }
+
+    validateScore() {
+        // Only reject extremely suspicious scores
+        return this.score <= 10000;
+    }
+
+    generateScoreProof() {
+        if (!this.gameSession) return null;
+        
+        const proof = {
+            sessionId: this.gameSession.sessionId,
+            playerHash: this.gameSession.playerHash,
+            seed: this.gameSession.seed,
+            startTime: this.gameSession.startTime,
+            endTime: Date.now(),
+            ticks: this.tick,
+            score: this.score,
+            actions: this.gameSession.actions,
+            coinsCollected: this.gameSession.coinsCollected,
+            obstaclesAvoided: this.gameSession.obstaclesAvoided,
+            recording: this.getRecording(),
+            proofHash: this.simpleHash(JSON.stringify({
+                sessionId: this.gameSession.sessionId,
+                seed: this.gameSession.seed,
+                score: this.score,
+                actions: this.gameSession.actions.length,
+                coinsCollected: this.gameSession.coinsCollected
+            }))
+        };
+        
+        return proof;
+    }
+}
+
+/**
+ * Re-run a recorded run from its seed and inputs
+ * @param {Object} recording - Recording from InputRecorder
+ * @param {Object} [options]
+ * @param {number} [options.maxTicks] - Stop after this many ticks even if the run has not crashed
+ * @returns {GameCore} Core at the end of the run
+ */
+export function simulateRecording(recording, { maxTicks = recording.ticks } = {}) {
+    const core = new GameCore({ width: recording.width, height: recording.height });
+    core.reset(recording.seed, { record: false });
+    
+    const cursor = new InputCursor(recording, { targetX: core.car.x });
+    while (core.tick < maxTicks && !core.isOver) {
+        core.update(cursor.inputAt(core.tick + 1));
+    }
+    
+    return core;
+}
+
+/**
+ * Highest score a run can plausibly have reached after a number of ticks
+ * At most one coin spawns per tick, on average one every 1 / COIN_SPAWN_CHANCE
+ * ticks; the bound allows several times that rate, so no honest run gets near it.
+ * @param {number} ticks - Ticks played
+ * @returns {number} Score bound
+ */
+export function maxPlausibleScore(ticks) {
+    const coins = Math.ceil(ticks * COIN_SPAWN_CHANCE * PLAUSIBLE_COIN_RATE_FACTOR) + PLAUSIBLE_COIN_MARGIN;
+    return Math.min(coins, ticks) * COIN_POINTS;
+}
@@ -0,0 +1,199 @@
+/**
+ * Prize distribution rules, shared by the server (payouts) and the client (pool display)
+ *
+ * Rules:
+ *   places          - percent of the prize per paid place, best first; must add up to 100
+ *   minPlayers      - fewer players than this and nothing is paid out (the pool rolls over)
+ *   houseFeePercent - taken from the pool before the places are paid
+ *   ties            - equal scores: 'earliest' (the earlier run ranks higher)
+ *                     or 'split' (tied players share their places' prizes evenly)
+ *
+ * Amounts are worked out in wei from the real pool. Whatever integer
+ * division leaves over goes to the best-ranked winner, so the prizes and
+ * the house fee always add up to the whole pool.
+ */
+
+export const TIE_RULES = ['earliest', 'split'];
+
+export const DEFAULT_PRIZE_RULES = {
+    places: [50, 30, 20],
+    minPlayers: 3,
+    houseFeePercent: 0,
+    ties: 'earliest'
+};
+
+const ETH_DECIMALS = 18;
+const BASIS_POINTS = 10000n;
+
+/**
+ * Fill in defaults and check a rule set
+ * @param {Object} rules - Partial rules
+ * @returns {Object} Complete rules
+ * @throws {Error} When a rule is invalid
+ */
+export function normalizePrizeRules(rules = {}) {
+    const normalized = { ...DEFAULT_PRIZE_RULES, ...rules };
+    const { places, minPlayers, houseFeePercent, ties } = normalized;
+
+    if (!Array.isArray(places) || places.length === 0 || !places.every(p => toBasisPoints(p) !== null && p > 0)) {
+        throw new Error('Prize places must be a list of positive percentages with at most 2 decimals');
+    }
+    if (places.reduce((sum, p) => sum + toBasisPoints(p), 0) !== 10000) {
+        throw new Error(`Prize places must add up to 100%, got ${places.join(' + ')}`);
+    }
+    if (!Number.isInteger(minPlayers) || minPlayers < 1) {
+        throw new Error('Minimum players must be a positive integer');
+    }
+    const feeBasisPoints = toBasisPoints(houseFeePercent);
+    if (feeBasisPoints === null || feeBasisPoints >= 10000) {
+        throw new Error('House fee must be a percentage from 0 up to (not including) 100, with at most 2 decimals');
+    }
+    if (!TIE_RULES.includes(ties)) {
+        throw new Error(`Unknown tie rule "${ties}", use one of: ${TIE_RULES.join(', ')}`);
+    }
+
+    return { places: [...places], minPlayers, houseFeePercent, ties };
+}
+
+/**
+ * Who gets what when a pool is paid out
+ * @param {Array} standings - Best run per player: { player, score, timestamp }
+ * @param {string} prizePool - Pool in ETH
+ * @param {Object} rules - Prize rules
+ * @returns {Object|null} { totalPrize, houseFee, tieRule, prizes: [{ position, player, score, timestamp, amount, percentage }] },
+ *                        null when too few players took part or the pool is empty
+ */
+export function computePrizeDistribution(standings, prizePool, rules) {
+    const { places, minPlayers, houseFeePercent, ties } = normalizePrizeRules(rules);
+    const pool = parseEth(prizePool);
+    if (standings.length < minPlayers || pool <= 0n) {
+        return null;
+    }
+
+    const ranked = [...standings].sort(compareStandings);
+    const houseFee = pool * BigInt(toBasisPoints(houseFeePercent)) / BASIS_POINTS;
+
+    // With fewer players than places, the filled places share the whole prize
+    const paid = places.slice(0, ranked.length).map(toBasisPoints);
+    const shares = splitAmount(pool - houseFee, paid);
+    const paidTotal = paid.reduce((sum, bps) => sum + bps, 0);
+
+    const prizes = [];
+    const groups = ties === 'split' ? groupTies(ranked) : ranked.map(entry => [entry]);
+    let place = 0;
+
+    for (const group of groups) {
+        if (place >= paid.length) {
+            break;
+        }
+        // A group takes the places it covers; a tie on the last paid place shares that place
+        const covered = Array.from({ length: group.length }, (_, i) => place + i).filter(i => i < paid.length);
+        const groupAmount = covered.reduce((sum, i) => sum + shares[i], 0n);
+        const groupBasisPoints = covered.reduce((sum, i) => sum + paid[i], 0);
+        const amounts = splitAmount(groupAmount, group.map(() => 1));
+
+        group.forEach((entry, i) => {
+            prizes.push({
+                position: place + 1,
+                player: entry.player,
+                score: entry.score,
+                timestamp: entry.timestamp,
+                amount: formatEth(amounts[i]),
+                percentage: formatPercent(groupBasisPoints * 100 / paidTotal / group.length)
+            });
+        });
+        place += group.length;
+    }
+
+    return {
+        totalPrize: formatEth(pool),
+        houseFee: formatEth(houseFee),
+        tieRule: ties,
+        prizes
+    };
+}
+
+/**
+ * What each place would win from a pool, for display before the standings are known
+ * @param {string} prizePool - Pool in ETH
+ * @param {Object} rules - Prize rules
+ * @returns {Object} { houseFee, places: [{ position, percentage, amount }] }
+ */
+export function describePrizePlaces(prizePool, rules) {
+    const { places, houseFeePercent } = normalizePrizeRules(rules);
+    const pool = parseEth(prizePool);
+    const houseFee = pool * BigInt(toBasisPoints(houseFeePercent)) / BASIS_POINTS;
+    const shares = splitAmount(pool - houseFee, places.map(toBasisPoints));
+
+    return {
+        houseFee: formatEth(houseFee),
+        places: places.map((percent, i) => ({
+            position: i + 1,
+            percentage: formatPercent(percent),
+            amount: formatEth(shares[i])
+        }))
+    };
+}
+
+// Higher score first, then the earlier run, then the address so the order never depends on input order
+function compareStandings(a, b) {
+    return (b.score - a.score) ||
+        ((a.timestamp || 0) - (b.timestamp || 0)) ||
+        String(a.player).toLowerCase().localeCompare(String(b.player).toLowerCase());
+}
+
+function groupTies(ranked) {
+    const groups = [];
+    for (const entry of ranked) {
+        const last = groups[groups.length - 1];
+        if (last && last[0].score === entry.score) {
+            last.push(entry);
+        } else {
+            groups.push([entry]);
+        }
+    }
+    return groups;
+}
+
+// Split wei by integer weights; the remainder goes to the first share
+function splitAmount(amount, weights) {
+    const total = BigInt(weights.reduce((sum, weight) => sum + weight, 0));
+    const shares = weights.map(weight => amount * BigInt(weight) / total);
+    shares[0] += amount - shares.reduce((sum, share) => sum + share, 0n);
+    return shares;
+}
+
+// 12.5 -> 1250, null when not a percentage with at most 2 decimals
+function toBasisPoints(percent) {
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0) {
+        return null;
+    }
+    const basisPoints = Math.round(percent * 100);
+    return Math.abs(basisPoints - percent * 100) < 1e-6 ? basisPoints : null;
+}
+
+function formatPercent(percent) {
+    return `${+percent.toFixed(2)}%`;
+}
+
+/**
+ * @param {string} amount - ETH, e.g. '0.125'
+ * @returns {bigint} Wei
+ */
+export function parseEth(amount) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(amount));
+    if (!match || (match[2] && match[2].length > ETH_DECIMALS)) {
+        throw new Error(`Invalid ETH amount "${amount}"`);
+    }
+    return BigInt(match[1] + (match[2] || '').padEnd(ETH_DECIMALS, '0'));
+}
+
+/**
+ * @param {bigint} wei - Wei
+ * @returns {string} ETH, formatted like ethers.formatEther ('0.0015', '1.0')
+ */
+export function formatEth(wei) {
+    const digits = wei.toString().padStart(ETH_DECIMALS + 1, '0');
+    const fraction = digits.slice(-ETH_DECIMALS).replace(/0+$/, '') || '0';
+    return `${digits.slice(0, -ETH_DECIMALS)}.${fraction}`;
+}
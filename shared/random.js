@@ -0,0 +1,37 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Same seed always produces the same sequence, so runs can be reproduced
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a random 32-bit seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     * @returns {number} Pseudo-random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Reset the generator back to its initial seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
@@ -0,0 +1,126 @@
+export const RECORDING_VERSION = 1;
+
+/**
+ * Records the per-tick input stream of a run
+ * Inputs are stored only when they change: [tick, targetX]
+ * Other inputs (pause/resume) go to events: [tick, type]
+ * Score changes go to scores: [tick, score]
+ */
+export class InputRecorder {
+    constructor(seed, { tickRate, width, height }) {
+        this.recording = {
+            version: RECORDING_VERSION,
+            seed: seed,
+            tickRate: tickRate,
+            width: width,
+            height: height,
+            inputs: [],
+            events: [],
+            scores: [],
+            ticks: 0,
+            score: 0
+        };
+        this.lastTargetX = null;
+    }
+
+    recordInput(tick, input) {
+        if (input.targetX !== this.lastTargetX) {
+            this.recording.inputs.push([tick, input.targetX]);
+            this.lastTargetX = input.targetX;
+        }
+        this.recording.ticks = tick;
+    }
+
+    recordEvent(tick, type) {
+        this.recording.events.push([tick, type]);
+    }
+
+    recordScore(tick, score) {
+        this.recording.scores.push([tick, score]);
+    }
+
+    /**
+     * Close the recording
+     * @param {number} score - Final score of the run
+     * @returns {Object} Recording
+     */
+    finish(score) {
+        this.recording.score = score;
+        return this.recording;
+    }
+}
+
+/**
+ * Reads a recording's input stream forward, one tick at a time
+ */
+export class InputCursor {
+    constructor(recording, initialInput) {
+        this.inputs = recording.inputs;
+        this.index = 0;
+        this.input = initialInput;
+    }
+
+    /**
+     * Input in effect on a tick; ticks must be read in increasing order
+     * @param {number} tick - Tick number (first tick is 1)
+     * @returns {Object} Input ({ targetX })
+     */
+    inputAt(tick) {
+        while (this.index < this.inputs.length && this.inputs[this.index][0] <= tick) {
+            this.input = { targetX: this.inputs[this.index][1] };
+            this.index++;
+        }
+        return this.input;
+    }
+}
+
+/**
+ * Ghost of a recorded run, advanced alongside a live run on the same seed
+ * Car X is rebuilt from the inputs, score from the recorded score changes
+ */
+export class GhostCar {
+    constructor(recording, { startX, steering }) {
+        this.recording = recording;
+        this.startX = startX;
+        this.steering = steering;
+        this.reset();
+    }
+
+    reset() {
+        this.tick = 0;
+        this.x = this.startX;
+        this.prevX = this.startX;
+        this.score = 0;
+        this.cursor = new InputCursor(this.recording, { targetX: this.startX });
+        this.scoreIndex = 0;
+    }
+
+    /**
+     * Step the ghost up to a tick of the live run
+     * @param {number} tick - Current live tick
+     */
+    advance(tick) {
+        const scores = this.recording.scores || [];
+
+        while (this.tick < tick && !this.isFinished()) {
+            this.tick++;
+
+            const { targetX } = this.cursor.inputAt(this.tick);
+            while (this.scoreIndex < scores.length && scores[this.scoreIndex][0] <= this.tick) {
+                this.score = scores[this.scoreIndex][1];
+                this.scoreIndex++;
+            }
+
+            this.prevX = this.x;
+            this.x += (targetX - this.x) * this.steering;
+        }
+    }
+
+    /**
+     * Whether the ghost run has crashed
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.tick >= this.recording.ticks;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * EIP-712 definition of a signed score submission
+ * The client signs it with the player's wallet; the server recovers the
+ * signer with ethers and only records the score for that address.
+ */
+
+export const SCORE_DOMAIN_NAME = 'TurboWheel';
+export const SCORE_DOMAIN_VERSION = '1';
+
+export const SCORE_TYPES = {
+    ScoreSubmission: [
+        { name: 'player', type: 'address' },
+        { name: 'score', type: 'uint256' },
+        { name: 'sessionId', type: 'string' },
+        { name: 'seed', type: 'uint256' },
+        { name: 'proofHash', type: 'bytes32' }
+    ]
+};
+
+/**
+ * EIP-712 domain for a chain
+ * @param {number|string} chainId - Chain the wallet signs on
+ * @returns {Object} Typed-data domain
+ */
+export function buildScoreDomain(chainId) {
+    return {
+        name: SCORE_DOMAIN_NAME,
+        version: SCORE_DOMAIN_VERSION,
+        chainId: Number(chainId)
+    };
+}
+
+/**
+ * Stable serialization of a recording, hashed (keccak256 of the UTF-8 bytes)
+ * into the signed `proofHash`. Field order is fixed so client and server
+ * hash identical bytes whatever order the JSON arrived in.
+ * @param {Object} recording - Recording from InputRecorder
+ * @returns {string} Serialized recording
+ */
+export function serializeRecording(recording) {
+    return JSON.stringify([
+        recording.version,
+        recording.seed,
+        recording.tickRate,
+        recording.width,
+        recording.height,
+        recording.ticks,
+        recording.inputs
+    ]);
+}